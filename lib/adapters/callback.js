@@ -0,0 +1,129 @@
+'use strict';
+
+const durability = require('../durability');
+const fan = require('./fan');
+const readExpiry = require('./expiry');
+
+const me = new WeakMap();
+
+/*
+  Runs one callback-style bucket operation per key, with at most the
+  adapter's concurrency in flight at once.
+*/
+const fanOut = (self, keys, invoke) => {
+  return fan(keys, me.get(self).concurrency, (key) => {
+    return new Promise((resolve) => {
+      invoke(key, (err, result) => {
+        resolve((err)
+          ? { success: false, err: err, result: result }
+          : { success: true, err: undefined, result: result });
+      });
+    });
+  });
+};
+
+/**
+ * Adapts plain Couchbase 2.x buckets, which only have callback-style
+ * operations on single keys.  Batches are fanned out into one operation per
+ * key, with at most `concurrency` of them in flight at once.
+ */
+class CallbackAdapter {
+
+  static accepts(bucket) {
+    return (typeof bucket.insert === 'function'
+      && typeof bucket.touch === 'function'
+      && typeof bucket.remove === 'function');
+  }
+
+  constructor(bucket, concurrency) {
+    me.set(this, {
+      bucket: bucket,
+      concurrency: concurrency
+    });
+  }
+
+  get canGet() {
+    return typeof me.get(this).bucket.get === 'function';
+  }
+
+  get canReplace() {
+    return (this.canGet
+      && typeof me.get(this).bucket.replace === 'function');
+  }
+
+  get canCount() {
+    return typeof me.get(this).bucket.counter === 'function';
+  }
+
+  get hasDurabilityLevels() {
+    return false;
+  }
+
+  get concurrency() {
+    return me.get(this).concurrency;
+  }
+
+  expiry(key) {
+    return readExpiry(me.get(this).bucket, key);
+  }
+
+  get(keys) {
+    const bucket = me.get(this).bucket;
+
+    return fanOut(this, keys, (key, cb) => {
+      bucket.get(key, cb);
+    });
+  }
+
+  insert(docs, options, settings) {
+    const bucket = me.get(this).bucket;
+    const observe = durability.toObserveOptions(settings);
+    const opts = Object.assign({}, options, observe);
+
+    // Buckets write to the options they're given, so each key gets a copy.
+    return fanOut(this, Array.from(docs.keys()), (key, cb) => {
+      bucket.insert(key, docs.get(key).value, Object.assign({}, opts), cb);
+    });
+  }
+
+  increment(keys) {
+    const bucket = me.get(this).bucket;
+
+    return fanOut(this, keys, (key, cb) => {
+      bucket.counter(key, 1, { initial: 1 }, cb);
+    });
+  }
+
+  remove(etags, settings) {
+    const bucket = me.get(this).bucket;
+    const opts = durability.toObserveOptions(settings);
+
+    return fanOut(this, Array.from(etags.keys()), (key, cb) => {
+      const etag = etags.get(key);
+      const options = (typeof etag === 'undefined') ? {} : { cas: etag };
+      bucket.remove(key, Object.assign(options, opts), cb);
+    });
+  }
+
+  replace(docs, settings) {
+    const bucket = me.get(this).bucket;
+    const opts = durability.toObserveOptions(settings);
+
+    return fanOut(this, Array.from(docs.keys()), (key, cb) => {
+      const doc = docs.get(key);
+      const options = Object.assign({}, doc.options, opts);
+      bucket.replace(key, doc.value, options, cb);
+    });
+  }
+
+  touch(entries) {
+    const bucket = me.get(this).bucket;
+
+    return fanOut(this, Array.from(entries.keys()), (key, cb) => {
+      bucket.touch(key, entries.get(key).expiry, {}, cb);
+    });
+  }
+
+}
+
+module.exports = CallbackAdapter;
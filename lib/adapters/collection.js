@@ -0,0 +1,189 @@
+'use strict';
+
+const elv = require('elv');
+
+const durability = require('../durability');
+const errors = require('../errors');
+const ttl = require('../ttl');
+const fan = require('./fan');
+
+const msg = {
+  noInsert: 'Arg options.collection must have an insert() method',
+  noTouch: 'Arg options.collection must have a touch() method',
+  noRemove: 'Arg options.collection must have a remove() method'
+};
+
+/*
+  SDK 3+ errors are classes instead of codes, so the ones the Store reasons
+  about are given the codes their 2.x counterparts have.
+*/
+const CODES = Object.freeze({
+  AuthenticationFailureError: errors.codes.authError,
+  CasMismatchError: errors.codes.keyExists,
+  DocumentExistsError: errors.codes.keyExists,
+  DocumentNotFoundError: errors.codes.keyMissing,
+  TemporaryFailureError: errors.codes.temporaryError,
+  TimeoutError: errors.codes.timedOut,
+  AmbiguousTimeoutError: errors.codes.timedOut,
+  UnambiguousTimeoutError: errors.codes.timedOut
+});
+
+const me = new WeakMap();
+
+const withCode = (err) => {
+  if (elv(err) && typeof err.code === 'undefined' && elv(CODES[err.name]))
+    err.code = CODES[err.name];
+
+  return err;
+};
+
+/*
+  SDK 3+ reads every expiry as a duration, and converts those longer than 30
+  days to absolute times itself, so absolute expiries are converted back by
+  the Store's clock, which they were computed with.
+*/
+const toDuration = (self, expiry) => {
+  if (expiry <= ttl.MAX_RELATIVE) return expiry;
+
+  const now = Math.floor(me.get(self).clock() / 1000);
+  return Math.max(1, expiry - now);
+};
+
+const fanOut = (self, keys, invoke) => {
+  return fan(keys, me.get(self).concurrency, (key) => {
+    return Promise.resolve()
+      .then(() => { return invoke(key); })
+      .then((result) => {
+        return { success: true, err: undefined, result: result };
+      })
+      .catch((err) => {
+        return { success: false, err: withCode(err) };
+      });
+  });
+};
+
+/**
+ * Adapts the collections of the Couchbase SDK 3+, which only have
+ * promise-returning operations on single keys.  Batches are fanned out into
+ * one operation per key, with at most `concurrency` of them in flight at once.
+ */
+class CollectionAdapter {
+
+  constructor(collection, concurrency, clock) {
+    if (typeof collection.insert !== 'function')
+      throw new TypeError(msg.noInsert);
+
+    if (typeof collection.touch !== 'function')
+      throw new TypeError(msg.noTouch);
+
+    if (typeof collection.remove !== 'function')
+      throw new TypeError(msg.noRemove);
+
+    me.set(this, {
+      collection: collection,
+      concurrency: concurrency,
+      clock: (elv(clock)) ? clock : Date.now
+    });
+  }
+
+  get canGet() {
+    return typeof me.get(this).collection.get === 'function';
+  }
+
+  get canReplace() {
+    return (this.canGet
+      && typeof me.get(this).collection.replace === 'function');
+  }
+
+  get canCount() {
+    return typeof me.get(this).collection.binary === 'function';
+  }
+
+  get hasDurabilityLevels() {
+    return true;
+  }
+
+  get concurrency() {
+    return me.get(this).concurrency;
+  }
+
+  expiry(key) {
+    return me.get(this).collection.get(key, { withExpiry: true })
+      .then((res) => {
+        const seconds = elv.coalesce(res.expiryTime, res.expiry);
+
+        if (typeof seconds !== 'number') return undefined;
+        return (seconds > 0) ? new Date(seconds * 1000) : null;
+      })
+      .catch(() => { return undefined; });
+  }
+
+  get(keys) {
+    const collection = me.get(this).collection;
+
+    return fanOut(this, keys, (key) => {
+      return collection.get(key)
+        .then((res) => {
+          return { value: res.content, cas: res.cas };
+        });
+    });
+  }
+
+  insert(docs, options, settings) {
+    const collection = me.get(this).collection;
+    const opts = Object.assign({
+      expiry: toDuration(this, options.expiry)
+    }, durability.toCollectionOptions(settings));
+
+    return fanOut(this, Array.from(docs.keys()), (key) => {
+      return collection.insert(key, docs.get(key).value, opts);
+    });
+  }
+
+  increment(keys) {
+    const binary = me.get(this).collection.binary();
+
+    return fanOut(this, keys, (key) => {
+      return binary.increment(key, 1, { initial: 1 })
+        .then((res) => {
+          return { value: res.value, cas: res.cas };
+        });
+    });
+  }
+
+  remove(etags, settings) {
+    const collection = me.get(this).collection;
+    const opts = durability.toCollectionOptions(settings);
+
+    return fanOut(this, Array.from(etags.keys()), (key) => {
+      const etag = etags.get(key);
+      const options = (typeof etag === 'undefined') ? {} : { cas: etag };
+      return collection.remove(key, Object.assign(options, opts));
+    });
+  }
+
+  replace(docs, settings) {
+    const collection = me.get(this).collection;
+    const opts = durability.toCollectionOptions(settings);
+
+    return fanOut(this, Array.from(docs.keys()), (key) => {
+      const doc = docs.get(key);
+
+      return collection.replace(key, doc.value, Object.assign({
+        cas: doc.options.cas,
+        expiry: toDuration(this, doc.options.expiry)
+      }, opts));
+    });
+  }
+
+  touch(entries) {
+    const collection = me.get(this).collection;
+
+    return fanOut(this, Array.from(entries.keys()), (key) => {
+      return collection.touch(key, toDuration(this, entries.get(key).expiry));
+    });
+  }
+
+}
+
+module.exports = CollectionAdapter;
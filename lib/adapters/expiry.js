@@ -0,0 +1,32 @@
+'use strict';
+
+/*
+  2.x buckets don't report expiries with documents, so they are read from the
+  $document.exptime virtual extended attribute (Couchbase Server 5.0+).  The
+  expiry of any key that can't be read this way, including on clients without
+  sub-document support, is left undefined.
+*/
+const readExpiry = (bucket, key) => {
+  if (typeof bucket.lookupIn !== 'function')
+    return Promise.resolve(undefined);
+
+  return new Promise((resolve) => {
+    bucket.lookupIn(key)
+      .get('$document.exptime', { xattr: true })
+      .execute((err, res) => {
+        if (err) {
+          resolve(undefined);
+          return;
+        }
+
+        try {
+          const exptime = res.content('$document.exptime');
+          resolve((exptime > 0) ? new Date(exptime * 1000) : null);
+        } catch (e) {
+          resolve(undefined);
+        }
+      });
+  }).catch(() => { return undefined; });
+};
+
+module.exports = readExpiry;
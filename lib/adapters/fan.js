@@ -0,0 +1,29 @@
+'use strict';
+
+const concurrency = require('../concurrency');
+
+/**
+ * Runs one single-key operation per key, with at most `limit` of them in
+ * flight at once, and collects their outcomes into the same
+ * `{ keys, results }` summary the multi operations resolve with.
+ *
+ * @param {string[]} keys - The keys to operate on.
+ * @param {number} limit - The maximum number of operations in flight at once.
+ * @param {function} run - Runs the operation on a key, and resolves with its
+ * `{ success, err, result }` outcome.
+ *
+ * @returns {Promise} Resolves with the summary of every key.
+ */
+const fan = (keys, limit, run) => {
+  return concurrency.mapLimit(keys, limit, run)
+    .then((outcomes) => {
+      const res = { keys: keys, results: {} };
+
+      for (let i = 0; i < keys.length; i++)
+        res.results[keys[i]] = outcomes[i];
+
+      return res;
+    });
+};
+
+module.exports = fan;
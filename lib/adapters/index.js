@@ -0,0 +1,92 @@
+'use strict';
+
+const elv = require('elv');
+
+const CallbackAdapter = require('./callback');
+const CollectionAdapter = require('./collection');
+const MultiAdapter = require('./multi');
+
+const msg = {
+  invalidConcurrency: 'Arg options.concurrency must be an integer greater '
+    + 'than zero',
+  invalidScope: 'Arg options.scope must be a non-empty string',
+  invalidCollection: 'Arg options.collection must be a collection, or a '
+    + 'non-empty string naming one',
+  noScopes: 'Args options.scope and options.collection can only name the '
+    + 'scope and collection of buckets with scopes'
+};
+
+const DEFAULT_CONCURRENCY = 16;
+const DEFAULT_NAME = '_default';
+
+const assertConcurrency = (options) => {
+  const concurrency = elv.coalesce(options.concurrency, DEFAULT_CONCURRENCY);
+
+  if (typeof concurrency !== 'number'
+      || concurrency % 1 !== 0
+      || concurrency < 1
+  )
+    throw new TypeError(msg.invalidConcurrency);
+
+  return concurrency;
+};
+
+const assertName = (name, message) => {
+  if (!elv(name)) return DEFAULT_NAME;
+
+  if (typeof name !== 'string' || name.length === 0)
+    throw new TypeError(message);
+
+  return name;
+};
+
+/*
+  SDK 3+ buckets only hold scopes, which in turn hold the collections that
+  documents are actually stored in.
+*/
+const isScoped = (bucket) => {
+  return (elv(bucket) && typeof bucket.scope === 'function');
+};
+
+const openCollection = (options) => {
+  const scope = assertName(options.scope, msg.invalidScope);
+  const name = assertName(options.collection, msg.invalidCollection);
+  return options.bucket.scope(scope).collection(name);
+};
+
+/**
+ * Creates the adapter for the bucket or collection in the Store options.
+ * Buckets with the multi operations of couchbase-promises are used as they
+ * are.  Plain Couchbase 2.x buckets, and the collections of the Couchbase
+ * SDK 3+, have their batches fanned out into operations on single keys.
+ *
+ * @param {object} options - The Store options.
+ * @param {function} [clock] - The Store's clock, which collections convert
+ * absolute expiries to durations by.
+ */
+const create = (options, clock) => {
+  const bucket = options.bucket;
+
+  if (elv(options.collection) && typeof options.collection === 'object') {
+    const collection = options.collection;
+    return new CollectionAdapter(collection, assertConcurrency(options), clock);
+  }
+
+  if (isScoped(bucket)) {
+    const collection = openCollection(options);
+    return new CollectionAdapter(collection, assertConcurrency(options), clock);
+  }
+
+  if (elv(options.scope) || elv(options.collection))
+    throw new TypeError(msg.noScopes);
+
+  if (!MultiAdapter.accepts(bucket) && CallbackAdapter.accepts(bucket))
+    return new CallbackAdapter(bucket, assertConcurrency(options));
+
+  return new MultiAdapter(bucket, assertConcurrency(options));
+};
+
+module.exports = {
+  DEFAULT_CONCURRENCY: DEFAULT_CONCURRENCY,
+  create: create
+};
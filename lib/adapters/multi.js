@@ -0,0 +1,149 @@
+'use strict';
+
+const batching = require('../batching');
+const durability = require('../durability');
+const readExpiry = require('./expiry');
+
+const msg = {
+  noInsert: 'Arg options.bucket must have an insertMultiAsync() method',
+  noTouch: 'Arg options.bucket must have a touchMultiAsync() method',
+  noRemove: 'Arg options.bucket must have a removeMultiAsync() method'
+};
+
+const me = new WeakMap();
+
+/**
+ * Adapts buckets with the "multi" operation methods of couchbase-promises.
+ * Expiries are read one key at a time, so `concurrency` limits how many of
+ * those reads the Store has in flight at once.
+ */
+class MultiAdapter {
+
+  static accepts(bucket) {
+    return (typeof bucket.insertMultiAsync === 'function'
+      || typeof bucket.touchMultiAsync === 'function'
+      || typeof bucket.removeMultiAsync === 'function');
+  }
+
+  constructor(bucket, concurrency) {
+    if (typeof bucket.insertMultiAsync !== 'function')
+      throw new TypeError(msg.noInsert);
+
+    if (typeof bucket.touchMultiAsync !== 'function')
+      throw new TypeError(msg.noTouch);
+
+    if (typeof bucket.removeMultiAsync !== 'function')
+      throw new TypeError(msg.noRemove);
+
+    me.set(this, {
+      bucket: bucket,
+      concurrency: concurrency
+    });
+  }
+
+  get canGet() {
+    return typeof me.get(this).bucket.getMultiAsync === 'function';
+  }
+
+  get canReplace() {
+    return (this.canGet
+      && typeof me.get(this).bucket.replaceMultiAsync === 'function');
+  }
+
+  get canCount() {
+    return typeof me.get(this).bucket.counterMultiAsync === 'function';
+  }
+
+  get hasDurabilityLevels() {
+    return false;
+  }
+
+  get concurrency() {
+    return me.get(this).concurrency;
+  }
+
+  expiry(key) {
+    return readExpiry(me.get(this).bucket, key);
+  }
+
+  get(keys) {
+    if (keys.length === 0)
+      return Promise.resolve({ keys: [], results: {} });
+
+    return me.get(this).bucket.getMultiAsync(keys)
+      .then((found) => {
+        const res = { keys: keys, results: {} };
+
+        for (let i = 0; i < keys.length; i++) {
+          const doc = found.results[keys[i]];
+
+          res.results[keys[i]] = (doc.error)
+            ? { success: false, err: doc.error }
+            : { success: true, result: doc };
+        }
+
+        return res;
+      });
+  }
+
+  insert(docs, options, settings) {
+    const observe = durability.toObserveOptions(settings);
+    const opts = Object.assign({}, options, observe);
+    return me.get(this).bucket.insertMultiAsync(docs, opts);
+  }
+
+  increment(keys) {
+    const docs = new Map();
+
+    for (let i = 0; i < keys.length; i++)
+      docs.set(keys[i], { delta: 1, options: { initial: 1 } });
+
+    return me.get(this).bucket.counterMultiAsync(docs);
+  }
+
+  /*
+    couchbase-promises only honors per-key options when removeMultiAsync() is
+    given a Map, but then loses the keys in the summary it resolves with.  So
+    each conditional removal is issued as its own single-key batch, and the
+    results are merged back into one summary.
+  */
+  remove(etags, settings) {
+    const bucket = me.get(this).bucket;
+    const keys = Array.from(etags.keys());
+    const options = durability.toObserveOptions(settings);
+    const conditional = keys.some((key) => {
+      return typeof etags.get(key) !== 'undefined';
+    });
+
+    if (!conditional)
+      return bucket.removeMultiAsync(keys, options);
+
+    const tasks = keys.map((key) => {
+      const opts = Object.assign({ cas: etags.get(key) }, options);
+      return bucket.removeMultiAsync([ key ], opts);
+    });
+
+    return Promise.all(tasks).then(batching.merge);
+  }
+
+  replace(docs, settings) {
+    const options = durability.toObserveOptions(settings);
+    const entries = new Map();
+
+    for (let entry of docs) {
+      entries.set(entry[0], {
+        value: entry[1].value,
+        options: Object.assign({}, entry[1].options, options)
+      });
+    }
+
+    return me.get(this).bucket.replaceMultiAsync(entries);
+  }
+
+  touch(entries) {
+    return me.get(this).bucket.touchMultiAsync(entries);
+  }
+
+}
+
+module.exports = MultiAdapter;
@@ -0,0 +1,98 @@
+'use strict';
+
+const elv = require('elv');
+
+const concurrency = require('./concurrency');
+
+const msg = {
+  invalidBatchSize: 'Arg options.batchSize must be an integer greater than '
+    + 'zero',
+  invalidMaxConcurrent: 'Arg options.maxConcurrentBatches must be an integer '
+    + 'greater than zero'
+};
+
+const DEFAULT_MAX_CONCURRENT = 4;
+
+const NONE = Object.freeze({ size: Infinity, limit: 1 });
+
+const isCount = (val) => {
+  return (typeof val === 'number' && val % 1 === 0 && val >= 1);
+};
+
+/**
+ * Creates a batching policy from the Store options.  Without a `batchSize`,
+ * operations are never split.
+ *
+ * @param {object} options - The Store options.
+ *
+ * @returns {object} The policy: the `size` of each chunk, and the `limit` of
+ * chunks in flight at once.
+ */
+const create = (options) => {
+  const size = options.batchSize;
+  const limit = elv.coalesce(
+    options.maxConcurrentBatches,
+    DEFAULT_MAX_CONCURRENT
+  );
+
+  if (elv(size) && !isCount(size))
+    throw new TypeError(msg.invalidBatchSize);
+
+  if (!isCount(limit))
+    throw new TypeError(msg.invalidMaxConcurrent);
+
+  if (!elv(size)) return NONE;
+
+  return Object.freeze({ size: size, limit: limit });
+};
+
+/**
+ * Merges `{ keys, results }` summaries into one, in the order given.
+ */
+const merge = (batches) => {
+  const merged = { keys: [], results: {} };
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+
+    for (let h = 0; h < batch.keys.length; h++) {
+      const key = batch.keys[h];
+      merged.keys.push(key);
+      merged.results[key] = batch.results[key];
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Runs a multi-operation on chunks of at most the policy's `size` keys, with
+ * at most its `limit` of them in flight at once.  Keys that fit in one chunk
+ * are passed to the operation as they are.
+ *
+ * @param {object} policy - The batching policy.
+ * @param {string[]} keys - The keys to operate on.
+ * @param {function} op - Runs the operation on an array of keys, and resolves
+ * with a `{ keys, results }` summary.
+ *
+ * @returns {Promise} Resolves with the merged `{ keys, results }` summary.
+ */
+const run = (policy, keys, op) => {
+  if (keys.length <= policy.size)
+    return op(keys);
+
+  const chunks = [];
+
+  for (let i = 0; i < keys.length; i += policy.size)
+    chunks.push(keys.slice(i, i + policy.size));
+
+  return concurrency.mapLimit(chunks, policy.limit, op).then(merge);
+};
+
+module.exports = {
+  DEFAULT_MAX_CONCURRENT: DEFAULT_MAX_CONCURRENT,
+  NONE: NONE,
+  create: create,
+  merge: merge,
+  run: run
+};
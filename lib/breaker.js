@@ -0,0 +1,224 @@
+'use strict';
+
+const elv = require('elv');
+
+const errors = require('./errors');
+
+const msg = {
+  invalidBreaker: 'Arg options.circuitBreaker must be a boolean or an object',
+  invalidThreshold: 'Arg options.circuitBreaker.threshold must be an integer '
+    + 'greater than zero',
+  invalidResetTimeout: 'Arg options.circuitBreaker.resetTimeout must be a '
+    + 'finite number greater than or equal to zero',
+  open: 'The circuit breaker is open'
+};
+
+const DEFAULT_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT = 30000;
+
+/**
+ * The states of a circuit breaker.
+ */
+const states = Object.freeze({
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open'
+});
+
+/**
+ * Creates a circuit breaker from the `circuitBreaker` Store option, or
+ * returns `undefined` when there is none.
+ *
+ * @param {boolean|object} option - The option: `true` for the defaults, or
+ * the number of failures in a row that open the breaker as `threshold`, and
+ * the milliseconds it stays open before a probe as `resetTimeout`.
+ * @param {function} clock - Returns the current time in milliseconds.
+ * @param {function} onChange - Called with each new state of the breaker.
+ */
+const create = (option, clock, onChange) => {
+  if (!elv(option) || option === false) return undefined;
+
+  if (option !== true && typeof option !== 'object')
+    throw new TypeError(msg.invalidBreaker);
+
+  const opts = (option === true) ? {} : option;
+  const threshold = elv.coalesce(opts.threshold, DEFAULT_THRESHOLD);
+  const resetTimeout = elv.coalesce(opts.resetTimeout, DEFAULT_RESET_TIMEOUT);
+
+  if (typeof threshold !== 'number' || threshold % 1 !== 0 || threshold < 1)
+    throw new TypeError(msg.invalidThreshold);
+
+  if (typeof resetTimeout !== 'number'
+      || !isFinite(resetTimeout)
+      || resetTimeout < 0
+  )
+    throw new TypeError(msg.invalidResetTimeout);
+
+  return {
+    threshold: threshold,
+    resetTimeout: resetTimeout,
+    clock: clock,
+    onChange: onChange,
+    state: states.closed,
+    failures: 0,
+    openedAt: undefined,
+    isProbing: false
+  };
+};
+
+/*
+  Operations fail catastrophically when they reject, or when every key timed
+  out or lost its connection, which is how multi-operations report a cluster
+  they can't reach.
+*/
+const isUnreachable = (val) => {
+  return (!val.success
+    && (errors.reasonOf(val.err, false) === errors.reasons.timeout
+      || val.err.code === errors.codes.networkError));
+};
+
+const isCatastrophic = (res) => {
+  return (res.keys.length > 0
+    && res.keys.every((key) => { return isUnreachable(res.results[key]); }));
+};
+
+const transition = (breaker, state) => {
+  if (breaker.state === state) return;
+
+  breaker.state = state;
+  breaker.onChange(state);
+};
+
+const settle = (breaker, isProbe, failed) => {
+  if (isProbe) breaker.isProbing = false;
+
+  if (!failed) {
+    breaker.failures = 0;
+    transition(breaker, states.closed);
+    return;
+  }
+
+  breaker.failures++;
+
+  if (isProbe || breaker.failures >= breaker.threshold) {
+    breaker.openedAt = breaker.clock();
+    transition(breaker, states.open);
+  }
+};
+
+/*
+  Once the reset timeout passes, an open breaker lets one operation through
+  as a probe, which closes it again if it doesn't fail.  Everything else
+  fails fast until the probe settles.
+*/
+const isFailingFast = (breaker) => {
+  if (breaker.state === states.open
+      && breaker.clock() - breaker.openedAt >= breaker.resetTimeout
+  )
+    transition(breaker, states.halfOpen);
+
+  return (breaker.state === states.open
+    || (breaker.state === states.halfOpen && breaker.isProbing));
+};
+
+const call = (breaker, invoke) => {
+  if (isFailingFast(breaker))
+    return Promise.reject(new errors.CircuitOpenError(msg.open));
+
+  const isProbe = breaker.state === states.halfOpen;
+
+  if (isProbe) breaker.isProbing = true;
+
+  return Promise.resolve()
+    .then(invoke)
+    .then((res) => {
+      settle(breaker, isProbe, isCatastrophic(res));
+      return res;
+    }, (err) => {
+      settle(breaker, isProbe, true);
+      throw err;
+    });
+};
+
+const me = new WeakMap();
+
+/**
+ * Guards the multi-operations of an adapter with a circuit breaker.  Expiry
+ * reads never fail, so they neither count towards the breaker nor probe it,
+ * but they're skipped while it fails fast, leaving the expiries unread.
+ */
+class GuardedAdapter {
+
+  constructor(adapter, breaker) {
+    me.set(this, { adapter: adapter, breaker: breaker });
+  }
+
+  get canGet() { return me.get(this).adapter.canGet; }
+  get canReplace() { return me.get(this).adapter.canReplace; }
+  get canCount() { return me.get(this).adapter.canCount; }
+  get hasDurabilityLevels() { return me.get(this).adapter.hasDurabilityLevels; }
+  get concurrency() { return me.get(this).adapter.concurrency; }
+
+  expiry(key) {
+    const state = me.get(this);
+
+    return (isFailingFast(state.breaker))
+      ? Promise.resolve(undefined)
+      : state.adapter.expiry(key);
+  }
+
+  get(keys) {
+    const state = me.get(this);
+    return call(state.breaker, () => { return state.adapter.get(keys); });
+  }
+
+  insert(docs, options, settings) {
+    const state = me.get(this);
+
+    return call(state.breaker, () => {
+      return state.adapter.insert(docs, options, settings);
+    });
+  }
+
+  increment(keys) {
+    const state = me.get(this);
+    return call(state.breaker, () => { return state.adapter.increment(keys); });
+  }
+
+  remove(etags, settings) {
+    const state = me.get(this);
+
+    return call(state.breaker, () => {
+      return state.adapter.remove(etags, settings);
+    });
+  }
+
+  replace(docs, settings) {
+    const state = me.get(this);
+
+    return call(state.breaker, () => {
+      return state.adapter.replace(docs, settings);
+    });
+  }
+
+  touch(entries) {
+    const state = me.get(this);
+    return call(state.breaker, () => { return state.adapter.touch(entries); });
+  }
+
+}
+
+/**
+ * Guards an adapter with a circuit breaker, if there is one.
+ */
+const guard = (adapter, breaker) => {
+  return (elv(breaker)) ? new GuardedAdapter(adapter, breaker) : adapter;
+};
+
+module.exports = {
+  DEFAULT_RESET_TIMEOUT: DEFAULT_RESET_TIMEOUT,
+  DEFAULT_THRESHOLD: DEFAULT_THRESHOLD,
+  create: create,
+  guard: guard,
+  states: states
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Maps items through an async function, running at most `limit` of the calls
+ * at a time.
+ *
+ * @param {Array} items - The items to map.
+ * @param {number} limit - The maximum number of calls in flight at once.
+ * @param {function} fn - Maps an item to a Promise of its result.
+ *
+ * @returns {Promise} Resolves with the results in the order of their items,
+ * or rejects with the first rejection.
+ */
+const mapLimit = (items, limit, fn) => {
+  return new Promise((resolve, reject) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let pending = 0;
+    let failed = false;
+
+    const start = () => {
+      if (failed) return;
+
+      if (next === items.length && pending === 0) {
+        resolve(results);
+        return;
+      }
+
+      while (pending < limit && next < items.length) {
+        const index = next++;
+        pending++;
+
+        Promise.resolve()
+          .then(() => { return fn(items[index], index); })
+          .then((result) => {
+            results[index] = result;
+            pending--;
+            start();
+          })
+          .catch((err) => {
+            failed = true;
+            reject(err);
+          });
+      }
+    };
+
+    start();
+  });
+};
+
+module.exports = {
+  mapLimit: mapLimit
+};
@@ -0,0 +1,356 @@
+'use strict';
+
+const assert = require('assert');
+const elv = require('elv');
+
+const msg = {
+  invalidFactory: 'Arg "factory" must be a function',
+  invalidAdvance: 'Arg options.advance must be a function'
+};
+
+const TTL = 1000;
+
+/*
+  Clusters expire documents by the second, and may still hold them for a
+  moment past their expiry, so expiry checks in real time wait this much
+  longer than the TTL.  Injected clocks move exactly the TTL.
+*/
+const EXPIRY_MARGIN = 1000;
+
+const wait = (ms) => {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+};
+
+const toCallback = (fn) => {
+  return new Promise((resolve) => {
+    fn((err, res) => { resolve({ err: err, res: res }); });
+  }).then((out) => {
+    assert.ifError(out.err);
+    return out.res;
+  });
+};
+
+/*
+  Keys are unique to each run and test, so the suite can run against shared
+  buckets that already hold documents.
+*/
+const keyspace = () => {
+  const run = Date.now().toString(36)
+    + Math.random().toString(36).slice(2, 8);
+  let last = 0;
+
+  return (count) => {
+    const keys = [];
+    last++;
+
+    for (let i = 0; i < count; i++)
+      keys.push('conformance::' + run + '::' + last + '::' + i);
+
+    return keys;
+  };
+};
+
+const docsOf = (keys) => {
+  return new Map(keys.map((key, i) => [ key, { index: i } ]));
+};
+
+const etagsOf = (keys, summary) => {
+  return new Map(keys.map((key) => [ key, summary.get(key).etag ]));
+};
+
+/**
+ * Defines a mocha suite that checks a Store keeps the contract of the
+ * summaries it reports: etags, collisions, missing and stale keys, expiry,
+ * and CAS-conditional renewals and removals.
+ *
+ * @param {function} factory - Returns a new Store, or a Promise of one, for
+ * each test.
+ * @param {object} [options] - The options of the suite.
+ * @param {string} [options.name] - The name of the suite.
+ * @param {function} [options.advance] - Moves the Store's clock forward by the
+ * given milliseconds, and returns a Promise if it's asynchronous.  Defaults to
+ * waiting in real time, a second longer than the leases' TTL.
+ */
+module.exports = (factory, options) => {
+  if (typeof factory !== 'function')
+    throw new TypeError(msg.invalidFactory);
+
+  const opts = elv.coalesce(options, {});
+
+  if (elv(opts.advance) && typeof opts.advance !== 'function')
+    throw new TypeError(msg.invalidAdvance);
+
+  const advance = elv(opts.advance) ? opts.advance : wait;
+  const name = elv.coalesce(opts.name, 'Store conformance');
+  const nextKeys = keyspace();
+
+  const margin = elv(opts.advance) ? 0 : EXPIRY_MARGIN;
+
+  const later = (ms) => {
+    return Promise.resolve(advance(ms));
+  };
+
+  describe(name, () => {
+    let store;
+
+    beforeEach(() => {
+      return Promise.resolve(factory()).then((res) => { store = res; });
+    });
+
+    describe('insert', () => {
+      it('should acquire new keys with string etags', () => {
+        const keys = nextKeys(2);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => {
+            assert.ok(res instanceof Map);
+            assert.deepStrictEqual(Array.from(res.keys()), keys);
+
+            for (let key of keys) {
+              const val = res.get(key);
+              assert.strictEqual(val.success, true);
+              assert.strictEqual(val.isCollision, false);
+              assert.strictEqual(typeof val.etag, 'string');
+              assert.ok(val.expiresAt instanceof Date);
+            }
+
+            assert.notStrictEqual(
+              res.get(keys[0]).etag,
+              res.get(keys[1]).etag
+            );
+          });
+      });
+
+      it('should report collisions with held keys', () => {
+        const keys = nextKeys(2);
+        const held = new Map([ [ keys[0], 'held' ] ]);
+
+        return store.insertAsync(held, { ttl: TTL })
+          .then(() => store.insertAsync(docsOf(keys), { ttl: TTL }))
+          .then((res) => {
+            const val = res.get(keys[0]);
+            assert.strictEqual(val.success, false);
+            assert.strictEqual(val.isCollision, true);
+            assert.strictEqual(val.reason, 'collision');
+            assert.strictEqual(val.etag, undefined);
+            assert.strictEqual(res.get(keys[1]).success, true);
+          });
+      });
+
+      it('should insert with callbacks', () => {
+        const keys = nextKeys(1);
+
+        return toCallback((cb) => {
+          store.insert(docsOf(keys), { ttl: TTL }, cb);
+        })
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).success, true);
+          });
+      });
+
+      it('should throw synchronously for invalid docs', () => {
+        assert.throws(() => {
+          store.insertAsync(nextKeys(1), { ttl: TTL });
+        }, TypeError);
+      });
+    });
+
+    describe('touch', () => {
+      it('should renew held keys with new etags', () => {
+        const keys = nextKeys(1);
+        let inserted;
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => {
+            inserted = res.get(keys[0]);
+            return store.touchAsync(keys, { ttl: TTL });
+          })
+          .then((res) => {
+            const val = res.get(keys[0]);
+            assert.strictEqual(val.success, true);
+            assert.strictEqual(val.isMissing, false);
+            assert.strictEqual(typeof val.etag, 'string');
+            assert.notStrictEqual(val.etag, inserted.etag);
+          });
+      });
+
+      it('should report missing keys', () => {
+        const keys = nextKeys(1);
+
+        return store.touchAsync(keys, { ttl: TTL })
+          .then((res) => {
+            const val = res.get(keys[0]);
+            assert.strictEqual(val.success, false);
+            assert.strictEqual(val.isMissing, true);
+            assert.strictEqual(val.reason, 'missing');
+          });
+      });
+
+      it('should renew keys with current etags', () => {
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => store.touchAsync(etagsOf(keys, res), { ttl: TTL }))
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).success, true);
+            assert.strictEqual(res.get(keys[0]).isStale, false);
+          });
+      });
+
+      it('should report stale etags', () => {
+        const keys = nextKeys(1);
+        let etags;
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => {
+            etags = etagsOf(keys, res);
+            return store.touchAsync(keys, { ttl: TTL });
+          })
+          .then(() => store.touchAsync(etags, { ttl: TTL }))
+          .then((res) => {
+            const val = res.get(keys[0]);
+            assert.strictEqual(val.success, false);
+            assert.strictEqual(val.isStale, true);
+            assert.strictEqual(val.reason, 'stale');
+          });
+      });
+
+      it('should touch with callbacks', () => {
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then(() => toCallback((cb) => {
+            store.touch(keys, { ttl: TTL }, cb);
+          }))
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).success, true);
+          });
+      });
+    });
+
+    describe('remove', () => {
+      it('should release held keys', () => {
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then(() => store.removeAsync(keys))
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, keys);
+            assert.deepStrictEqual(res.failed, []);
+            return store.insertAsync(docsOf(keys), { ttl: TTL });
+          })
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).success, true);
+          });
+      });
+
+      it('should count missing keys as released', () => {
+        const keys = nextKeys(1);
+
+        return store.removeAsync(keys)
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, keys);
+            assert.deepStrictEqual(res.failed, []);
+          });
+      });
+
+      it('should not count missing keys with etags as released', () => {
+        const keys = nextKeys(1);
+        let etags;
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => {
+            etags = etagsOf(keys, res);
+            return store.removeAsync(keys);
+          })
+          .then(() => store.removeAsync(etags))
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, []);
+            assert.deepStrictEqual(res.stale, keys);
+          });
+      });
+
+      it('should release keys with current etags', () => {
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => store.removeAsync(etagsOf(keys, res)))
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, keys);
+            assert.deepStrictEqual(res.stale, []);
+          });
+      });
+
+      it('should not release keys with stale etags', () => {
+        const keys = nextKeys(1);
+        let etags;
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then((res) => {
+            etags = etagsOf(keys, res);
+            return store.touchAsync(keys, { ttl: TTL });
+          })
+          .then(() => store.removeAsync(etags))
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, []);
+            assert.deepStrictEqual(res.stale, keys);
+            return store.insertAsync(docsOf(keys), { ttl: TTL });
+          })
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).isCollision, true);
+          });
+      });
+
+      it('should remove with callbacks', () => {
+        const keys = nextKeys(1);
+
+        return toCallback((cb) => { store.remove(keys, cb); })
+          .then((res) => {
+            assert.deepStrictEqual(res.succeeded, keys);
+          });
+      });
+    });
+
+    describe('expiry', () => {
+      it('should acquire keys again once they expire', function() {
+        this.timeout(TTL * 5);
+
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then(() => later(TTL + margin))
+          .then(() => store.insertAsync(docsOf(keys), { ttl: TTL }))
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).success, true);
+          });
+      });
+
+      it('should keep renewed keys past their first expiry', function() {
+        this.timeout(TTL * 5);
+
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then(() => store.touchAsync(keys, { ttl: TTL * 3 }))
+          .then(() => later(TTL + margin))
+          .then(() => store.insertAsync(docsOf(keys), { ttl: TTL }))
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).isCollision, true);
+          });
+      });
+
+      it('should not renew expired keys', function() {
+        this.timeout(TTL * 5);
+
+        const keys = nextKeys(1);
+
+        return store.insertAsync(docsOf(keys), { ttl: TTL })
+          .then(() => later(TTL + margin))
+          .then(() => store.touchAsync(keys, { ttl: TTL }))
+          .then((res) => {
+            assert.strictEqual(res.get(keys[0]).isMissing, true);
+          });
+      });
+    });
+  });
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const elv = require('elv');
+
+const errors = require('./errors');
+
+const msg = {
+  invalidTimeout: 'Arg options.timeout must be a finite number greater than '
+    + 'zero',
+  invalidSignal: 'Arg options.signal must be an AbortSignal',
+  timedOut: 'The operation timed out',
+  aborted: 'The operation was aborted'
+};
+
+/**
+ * Whether a value looks like an AbortSignal.  Signals are duck-typed, so that
+ * polyfills and the signals of other realms will do.
+ */
+const isSignal = (signal) => {
+  return (typeof signal === 'object'
+    && typeof signal.aborted === 'boolean'
+    && typeof signal.addEventListener === 'function');
+};
+
+/**
+ * Creates the deadline of an operation from the `timeout` and `signal` of its
+ * options.
+ *
+ * @param {object} options - The options of the operation.
+ *
+ * @returns {object} The `timeout` in milliseconds, and the `signal`, either of
+ * which may be `undefined`.
+ */
+const create = (options) => {
+  const timeout = options.timeout;
+  const signal = options.signal;
+
+  if (elv(timeout)
+      && (typeof timeout !== 'number' || !isFinite(timeout) || timeout <= 0)
+  )
+    throw new TypeError(msg.invalidTimeout);
+
+  if (elv(signal) && !isSignal(signal))
+    throw new TypeError(msg.invalidSignal);
+
+  return { timeout: timeout, signal: signal };
+};
+
+const abortError = (deadline) => {
+  return new errors.AbortError(msg.aborted, deadline.signal.reason);
+};
+
+const isAborted = (deadline) => {
+  return (elv(deadline.signal) && deadline.signal.aborted);
+};
+
+/**
+ * Settles with an operation, unless it times out or is aborted first, in
+ * which case it rejects with a `DeadlineError` or an `AbortError`.  Operations
+ * can't be called back once sent, so their results still land later, and are
+ * handed to `late`.  Operations that throw before they're sent reject at once.
+ *
+ * @param {object} deadline - The deadline.
+ * @param {function} operation - Starts the operation, and returns a Promise.
+ * @param {function} [late] - Called with the result of an operation that
+ * resolved after its deadline.
+ *
+ * @returns {Promise} Settles with the operation, or the deadline.
+ */
+const race = (deadline, operation, late) => {
+  if (isAborted(deadline)) return Promise.reject(abortError(deadline));
+  if (!elv(deadline.timeout) && !elv(deadline.signal)) return operation();
+
+  return new Promise((resolve, reject) => {
+    const signal = deadline.signal;
+    let timer;
+    let isSettled = false;
+
+    const settle = () => {
+      if (isSettled) return false;
+
+      isSettled = true;
+      clearTimeout(timer);
+
+      if (elv(signal) && typeof signal.removeEventListener === 'function')
+        signal.removeEventListener('abort', onAbort);
+
+      return true;
+    };
+
+    const onAbort = () => {
+      if (settle()) reject(abortError(deadline));
+    };
+
+    if (elv(deadline.timeout)) {
+      timer = setTimeout(() => {
+        settle();
+        reject(new errors.DeadlineError(msg.timedOut));
+      }, deadline.timeout);
+    }
+
+    if (elv(signal)) signal.addEventListener('abort', onAbort);
+
+    let operating;
+
+    try {
+      operating = operation();
+    } catch (err) {
+      settle();
+      throw err;
+    }
+
+    operating
+      .then((res) => {
+        if (settle()) resolve(res);
+        else if (elv(late)) late(res);
+      }, (err) => {
+        if (settle()) reject(err);
+      });
+  });
+};
+
+module.exports = {
+  create: create,
+  isAborted: isAborted,
+  isSignal: isSignal,
+  race: race
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const elv = require('elv');
+
+const msg = {
+  invalidPersistTo: 'Arg options.persistTo must be an integer from 0 to 4',
+  invalidReplicateTo: 'Arg options.replicateTo must be an integer from 0 to 3',
+  invalidLevel: 'Arg options.durabilityLevel must be one of the values of '
+    + 'Store.durabilityLevels',
+  levelAndObserve: 'Arg options.durabilityLevel cannot be combined with '
+    + 'options.persistTo or options.replicateTo'
+};
+
+/**
+ * The durability levels of Couchbase Server 6.5+, with the values of the
+ * `DurabilityLevel` enumeration of the SDK.
+ */
+const levels = Object.freeze({
+  none: 0,
+  majority: 1,
+  majorityAndPersistOnMaster: 2,
+  persistToMajority: 3
+});
+
+const MAX_PERSIST_TO = 4;
+const MAX_REPLICATE_TO = 3;
+
+const NONE = Object.freeze({
+  persistTo: undefined,
+  replicateTo: undefined,
+  level: undefined
+});
+
+const isCount = (val, max) => {
+  return (typeof val === 'number' && val % 1 === 0 && val >= 0 && val <= max);
+};
+
+const toLevel = (val) => {
+  if (!elv(val)) return undefined;
+
+  if (typeof val === 'string' && levels.hasOwnProperty(val))
+    return levels[val];
+
+  for (let name of Object.keys(levels)) {
+    if (levels[name] === val) return val;
+  }
+
+  throw new TypeError(msg.invalidLevel);
+};
+
+/**
+ * Creates durability settings from the `persistTo`, `replicateTo`, and
+ * `durabilityLevel` keys of Store or operation options, over the given
+ * defaults.
+ *
+ * @param {object} options - The options, if any.
+ * @param {object} defaults - The settings for keys the options leave out.
+ *
+ * @returns {object} The settings.
+ */
+const create = (options, defaults) => {
+  const opts = elv.coalesce(options, {});
+  const base = elv.coalesce(defaults, NONE);
+
+  if (elv(opts.persistTo) && !isCount(opts.persistTo, MAX_PERSIST_TO))
+    throw new TypeError(msg.invalidPersistTo);
+
+  if (elv(opts.replicateTo) && !isCount(opts.replicateTo, MAX_REPLICATE_TO))
+    throw new TypeError(msg.invalidReplicateTo);
+
+  const settings = {
+    persistTo: elv.coalesce(opts.persistTo, base.persistTo),
+    replicateTo: elv.coalesce(opts.replicateTo, base.replicateTo),
+    level: elv.coalesce(toLevel(opts.durabilityLevel), base.level)
+  };
+
+  if (elv(settings.level)
+      && (elv(settings.persistTo) || elv(settings.replicateTo))
+  )
+    throw new TypeError(msg.levelAndObserve);
+
+  return Object.freeze(settings);
+};
+
+/**
+ * Whether the settings require anything beyond the default of acknowledging
+ * writes once they are in the memory of the active node.
+ */
+const isDurable = (settings) => {
+  return (settings.persistTo > 0
+    || settings.replicateTo > 0
+    || settings.level > levels.none);
+};
+
+/**
+ * The options of Couchbase 2.x bucket operations for the settings, if any.
+ * Those clients observe persistence and replication after the write, and have
+ * no durability levels.
+ */
+const toObserveOptions = (settings) => {
+  const dura = elv.coalesce(settings, NONE);
+  const options = {};
+
+  if (elv(dura.persistTo)) options.persist_to = dura.persistTo;
+  if (elv(dura.replicateTo)) options.replicate_to = dura.replicateTo;
+
+  return options;
+};
+
+/**
+ * The options of Couchbase SDK 3+ collection operations for the settings, if
+ * any.
+ */
+const toCollectionOptions = (settings) => {
+  const dura = elv.coalesce(settings, NONE);
+  const options = {};
+
+  if (elv(dura.level)) options.durabilityLevel = dura.level;
+  if (elv(dura.persistTo)) options.durabilityPersistTo = dura.persistTo;
+  if (elv(dura.replicateTo))
+    options.durabilityReplicateTo = dura.replicateTo;
+
+  return options;
+};
+
+module.exports = {
+  NONE: NONE,
+  create: create,
+  isDurable: isDurable,
+  levels: levels,
+  toCollectionOptions: toCollectionOptions,
+  toObserveOptions: toObserveOptions
+};
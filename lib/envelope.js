@@ -0,0 +1,166 @@
+'use strict';
+
+const elv = require('elv');
+const os = require('os');
+
+const msg = {
+  invalidEnvelope: 'Arg options.envelope must be a boolean or an object',
+  invalidHolder: 'Arg options.envelope.holder must be a string with a length '
+    + 'greater than zero'
+};
+
+/*
+  Envelopes mark themselves with their schema version under this field, which
+  is what tells them apart from documents holding a raw lease value.
+*/
+const MARKER = '$landlord';
+const VERSION = 1;
+
+/**
+ * Creates the envelope settings from the `envelope` Store option, or returns
+ * `undefined` when envelopes are disabled.
+ */
+const create = (option) => {
+  if (!elv(option) || option === false) return undefined;
+
+  if (option !== true && typeof option !== 'object')
+    throw new TypeError(msg.invalidEnvelope);
+
+  const hostname = os.hostname();
+  const pid = process.pid;
+  const holder = (option === true || !elv(option.holder))
+    ? hostname + ':' + pid
+    : option.holder;
+
+  if (typeof holder !== 'string' || holder.length === 0)
+    throw new TypeError(msg.invalidHolder);
+
+  return { holder: holder, hostname: hostname, pid: pid };
+};
+
+const isEnvelope = (doc) => {
+  return (elv(doc)
+    && typeof doc === 'object'
+    && typeof doc[MARKER] === 'number');
+};
+
+/**
+ * Wraps a lease value in a new envelope, held once by the given holder, or
+ * the holder of the settings.
+ */
+const wrap = (settings, value, ttl, now, holder) => {
+  const at = new Date(now).toISOString();
+  const doc = {};
+
+  doc[MARKER] = VERSION;
+  doc.holder = elv.coalesce(holder, settings.holder);
+  doc.hostname = settings.hostname;
+  doc.pid = settings.pid;
+  doc.acquiredAt = at;
+  doc.renewedAt = at;
+  doc.ttl = ttl;
+  doc.holdCount = 1;
+  doc.value = value;
+
+  return doc;
+};
+
+/**
+ * Returns a copy of an envelope renewed with a new TTL.  Documents that are
+ * not envelopes are returned as they are.
+ */
+const renew = (doc, ttl, now) => {
+  if (!isEnvelope(doc)) return doc;
+
+  const renewed = Object.assign({}, doc);
+  renewed.renewedAt = new Date(now).toISOString();
+  renewed.ttl = ttl;
+
+  return renewed;
+};
+
+/*
+  Envelopes written before hold counts were recorded are held once.
+*/
+const holdsOf = (doc) => {
+  return elv.coalesce(doc.holdCount, 1);
+};
+
+/**
+ * The holder of an envelope, or `undefined` for other documents.
+ */
+const holderOf = (doc) => {
+  return (isEnvelope(doc)) ? doc.holder : undefined;
+};
+
+/**
+ * Returns a copy of an envelope acquired again by its holder: renewed with a
+ * new TTL, and held once more.
+ */
+const reenter = (doc, ttl, now) => {
+  const reentered = renew(doc, ttl, now);
+  reentered.holdCount = holdsOf(doc) + 1;
+
+  return reentered;
+};
+
+/**
+ * Returns a copy of an envelope released once by its holder.
+ */
+const release = (doc) => {
+  const released = Object.assign({}, doc);
+  released.holdCount = holdsOf(doc) - 1;
+
+  return released;
+};
+
+/**
+ * Returns a copy of an envelope that records the fencing token its lease was
+ * acquired with.
+ */
+const fence = (doc, token) => {
+  const fenced = Object.assign({}, doc);
+  fenced.fencingToken = token;
+
+  return fenced;
+};
+
+/**
+ * Reads a document as a lease value, and the lease metadata of envelopes.
+ *
+ * @returns {object} The lease `value`, and the `lease` metadata, which is
+ * `undefined` for documents that are not envelopes.
+ */
+const unwrap = (doc) => {
+  if (!isEnvelope(doc))
+    return { value: doc, lease: undefined };
+
+  return {
+    value: doc.value,
+    lease: {
+      version: doc[MARKER],
+      holder: doc.holder,
+      hostname: doc.hostname,
+      pid: doc.pid,
+      acquiredAt: new Date(doc.acquiredAt),
+      renewedAt: new Date(doc.renewedAt),
+      ttl: doc.ttl,
+      holdCount: holdsOf(doc),
+      fencingToken: doc.fencingToken
+    }
+  };
+};
+
+module.exports = {
+  MARKER: MARKER,
+  VERSION: VERSION,
+  create: create,
+  fence: fence,
+  holderOf: holderOf,
+  isEnvelope: isEnvelope,
+  reenter: reenter,
+  release: release,
+  renew: renew,
+  unwrap: unwrap,
+  wrap: wrap
+};
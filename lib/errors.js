@@ -0,0 +1,231 @@
+'use strict';
+
+const elv = require('elv');
+
+/**
+ * The reasons keys fail, as reported in summaries.
+ */
+const reasons = Object.freeze({
+  collision: 'collision',
+  missing: 'missing',
+  stale: 'stale',
+  transient: 'transient',
+  timeout: 'timeout',
+  auth: 'auth',
+  durability: 'durability',
+  rollback: 'rollback',
+  unknown: 'unknown'
+});
+
+/*
+  The Couchbase error codes behind each reason.  KEY_EXISTS means a collision
+  for inserts, but a CAS mismatch, and so a stale etag, for everything else.
+*/
+const codes = Object.freeze({
+  authError: 2,
+  serverBusy: 5,
+  temporaryError: 11,
+  keyExists: 12,
+  keyMissing: 13,
+  networkError: 16,
+  timedOut: 23,
+  clientTemporaryError: 27,
+  clientBusy: 37,
+  invalidUsername: 38,
+  saslmechUnavailable: 40,
+  genericTmpError: 80
+});
+
+const TRANSIENT_CODES = [
+  codes.serverBusy,
+  codes.temporaryError,
+  codes.networkError,
+  codes.clientTemporaryError,
+  codes.clientBusy,
+  codes.genericTmpError
+];
+
+/*
+  2.x clients report unmet persistTo and replicateTo requirements with an
+  error that has no code of its own, after the write itself succeeded.  The
+  SDK 3+ has error classes for durability, which all start with "Durab".
+*/
+const DURABILITY_MESSAGE = 'Durability requirements failed';
+
+const isDurabilityFailure = (err) => {
+  return (err.message === DURABILITY_MESSAGE
+    || /^Durab/.test(err.name));
+};
+
+const AUTH_CODES = [
+  codes.authError,
+  codes.invalidUsername,
+  codes.saslmechUnavailable
+];
+
+class StoreError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reasons.unknown;
+    this.cause = cause;
+  }
+}
+
+class CollisionError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.collision;
+  }
+}
+
+class MissingError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.missing;
+  }
+}
+
+class StaleError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.stale;
+  }
+}
+
+class TransientError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.transient;
+  }
+}
+
+class TimeoutError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.timeout;
+  }
+}
+
+class AuthError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.auth;
+  }
+}
+
+class DurabilityError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.durability;
+  }
+}
+
+class RollbackError extends StoreError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.reason = reasons.rollback;
+  }
+}
+
+/**
+ * The error an operation rejects with when its AbortSignal aborts.  It isn't
+ * the failure of any one key, so it has the `unknown` reason.
+ */
+class AbortError extends StoreError {}
+
+/**
+ * The error an operation rejects with once its `timeout` passes.  It's the
+ * caller's deadline rather than a Couchbase timeout of any one key, so unlike
+ * `TimeoutError` it has the `unknown` reason.
+ */
+class DeadlineError extends StoreError {}
+
+/**
+ * The error operations reject with while the Store's circuit breaker is open,
+ * without reaching Couchbase.  Like aborts, it has the `unknown` reason.
+ */
+class CircuitOpenError extends StoreError {}
+
+const classes = {
+  collision: CollisionError,
+  missing: MissingError,
+  stale: StaleError,
+  transient: TransientError,
+  timeout: TimeoutError,
+  auth: AuthError,
+  durability: DurabilityError,
+  rollback: RollbackError,
+  unknown: StoreError
+};
+
+const messages = {
+  collision: 'Key is already leased',
+  missing: 'Key is not leased',
+  stale: 'Key has been modified since its etag was issued',
+  transient: 'Key failed with a temporary error',
+  timeout: 'Key timed out',
+  auth: 'Key failed authentication',
+  durability: 'Key failed its durability requirements',
+  rollback: 'Key was rolled back with the rest of its batch',
+  unknown: 'Key failed'
+};
+
+/**
+ * Gets the reason for a Couchbase error.
+ *
+ * @param {object} err - The Couchbase error, if any.
+ * @param {boolean} isInsert - Whether the error came from an insert.
+ *
+ * @returns {string} One of the values of `reasons`, or `undefined` if there
+ * is no error.
+ */
+const reasonOf = (err, isInsert) => {
+  if (!elv(err)) return undefined;
+  if (isDurabilityFailure(err)) return reasons.durability;
+
+  const code = err.code;
+
+  if (code === codes.keyExists)
+    return (isInsert) ? reasons.collision : reasons.stale;
+
+  if (code === codes.keyMissing) return reasons.missing;
+  if (code === codes.timedOut) return reasons.timeout;
+  if (TRANSIENT_CODES.indexOf(code) > -1) return reasons.transient;
+  if (AUTH_CODES.indexOf(code) > -1) return reasons.auth;
+
+  return reasons.unknown;
+};
+
+/**
+ * Creates the typed error for a reason, wrapping the original error.
+ */
+const create = (reason, cause) => {
+  const ErrorClass = classes[reason];
+  const message = (elv(cause) && typeof cause.message === 'string')
+    ? messages[reason] + ': ' + cause.message
+    : messages[reason];
+
+  return new ErrorClass(message, cause);
+};
+
+module.exports = {
+  AUTH_CODES: AUTH_CODES,
+  TRANSIENT_CODES: TRANSIENT_CODES,
+  AbortError: AbortError,
+  AuthError: AuthError,
+  CircuitOpenError: CircuitOpenError,
+  CollisionError: CollisionError,
+  DeadlineError: DeadlineError,
+  DurabilityError: DurabilityError,
+  MissingError: MissingError,
+  RollbackError: RollbackError,
+  StaleError: StaleError,
+  StoreError: StoreError,
+  TimeoutError: TimeoutError,
+  TransientError: TransientError,
+  codes: codes,
+  create: create,
+  reasonOf: reasonOf,
+  reasons: reasons
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const elv = require('elv');
+
+const errors = require('./errors');
+
+const msg = {
+  invalidInstrumentation: 'Arg options.instrumentation must be an object',
+  invalidHook: 'Arg options.instrumentation hooks "start" and "finish" must '
+    + 'be functions',
+  invalidTracer: 'Arg "tracer" must have a startSpan() method'
+};
+
+/*
+  The status codes of OpenTelemetry spans.
+*/
+const SPAN_OK = 1;
+const SPAN_ERROR = 2;
+
+let lastId = 0;
+
+const HOOKS = [ 'start', 'finish' ];
+
+/**
+ * Subscribes the `start` and `finish` hooks of an instrumentation object to
+ * the events of the same names.
+ *
+ * @param {EventEmitter} emitter - The Store.
+ * @param {object} option - The instrumentation option.
+ */
+const attach = (emitter, option) => {
+  if (!elv(option)) return;
+
+  if (typeof option !== 'object')
+    throw new TypeError(msg.invalidInstrumentation);
+
+  for (let hook of HOOKS) {
+    if (elv(option[hook]) && typeof option[hook] !== 'function')
+      throw new TypeError(msg.invalidHook);
+  }
+
+  for (let hook of HOOKS) {
+    if (elv(option[hook])) emitter.on(hook, option[hook].bind(option));
+  }
+};
+
+const elapsed = (started) => {
+  const diff = process.hrtime(started);
+  return diff[0] * 1e3 + diff[1] / 1e6;
+};
+
+/*
+  Removal summaries report missing keys as succeeded, or as stale when they
+  had etags, and list stale and undurable keys apart from the other failures.
+*/
+const tallyRemove = (summary) => {
+  return {
+    succeeded: summary.succeeded.length,
+    failed: summary.failed.length
+      + summary.stale.length
+      + summary.undurable.length,
+    collisions: 0,
+    missing: 0,
+    stale: summary.stale.length,
+    undurable: summary.undurable.length,
+    errors: summary.errors
+  };
+};
+
+const tally = (summary) => {
+  if (!(summary instanceof Map))
+    return tallyRemove(summary);
+
+  const counts = {
+    succeeded: 0,
+    failed: 0,
+    collisions: 0,
+    missing: 0,
+    stale: 0,
+    undurable: 0,
+    errors: new Map()
+  };
+
+  for (let entry of summary) {
+    const val = entry[1];
+
+    if (val.success) {
+      counts.succeeded++;
+      continue;
+    }
+
+    counts.failed++;
+    if (val.isCollision) counts.collisions++;
+    if (val.isMissing) counts.missing++;
+    if (val.isStale) counts.stale++;
+    if (val.isDurabilityFailure) counts.undurable++;
+    counts.errors.set(entry[0], errors.create(val.reason, val.err));
+  }
+
+  return counts;
+};
+
+/**
+ * Emits the `start` event of an operation, and creates the handlers that
+ * emit its `finish` event once it settles.
+ *
+ * @param {EventEmitter} emitter - The Store.
+ * @param {string} operation - The name of the operation.
+ * @param {number} count - The number of keys operated on.
+ *
+ * @returns {object} The `finish` and `fail` handlers, which pass on the
+ * summary or rejection they're given.
+ */
+const probe = (emitter, operation, count) => {
+  const event = { id: ++lastId, operation: operation, keys: count };
+  const started = process.hrtime();
+
+  emitter.emit('start', Object.assign({}, event));
+
+  return {
+    finish: (summary) => {
+      emitter.emit('finish', Object.assign({}, event, tally(summary), {
+        duration: elapsed(started),
+        err: undefined
+      }));
+
+      return summary;
+    },
+    fail: (err) => {
+      emitter.emit('finish', Object.assign({}, event, {
+        duration: elapsed(started),
+        err: err
+      }));
+
+      throw err;
+    }
+  };
+};
+
+const me = new WeakMap();
+
+/**
+ * Instrumentation that records each operation as an OpenTelemetry-style span.
+ * Any tracer with a `startSpan()` method, such as the ones returned by
+ * `trace.getTracer()` of `@opentelemetry/api`, will do.
+ */
+class SpanInstrumentation {
+
+  constructor(tracer, options) {
+    if (!elv(tracer) || typeof tracer.startSpan !== 'function')
+      throw new TypeError(msg.invalidTracer);
+
+    const opts = elv.coalesce(options, {});
+
+    me.set(this, {
+      tracer: tracer,
+      prefix: elv.coalesce(opts.prefix, 'landlord'),
+      spans: new Map()
+    });
+  }
+
+  start(event) {
+    const state = me.get(this);
+    const name = state.prefix + '.' + event.operation;
+    const span = state.tracer.startSpan(name, {
+      attributes: {
+        'db.system': 'couchbase',
+        'db.operation': event.operation,
+        'landlord.keys': event.keys
+      }
+    });
+
+    state.spans.set(event.id, span);
+  }
+
+  finish(event) {
+    const state = me.get(this);
+    const span = state.spans.get(event.id);
+
+    if (!elv(span)) return;
+
+    state.spans.delete(event.id);
+
+    if (elv(event.err)) {
+      if (typeof span.recordException === 'function')
+        span.recordException(event.err);
+
+      span.setStatus({ code: SPAN_ERROR, message: event.err.message });
+      span.end();
+      return;
+    }
+
+    span.setAttributes({
+      'landlord.succeeded': event.succeeded,
+      'landlord.failed': event.failed,
+      'landlord.collisions': event.collisions,
+      'landlord.missing': event.missing,
+      'landlord.stale': event.stale,
+      'landlord.undurable': event.undurable
+    });
+
+    span.setStatus({ code: SPAN_OK });
+    span.end();
+  }
+
+}
+
+module.exports = {
+  SpanInstrumentation: SpanInstrumentation,
+  attach: attach,
+  probe: probe,
+  tally: tally
+};
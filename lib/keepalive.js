@@ -0,0 +1,232 @@
+'use strict';
+
+const elv = require('elv');
+const EventEmitter = require('events');
+
+const msg = {
+  invalidStore: 'Arg "store" must have the methods touchAsync() and '
+    + 'removeAsync()',
+  keysNotMap: 'Arg "keys" must be a Map of keys to etags, unless given '
+    + 'options.slot',
+  keysNotCollection: 'Arg "keys" must be an array or Set with options.slot',
+  invalidKey: 'Keys must be strings, and have a length greater than zero',
+  invalidEtag: 'Etags must be strings, and have a length greater than zero',
+  noOptions: 'Arg "options" is required',
+  invalidTtl: 'Arg options.ttl must be a finite number greater than zero',
+  invalidInterval: 'Arg options.interval must be a number greater than zero, '
+    + 'and less than options.ttl'
+};
+
+/*
+  Leases are renewed a third of the way through their TTL by default, which
+  leaves time for two more renewals before they expire.
+*/
+const DEFAULT_FRACTION = 1 / 3;
+
+const me = new WeakMap();
+
+const isString = (val) => {
+  return typeof val === 'string' && val.length > 0;
+};
+
+/*
+  Renewals without etags would extend leases that expired and were taken by
+  someone else since, so leases are renewed with their etags, unless they're
+  readers of shared leases, whose slot already tells them apart.
+*/
+const assertKeys = (keys, options) => {
+  const held = new Map();
+
+  if (!elv(options.slot)) {
+    if (!(keys instanceof Map))
+      throw new TypeError(msg.keysNotMap);
+
+    for (let e of keys) {
+      if (!isString(e[0])) throw new TypeError(msg.invalidKey);
+      if (!isString(e[1])) throw new TypeError(msg.invalidEtag);
+      held.set(e[0], e[1]);
+    }
+
+    return held;
+  }
+
+  if (!Array.isArray(keys) && !(keys instanceof Set))
+    throw new TypeError(msg.keysNotCollection);
+
+  keys.forEach((key) => {
+    if (!isString(key)) throw new TypeError(msg.invalidKey);
+    held.set(key, undefined);
+  });
+
+  return held;
+};
+
+const assertInterval = (options) => {
+  if (!elv(options) || typeof options !== 'object')
+    throw new TypeError(msg.noOptions);
+
+  const ttl = options.ttl;
+
+  if (typeof ttl !== 'number' || !isFinite(ttl) || ttl <= 0)
+    throw new TypeError(msg.invalidTtl);
+
+  const interval = elv.coalesce(
+    options.interval,
+    Math.floor(ttl * DEFAULT_FRACTION)
+  );
+
+  if (typeof interval !== 'number' || !(interval > 0) || interval >= ttl)
+    throw new TypeError(msg.invalidInterval);
+
+  return interval;
+};
+
+const current = (state) => {
+  return (state.bySlot)
+    ? Array.from(state.held.keys())
+    : new Map(state.held);
+};
+
+/*
+  Each renewal belongs to the run that started it, so that renewals still in
+  flight when a KeepAlive is stopped neither emit nor drop keys.  They still
+  changed the etags of the leases they renewed, so those are kept, and
+  releases wait for them in `state.renewing`.
+*/
+const renew = (self, state, run) => {
+  state.renewing = Promise.resolve()
+    .then(() => { return state.store.touchAsync(current(state), state.touch); })
+    .then((summary) => {
+      const isCurrent = state.run === run;
+
+      for (let entry of summary) {
+        const key = entry[0];
+        const val = entry[1];
+
+        if (val.isMissing || val.isStale) {
+          if (!isCurrent) continue;
+
+          state.held.delete(key);
+          self.emit('lost', key, val);
+        } else if (!state.bySlot && elv(val.etag)) {
+          state.held.set(key, val.etag);
+        }
+      }
+
+      if (!isCurrent) return;
+
+      self.emit('renew', summary);
+
+      if (state.held.size === 0) self.stop();
+    }, (err) => {
+      if (state.run !== run) return;
+
+      self.emit('failure', err);
+
+      // Renewals the Store rejects as invalid would fail the same way again.
+      if (err instanceof TypeError) self.stop();
+    });
+
+  return state.renewing;
+};
+
+const schedule = (self, state, run) => {
+  run.timer = setTimeout(() => {
+    renew(self, state, run)
+      .then(() => {
+        if (state.run === run) schedule(self, state, run);
+      });
+  }, state.interval);
+
+  // Renewals never keep the process running on their own.
+  run.timer.unref();
+};
+
+/**
+ * Keeps leases alive by renewing them with `Store#touchAsync()` at an
+ * interval, until it's stopped or every lease is lost.  Keys are given with
+ * their etags, and each renewal uses the etags of the one before it, so a
+ * lease that was lost is never renewed.  Readers of shared leases are given
+ * as keys with the `slot` option instead.
+ *
+ * Emits `renew` with the summary of each renewal, `lost` with each key that
+ * turned up missing or stale, and its summary, `failure` with the error of
+ * each renewal that failed as a whole, and `stop` once it stops.  Renewals
+ * that fail with a `TypeError`, such as those of a Store that can't make
+ * conditional touches, stop it.
+ */
+class KeepAlive extends EventEmitter {
+
+  constructor(store, keys, options) {
+    super();
+
+    if (!elv(store)
+        || typeof store.touchAsync !== 'function'
+        || typeof store.removeAsync !== 'function'
+    )
+      throw new TypeError(msg.invalidStore);
+
+    const interval = assertInterval(options);
+    const held = assertKeys(keys, options);
+    const touch = Object.assign({}, options);
+
+    delete touch.interval;
+
+    me.set(this, {
+      store: store,
+      held: held,
+      bySlot: elv(options.slot),
+      interval: interval,
+      touch: touch,
+      run: undefined,
+      renewing: Promise.resolve()
+    });
+  }
+
+  get interval() {
+    return me.get(this).interval;
+  }
+
+  get isRunning() {
+    return elv(me.get(this).run);
+  }
+
+  get keys() {
+    return Array.from(me.get(this).held.keys());
+  }
+
+  releaseAsync(options) {
+    const state = me.get(this);
+
+    this.stop();
+
+    return state.renewing
+      .then(() => { return state.store.removeAsync(current(state), options); });
+  }
+
+  start() {
+    const state = me.get(this);
+
+    if (elv(state.run)) return this;
+
+    state.run = {};
+    schedule(this, state, state.run);
+
+    return this;
+  }
+
+  stop() {
+    const state = me.get(this);
+
+    if (!elv(state.run)) return this;
+
+    clearTimeout(state.run.timer);
+    state.run = undefined;
+    this.emit('stop');
+
+    return this;
+  }
+
+}
+
+module.exports = KeepAlive;
@@ -0,0 +1,84 @@
+'use strict';
+
+const elv = require('elv');
+
+const msg = {
+  prefixAndNamespace: 'Arg "options" cannot specify both "prefix" and '
+    + '"namespace"',
+  invalidPrefix: 'Arg options.prefix must be a string',
+  invalidNamespace: 'Arg options.namespace must be a function',
+  invalidPhysicalKey: 'Arg options.namespace must return strings with a '
+    + 'length greater than zero'
+};
+
+const identity = (key) => { return key; };
+
+/**
+ * Creates the function that maps the keys callers provide to the keys of
+ * documents in Couchbase, from the `prefix` or `namespace` Store option.
+ */
+const create = (options) => {
+  const hasPrefix = elv(options.prefix);
+  const hasNamespace = elv(options.namespace);
+
+  if (hasPrefix && hasNamespace)
+    throw new TypeError(msg.prefixAndNamespace);
+
+  if (hasPrefix) {
+    if (typeof options.prefix !== 'string')
+      throw new TypeError(msg.invalidPrefix);
+
+    const prefix = options.prefix;
+    return (key) => { return prefix + key; };
+  }
+
+  if (hasNamespace) {
+    if (typeof options.namespace !== 'function')
+      throw new TypeError(msg.invalidNamespace);
+
+    return options.namespace;
+  }
+
+  return identity;
+};
+
+/**
+ * Creates the function that maps document keys back to the keys callers
+ * provide, from the `prefix` Store option.  Keys mapped by a `namespace`
+ * function can't be mapped back, so there is no such function for them.
+ */
+const createInverse = (options) => {
+  if (elv(options.namespace)) return undefined;
+
+  const length = elv.coalesce(options.prefix, '').length;
+  return (key) => { return key.slice(length); };
+};
+
+/**
+ * Maps the keys of a Map from the keys callers provide to document keys.
+ *
+ * @returns {object} The `physical` Map of document keys to the original
+ * values, and the `logical` Map of document keys back to caller keys.
+ */
+const translate = (namespace, entries) => {
+  const physical = new Map();
+  const logical = new Map();
+
+  for (let e of entries) {
+    const key = namespace(e[0]);
+
+    if (typeof key !== 'string' || key.length === 0)
+      throw new TypeError(msg.invalidPhysicalKey);
+
+    physical.set(key, e[1]);
+    logical.set(key, e[0]);
+  }
+
+  return { physical: physical, logical: logical };
+};
+
+module.exports = {
+  create: create,
+  createInverse: createInverse,
+  translate: translate
+};
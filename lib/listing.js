@@ -0,0 +1,126 @@
+'use strict';
+
+const elv = require('elv');
+
+const msg = {
+  invalidQuery: 'Arg options.query must be a function',
+  invalidKeyspace: 'Arg options.keyspace must be a string with a length '
+    + 'greater than zero',
+  noKeyspace: 'Arg options.keyspace is required with options.query',
+  listOptionsObj: 'Arg "options" must be an object',
+  invalidPrefix: 'Arg options.prefix must be a string',
+  invalidLimit: 'Arg options.limit must be an integer greater than zero',
+  invalidCursor: 'Arg options.cursor must be a string'
+};
+
+const DEFAULT_LIMIT = 100;
+
+/*
+  The prefix is matched with POSITION() rather than LIKE, so that it needs no
+  escaping, and with a range on the document key, so that the primary index
+  can still be scanned.  Keys ending with the `exclude` suffix, which has no
+  wildcards, are left out.
+*/
+const STATEMENT = [
+  'SELECT META(d).id AS id, TOSTRING(META(d).cas) AS cas,',
+  'META(d).expiration AS expiration, d AS doc',
+  'FROM %s AS d',
+  'WHERE META(d).id >= $prefix AND POSITION(META(d).id, $prefix) = 0',
+  'AND META(d).id > $after',
+  'AND NOT META(d).id LIKE (\'%\' || $exclude)',
+  'ORDER BY META(d).id',
+  'LIMIT $limit'
+].join(' ');
+
+/**
+ * Creates the listing settings from the `query` and `keyspace` Store options,
+ * or returns `undefined` when leases can't be listed.
+ *
+ * @param {object} options - The Store options.
+ *
+ * @returns {object} The `query` runner, and the N1QL `statement` it runs.
+ */
+const create = (options) => {
+  if (!elv(options.query)) return undefined;
+
+  if (typeof options.query !== 'function')
+    throw new TypeError(msg.invalidQuery);
+
+  if (!elv(options.keyspace))
+    throw new TypeError(msg.noKeyspace);
+
+  if (typeof options.keyspace !== 'string' || options.keyspace.length === 0)
+    throw new TypeError(msg.invalidKeyspace);
+
+  return Object.freeze({
+    query: options.query,
+    statement: STATEMENT.replace('%s', options.keyspace)
+  });
+};
+
+const isCount = (val) => {
+  return (typeof val === 'number' && val % 1 === 0 && val >= 1);
+};
+
+/**
+ * Validates the options of `Store#listAsync()`, and fills in their defaults.
+ */
+const assertOptions = (options) => {
+  if (elv(options) && typeof options !== 'object')
+    throw new TypeError(msg.listOptionsObj);
+
+  const opts = elv.coalesce(options, {});
+  const prefix = elv.coalesce(opts.prefix, '');
+  const limit = elv.coalesce(opts.limit, DEFAULT_LIMIT);
+  const cursor = elv.coalesce(opts.cursor, '');
+
+  if (typeof prefix !== 'string')
+    throw new TypeError(msg.invalidPrefix);
+
+  if (!isCount(limit))
+    throw new TypeError(msg.invalidLimit);
+
+  if (typeof cursor !== 'string')
+    throw new TypeError(msg.invalidCursor);
+
+  return { prefix: prefix, limit: limit, cursor: cursor };
+};
+
+/**
+ * Runs the listing query for a page of documents.
+ *
+ * @param {object} settings - The listing settings.
+ * @param {object} parameters - The parameters of the query: the `prefix` of
+ * the document keys to list, the key to list from `after`, the suffix of keys
+ * to `exclude`, and the `limit` of documents.
+ *
+ * @returns {Promise} Resolves with the `{ id, cas, expiration, doc }` rows,
+ * and the `cursor` to list the next page from, if there may be one.
+ */
+const run = (settings, parameters) => {
+  return Promise.resolve(settings.query(settings.statement, parameters))
+    .then((rows) => {
+      const cursor = (rows.length < parameters.limit)
+        ? undefined
+        : rows[rows.length - 1].id;
+
+      return { rows: rows, cursor: cursor };
+    });
+};
+
+/**
+ * The expiry of a listed document, from the seconds since the epoch of its
+ * `expiration`: `null` if it never expires, or `undefined` if not reported.
+ */
+const expiryOf = (row) => {
+  if (typeof row.expiration !== 'number') return undefined;
+  return (row.expiration > 0) ? new Date(row.expiration * 1000) : null;
+};
+
+module.exports = {
+  DEFAULT_LIMIT: DEFAULT_LIMIT,
+  assertOptions: assertOptions,
+  create: create,
+  expiryOf: expiryOf,
+  run: run
+};
@@ -0,0 +1,311 @@
+'use strict';
+
+const elv = require('elv');
+
+const errors = require('./errors');
+const Store = require('./store');
+const ttl = require('./ttl');
+
+const msg = {
+  invalidClock: 'Arg options.clock must be a function',
+  keyExists: 'The key already exists in the server.',
+  keyMissing: 'The key does not exist on the server',
+  unknownPath: 'Only the $document.exptime path can be looked up'
+};
+
+const EXPTIME = '$document.exptime';
+
+const failure = (code, message) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/*
+  Couchbase reads expiries of up to 30 days as seconds from now, longer ones
+  as Unix timestamps, and 0 as never expiring.
+*/
+const toExpiresAt = (expiry, now) => {
+  if (!expiry) return undefined;
+  if (expiry <= ttl.MAX_RELATIVE) return now + expiry * 1000;
+  return expiry * 1000;
+};
+
+// Values are stored as JSON, as Couchbase would.
+const clone = (value) => {
+  if (typeof value === 'undefined') return undefined;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const me = new WeakMap();
+
+const exptime = (doc) => {
+  return elv(doc.expiresAt) ? Math.floor(doc.expiresAt / 1000) : 0;
+};
+
+const live = (state, key) => {
+  const doc = state.docs.get(key);
+
+  if (!elv(doc)) return undefined;
+
+  if (elv(doc.expiresAt) && state.clock() >= doc.expiresAt) {
+    state.docs.delete(key);
+    return undefined;
+  }
+
+  return doc;
+};
+
+const write = (state, key, value, expiry) => {
+  const doc = {
+    value: clone(value),
+    cas: ++state.cas,
+    expiresAt: toExpiresAt(expiry, state.clock())
+  };
+
+  state.docs.set(key, doc);
+  return { cas: doc.cas };
+};
+
+/*
+  Finds the live document for a key, and checks it against the CAS in the
+  options, if any.
+*/
+const find = (state, key, options) => {
+  const doc = live(state, key);
+
+  if (!elv(doc))
+    return { err: failure(errors.codes.keyMissing, msg.keyMissing) };
+
+  const cas = elv(options) ? options.cas : undefined;
+
+  if (elv(cas) && String(cas) !== String(doc.cas))
+    return { err: failure(errors.codes.keyExists, msg.keyExists) };
+
+  return { doc: doc };
+};
+
+const respond = (callback, err, res) => {
+  process.nextTick(() => {
+    if (err) callback(err, null);
+    else callback(null, res);
+  });
+};
+
+/**
+ * An in-memory stand-in for a callback-style Couchbase 2.x bucket, with the
+ * operations the Store uses.  Documents expire by the given clock, and every
+ * write gives them a new CAS.
+ */
+class MemoryBucket {
+
+  constructor(options) {
+    const opts = elv.coalesce(options, {});
+    const clock = elv(opts.clock) ? opts.clock : Date.now;
+
+    if (typeof clock !== 'function')
+      throw new TypeError(msg.invalidClock);
+
+    me.set(this, { clock: clock, docs: new Map(), cas: 0 });
+  }
+
+  counter(key, delta, options, callback) {
+    const state = me.get(this);
+    const doc = live(state, key);
+
+    if (elv(doc)) {
+      doc.value += delta;
+      doc.cas = ++state.cas;
+      respond(callback, null, { value: doc.value, cas: doc.cas });
+      return;
+    }
+
+    if (!elv(options.initial)) {
+      respond(callback, failure(errors.codes.keyMissing, msg.keyMissing));
+      return;
+    }
+
+    const res = write(state, key, options.initial, options.expiry);
+    respond(callback, null, { value: options.initial, cas: res.cas });
+  }
+
+  get(key, options, callback) {
+    const cb = (typeof options === 'function') ? options : callback;
+    const found = find(me.get(this), key);
+
+    if (found.err) {
+      respond(cb, found.err);
+      return;
+    }
+
+    respond(cb, null, { value: clone(found.doc.value), cas: found.doc.cas });
+  }
+
+  insert(key, value, options, callback) {
+    const state = me.get(this);
+
+    if (elv(live(state, key))) {
+      respond(callback, failure(errors.codes.keyExists, msg.keyExists));
+      return;
+    }
+
+    respond(callback, null, write(state, key, value, options.expiry));
+  }
+
+  lookupIn(key) {
+    const state = me.get(this);
+    const paths = [];
+
+    const builder = {
+      get: (path) => {
+        paths.push(path);
+        return builder;
+      },
+      execute: (callback) => {
+        const found = find(state, key);
+
+        if (found.err) {
+          respond(callback, found.err);
+          return;
+        }
+
+        const doc = found.doc;
+
+        respond(callback, null, {
+          cas: doc.cas,
+          content: (path) => {
+            if (path !== EXPTIME || paths.indexOf(path) === -1)
+              throw new Error(msg.unknownPath);
+
+            return exptime(doc);
+          }
+        });
+      }
+    };
+
+    return builder;
+  }
+
+  /*
+    Stands in for the N1QL query of Store#listAsync(), and ignores the
+    statement: it lists the live documents whose keys start with the prefix
+    parameter and don't end with the exclude parameter, in order of their
+    keys, from after the cursor.
+  */
+  query(statement, parameters, callback) {
+    const state = me.get(this);
+    const keys = Array.from(state.docs.keys()).sort();
+    const rows = [];
+
+    for (let i = 0; i < keys.length && rows.length < parameters.limit; i++) {
+      const key = keys[i];
+
+      const excluded = key.slice(-parameters.exclude.length)
+        === parameters.exclude;
+
+      if (key.indexOf(parameters.prefix) !== 0
+          || key <= parameters.after
+          || excluded
+      )
+        continue;
+
+      const doc = live(state, key);
+
+      if (!elv(doc)) continue;
+
+      rows.push({
+        id: key,
+        cas: String(doc.cas),
+        expiration: exptime(doc),
+        doc: clone(doc.value)
+      });
+    }
+
+    respond(callback, null, rows);
+  }
+
+  remove(key, options, callback) {
+    const state = me.get(this);
+    const found = find(state, key, options);
+
+    if (found.err) {
+      respond(callback, found.err);
+      return;
+    }
+
+    state.docs.delete(key);
+    respond(callback, null, { cas: ++state.cas });
+  }
+
+  replace(key, value, options, callback) {
+    const state = me.get(this);
+    const found = find(state, key, options);
+
+    if (found.err) {
+      respond(callback, found.err);
+      return;
+    }
+
+    respond(callback, null, write(state, key, value, options.expiry));
+  }
+
+  touch(key, expiry, options, callback) {
+    const state = me.get(this);
+    const found = find(state, key);
+
+    if (found.err) {
+      respond(callback, found.err);
+      return;
+    }
+
+    found.doc.cas = ++state.cas;
+    found.doc.expiresAt = toExpiresAt(expiry, state.clock());
+    respond(callback, null, { cas: found.doc.cas });
+  }
+
+}
+
+const stores = new WeakMap();
+
+const KEYSPACE = '`memory`';
+
+/**
+ * A Store backed by its own MemoryBucket, for testing code that uses leases
+ * without a Couchbase cluster.  It takes the same options as Store, except
+ * for `bucket` and `collection`, and shares its `clock` with the bucket.
+ * Unless given a `query`, it lists leases with the bucket's stand-in for N1QL.
+ */
+class MemoryStore extends Store {
+
+  constructor(options) {
+    const opts = Object.assign({}, options);
+    const bucket = new MemoryBucket({ clock: opts.clock });
+
+    opts.bucket = bucket;
+    delete opts.collection;
+
+    if (!elv(opts.query)) {
+      opts.keyspace = KEYSPACE;
+      opts.query = (statement, parameters) => {
+        return new Promise((resolve) => {
+          bucket.query(statement, parameters, (err, rows) => {
+            resolve(rows);
+          });
+        });
+      };
+    }
+
+    super(opts);
+    stores.set(this, bucket);
+  }
+
+  get bucket() {
+    return stores.get(this);
+  }
+
+}
+
+module.exports = {
+  MemoryBucket: MemoryBucket,
+  MemoryStore: MemoryStore
+};
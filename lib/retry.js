@@ -0,0 +1,163 @@
+'use strict';
+
+const elv = require('elv');
+
+const errors = require('./errors');
+
+const msg = {
+  invalidRetry: 'Arg options.retry must be an object',
+  invalidAttempts: 'Arg options.retry.attempts must be an integer greater '
+    + 'than zero',
+  invalidDelay: 'Arg options.retry.delay must be a number greater than or '
+    + 'equal to zero',
+  invalidJitter: 'Arg options.retry.jitter must be a number between 0 and 1',
+  invalidCodes: 'Arg options.retry.codes must be an array of numbers'
+};
+
+/*
+  By default, keys are retried for the failures that are expected to clear up
+  on their own: temporary failures, busy servers and clients, and timeouts.
+  Network errors are transient too, but are only retried when listed.
+*/
+const RETRYABLE_CODES = errors.TRANSIENT_CODES
+  .filter((code) => code !== errors.codes.networkError)
+  .concat([ errors.codes.timedOut ]);
+
+/*
+  A write that timed out may have landed anyway.  An insert's retry would
+  then collide with its own document, orphaning the lease until it expires,
+  and a conditional write's retry would no longer match the CAS it changed,
+  so it would report a lease the caller still holds, or just released, as
+  stale.  So these writes only retry timeouts when they're listed in the
+  codes explicitly.
+*/
+const WRITE_RETRYABLE_CODES = RETRYABLE_CODES
+  .filter((code) => code !== errors.codes.timedOut);
+
+const NONE = {
+  attempts: 1,
+  delay: 0,
+  jitter: 0,
+  codes: new Set(),
+  writeCodes: new Set()
+};
+
+/**
+ * Creates a retry policy from the `retry` Store option.  Without the option,
+ * operations are attempted once.
+ */
+const create = (option) => {
+  if (!elv(option)) return NONE;
+
+  if (typeof option !== 'object')
+    throw new TypeError(msg.invalidRetry);
+
+  const attempts = elv.coalesce(option.attempts, 3);
+  const delay = elv.coalesce(option.delay, 50);
+  const jitter = elv.coalesce(option.jitter, 0.5);
+  const codes = elv.coalesce(option.codes, RETRYABLE_CODES);
+  const writeCodes = elv.coalesce(option.codes, WRITE_RETRYABLE_CODES);
+
+  if (typeof attempts !== 'number' || attempts % 1 !== 0 || attempts < 1)
+    throw new TypeError(msg.invalidAttempts);
+
+  if (typeof delay !== 'number' || !isFinite(delay) || delay < 0)
+    throw new TypeError(msg.invalidDelay);
+
+  if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1))
+    throw new TypeError(msg.invalidJitter);
+
+  if (!Array.isArray(codes) || codes.some((c) => typeof c !== 'number'))
+    throw new TypeError(msg.invalidCodes);
+
+  return {
+    attempts: attempts,
+    delay: delay,
+    jitter: jitter,
+    codes: new Set(codes),
+    writeCodes: new Set(writeCodes)
+  };
+};
+
+/**
+ * The policy that inserts and conditional writes are retried with, which has
+ * the write codes.
+ */
+const forWrites = (policy) => {
+  return Object.assign({}, policy, { codes: policy.writeCodes });
+};
+
+const isRetryable = (policy, val) => {
+  return (!val.success
+    && elv(val.err)
+    && policy.codes.has(val.err.code));
+};
+
+/**
+ * The time to wait before the given retry, which doubles with each attempt.
+ * Jitter takes up to that fraction of the wait away at random.
+ */
+const backoff = (policy, retry) => {
+  const wait = policy.delay * Math.pow(2, retry - 1);
+  return wait - (wait * policy.jitter * Math.random());
+};
+
+const sleep = (ms) => {
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+};
+
+/**
+ * Runs a multi-operation, and re-submits only the keys that failed with
+ * retryable errors until they succeed or the policy runs out of attempts.
+ *
+ * @param {object} policy - The retry policy.
+ * @param {string[]} keys - The keys to operate on.
+ * @param {function} op - Runs the operation on an array of keys, and resolves
+ * with a `{ keys, results }` summary.
+ *
+ * @returns {Promise} Resolves with the `{ keys, results }` summary of the last
+ * attempt of each key, and `attempts`: a Map of each key to the number of
+ * attempts it took.
+ */
+const run = (policy, keys, op) => {
+  const attempts = new Map();
+  const results = {};
+
+  const record = (res) => {
+    const retryable = [];
+
+    for (let i = 0; i < res.keys.length; i++) {
+      const key = res.keys[i];
+      const val = res.results[key];
+
+      attempts.set(key, elv.coalesce(attempts.get(key), 0) + 1);
+      results[key] = val;
+
+      if (isRetryable(policy, val) && attempts.get(key) < policy.attempts)
+        retryable.push(key);
+    }
+
+    return retryable;
+  };
+
+  const next = (retry, retryable, order) => {
+    if (retryable.length === 0)
+      return { keys: order, results: results, attempts: attempts };
+
+    return sleep(backoff(policy, retry))
+      .then(() => { return op(retryable); })
+      .then((res) => { return next(retry + 1, record(res), order); });
+  };
+
+  return op(keys).then((res) => { return next(1, record(res), res.keys); });
+};
+
+module.exports = {
+  WRITE_RETRYABLE_CODES: WRITE_RETRYABLE_CODES,
+  RETRYABLE_CODES: RETRYABLE_CODES,
+  backoff: backoff,
+  create: create,
+  forWrites: forWrites,
+  isRetryable: isRetryable,
+  run: run
+};
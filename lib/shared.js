@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const elv = require('elv');
+
+/*
+  Shared leases mark themselves with their schema version under this field,
+  which tells them apart from exclusive leases, with or without envelopes.
+*/
+const MARKER = '$landlordShared';
+const VERSION = 1;
+
+const isShared = (doc) => {
+  return (elv(doc)
+    && typeof doc === 'object'
+    && typeof doc[MARKER] === 'number');
+};
+
+/**
+ * Creates a new reader slot id.
+ */
+const createSlot = () => {
+  return crypto.randomBytes(8).toString('hex');
+};
+
+const expiryOf = (reader) => {
+  return Date.parse(reader.renewedAt) + reader.ttl;
+};
+
+/*
+  Readers that expired are dropped whenever a shared lease is written, so
+  they don't keep counting toward it.
+*/
+const prune = (doc, now) => {
+  const pruned = Object.assign({}, doc, { readers: {} });
+
+  for (let slot of Object.keys(doc.readers)) {
+    if (expiryOf(doc.readers[slot]) > now)
+      pruned.readers[slot] = doc.readers[slot];
+  }
+
+  pruned.readerCount = Object.keys(pruned.readers).length;
+  return pruned;
+};
+
+/**
+ * Returns a copy of a shared lease joined by the reader in the given slot, or
+ * renewed for it if it's a reader already.
+ */
+const join = (doc, slot, holder, ttl, now) => {
+  const joined = prune(doc, now);
+  const current = joined.readers[slot];
+  const at = new Date(now).toISOString();
+
+  joined.readers[slot] = {
+    holder: holder,
+    acquiredAt: (elv(current)) ? current.acquiredAt : at,
+    renewedAt: at,
+    ttl: ttl
+  };
+
+  joined.readerCount = Object.keys(joined.readers).length;
+  return joined;
+};
+
+/**
+ * Creates a new shared lease on a value, held by one reader.
+ */
+const create = (value, slot, holder, ttl, now) => {
+  const doc = {};
+
+  doc[MARKER] = VERSION;
+  doc.readerCount = 0;
+  doc.readers = {};
+  doc.value = value;
+
+  return join(doc, slot, holder, ttl, now);
+};
+
+/**
+ * Whether the reader in the given slot still holds a shared lease.
+ */
+const holds = (doc, slot, now) => {
+  return (isShared(doc)
+    && elv(doc.readers[slot])
+    && expiryOf(doc.readers[slot]) > now);
+};
+
+/**
+ * Returns a copy of a shared lease renewed for a reader that holds it.
+ */
+const renew = (doc, slot, ttl, now) => {
+  return join(doc, slot, doc.readers[slot].holder, ttl, now);
+};
+
+/**
+ * Returns a copy of a shared lease without the reader in the given slot.
+ */
+const leave = (doc, slot, now) => {
+  const left = prune(doc, now);
+
+  delete left.readers[slot];
+  left.readerCount = Object.keys(left.readers).length;
+
+  return left;
+};
+
+/**
+ * The milliseconds since the epoch at which the last reader of a shared
+ * lease expires, which is when the lease document should expire.
+ */
+const lastExpiry = (doc) => {
+  let last = 0;
+
+  for (let slot of Object.keys(doc.readers))
+    last = Math.max(last, expiryOf(doc.readers[slot]));
+
+  return last;
+};
+
+/**
+ * Reads a shared lease as its value, and the metadata of its readers.
+ */
+const unwrap = (doc) => {
+  return {
+    value: doc.value,
+    readers: Object.keys(doc.readers).map((slot) => {
+      const reader = doc.readers[slot];
+
+      return {
+        slot: slot,
+        holder: reader.holder,
+        acquiredAt: new Date(reader.acquiredAt),
+        renewedAt: new Date(reader.renewedAt),
+        ttl: reader.ttl
+      };
+    })
+  };
+};
+
+module.exports = {
+  MARKER: MARKER,
+  VERSION: VERSION,
+  create: create,
+  createSlot: createSlot,
+  holds: holds,
+  isShared: isShared,
+  join: join,
+  lastExpiry: lastExpiry,
+  leave: leave,
+  renew: renew,
+  unwrap: unwrap
+};
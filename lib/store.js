@@ -1,22 +1,84 @@
 'use strict';
 
 const elv = require('elv');
+const EventEmitter = require('events');
+
+const adapters = require('./adapters');
+const batching = require('./batching');
+const breaker = require('./breaker');
+const concurrency = require('./concurrency');
+const deadline = require('./deadline');
+const durability = require('./durability');
+const envelope = require('./envelope');
+const errors = require('./errors');
+const instrumentation = require('./instrumentation');
+const KeepAlive = require('./keepalive');
+const keyspace = require('./keyspace');
+const listing = require('./listing');
+const retry = require('./retry');
+const shared = require('./shared');
+const ttl = require('./ttl');
+const waiting = require('./waiting');
 
 const msg = {
   noOptions: 'Arg "options" is required',
   optionsObj: 'Arg "options" must be an object',
-  optionsNoBucket: 'Arg "options" must specify a "bucket"',
+  optionsNoBucket: 'Arg "options" must specify a "bucket" or "collection"',
   noBucket: 'Arg options.bucket cannot be null or undefined',
-  noInsert: 'Arg options.bucket must have an insertMultiAsync() method ',
-  noTouch: 'Arg options.bucket must have a touchMultiAsync() method',
-  noRemove: 'Arg options.bucket must have a removeMultiAsync() method',
+  invalidClock: 'Arg options.clock must be a function',
+  noCollection: 'Arg options.collection cannot be null',
   docsNotMap: 'Arg "docs" must be a Map',
   invalidKey: 'Keys must be strings, and have a length greater than zero',
+  invalidEtag: 'Etags must be strings, and have a length greater than zero',
+  keysNotCollection: 'Arg "keys" must be an array, Set, or Map',
+  noGet: 'Arg options.bucket must be able to get documents to get keys',
+  noConditionalTouch: 'Arg options.bucket must be able to get and replace '
+    + 'documents to touch keys with etags',
+  noEnvelopeTouch: 'Arg options.bucket must be able to get and replace '
+    + 'documents to use envelopes',
+  noDurableTouch: 'Arg options.bucket must be able to get and replace '
+    + 'documents to touch keys durably',
+  noCounter: 'Arg options.bucket must be able to increment counters to use '
+    + 'fencing',
+  invalidFencing: 'Arg options.fencing must be a boolean',
+  noFencingEnvelope: 'Arg options.fencing requires the Store to use envelopes',
+  noFencing: 'Tokens can only be checked by a Store with options.fencing',
+  invalidToken: 'Arg "token" must be a number',
+  noQuery: 'Arg options.query is required to list leases',
+  noListNamespace: 'Leases cannot be listed with an options.namespace '
+    + 'function',
+  noListPrefix: 'Leases can only be listed under a prefix, from '
+    + 'options.prefix of the Store or of the listing',
+  noDurabilityLevel: 'Arg options.durabilityLevel requires a Couchbase SDK 3+ '
+    + 'collection',
   noInOptions: 'Arg "options is required"',
   inOptionsObj: 'Arg "options" must be an object',
   inOptionsTtl: 'Arg "options" requires the key "ttl"',
   inOptionsTtlNum: 'Arg "options" key "ttl" must be a number',
-  invalidCallback: 'Arg "callback" must be a function'
+  inOptionsAtomic: 'Arg "options" key "atomic" must be a boolean',
+  invalidHolder: 'Arg options.holder must be a string with a length greater '
+    + 'than zero',
+  noHolderEnvelope: 'Arg options.holder requires the Store to use envelopes',
+  noHolderAtomic: 'Arg options.holder cannot be used with options.atomic',
+  otherHolder: 'Key is held by another holder',
+  invalidMode: 'Arg options.mode must be "shared" or "exclusive"',
+  noShared: 'Arg options.bucket must be able to get and replace documents to '
+    + 'share leases',
+  noSharedAtomic: 'Arg options.atomic cannot be used with shared leases',
+  noSharedFencing: 'Shared leases cannot be acquired by a Store with '
+    + 'options.fencing',
+  invalidSlot: 'Arg options.slot must be a string with a length greater than '
+    + 'zero',
+  noSlotMode: 'Arg options.slot requires the "shared" mode',
+  noSlotEtags: 'Keys cannot be given etags with options.slot',
+  noSlotHolder: 'Arg options.slot cannot be used with options.holder',
+  invalidPermits: 'Arg options.permits must be an integer greater than zero',
+  noPermitsShared: 'Arg options.permits cannot be used with shared leases',
+  noPermitsHolder: 'Arg options.permits cannot be used with options.holder',
+  exclusiveHeld: 'Key is held exclusively',
+  noReader: 'Key is not held by the reader',
+  invalidCallback: 'Arg "callback" must be a function',
+  aborted: 'The operation was aborted'
 };
 
 const assertConstOptions = (options) => {
@@ -26,6 +88,13 @@ const assertConstOptions = (options) => {
   if (typeof options !== 'object')
     throw new TypeError(msg.optionsObj);
 
+  if (typeof options.collection === 'object') {
+    if (!elv(options.collection))
+      throw new TypeError(msg.noCollection);
+
+    return;
+  }
+
   if (!options.hasOwnProperty('bucket'))
     throw new TypeError(msg.optionsNoBucket);
 
@@ -33,18 +102,9 @@ const assertConstOptions = (options) => {
 
   if (!elv(bucket))
     throw new TypeError(msg.noBucket);
-
-  if (typeof bucket.insertMultiAsync !== 'function')
-    throw new TypeError(msg.noInsert);
-
-  if (typeof bucket.touchMultiAsync !== 'function')
-    throw new TypeError(msg.noTouch);
-
-  if (typeof bucket.removeMultiAsync !== 'function')
-    throw new TypeError(msg.noRemove);
 };
 
-const assertOptions = (options) => {
+const assertOptions = (options, now) => {
   if (!elv(options))
     throw new TypeError(msg.noInOptions);
 
@@ -57,9 +117,11 @@ const assertOptions = (options) => {
   if (typeof options.ttl !== 'number')
     throw new TypeError(msg.inOptionsTtlNum);
 
-  return {
-    expiry: parseInt(options.ttl / 1000)
-  }
+  const prepared = ttl.toExpiry(options.ttl, now);
+  prepared.ttl = options.ttl;
+  prepared.now = now;
+
+  return prepared;
 };
 
 const assertDocs = (docs) => {
@@ -81,17 +143,51 @@ const assertDocs = (docs) => {
   return prepared;
 };
 
-const assertKeys = (keys) => {
-  if (!Array.isArray(keys) && !(keys instanceof Set))
-    throw new TypeError('Arg "keys" must be an array or Set');
+const assertEtags = (etags) => {
+  for (let e of etags) {
+    const key = e[0];
+    const etag = e[1];
+
+    if (typeof key !== 'string' || key.length === 0)
+      throw TypeError(msg.invalidKey);
+
+    if (typeof etag !== 'string' || etag.length === 0)
+      throw TypeError(msg.invalidEtag);
+  }
 };
 
-const assertTouchKeys = (keys, options) => {
-  assertKeys(keys);
+const assertRemoveKeys = (keys) => {
+  if (!(keys instanceof Map)) {
+    if (!Array.isArray(keys) && !(keys instanceof Set))
+      throw new TypeError(msg.keysNotCollection);
+
+    const prepared = new Map();
+    keys.forEach((key) => { prepared.set(key, undefined); });
+
+    return prepared;
+  }
 
+  assertEtags(keys);
+
+  return keys;
+};
+
+const assertTouchKeys = (keys, options) => {
   const prepared = new Map();
   const expiry = options.expiry;
 
+  if (keys instanceof Map) {
+    assertEtags(keys);
+
+    for (let e of keys)
+      prepared.set(e[0], { expiry: expiry, etag: e[1] });
+
+    return prepared;
+  }
+
+  if (!Array.isArray(keys) && !(keys instanceof Set))
+    throw new TypeError(msg.keysNotCollection);
+
   keys.forEach((key, value) => {
     if (typeof key !== 'string' || key.length === 0)
       throw TypeError(msg.invalidKey);
@@ -102,56 +198,1066 @@ const assertTouchKeys = (keys, options) => {
   return prepared;
 };
 
+const assertGetKeys = (keys) => {
+  if (!Array.isArray(keys) && !(keys instanceof Set))
+    throw new TypeError(msg.keysNotCollection);
+
+  const prepared = new Map();
+
+  keys.forEach((key) => {
+    if (typeof key !== 'string' || key.length === 0)
+      throw TypeError(msg.invalidKey);
+
+    prepared.set(key, undefined);
+  });
+
+  return prepared;
+};
+
 const assertCallback = (callback) => {
   if (typeof callback !== 'function')
     throw new TypeError(msg.invalidCallback);
 };
 
-const KEY_EXISTS  = 12,
-      KEY_MISSING = 13;
+const KEY_EXISTS  = errors.codes.keyExists,
+      KEY_MISSING = errors.codes.keyMissing;
 
 const me = new WeakMap();
 
-class Store {
+/*
+  Health checks read a key that's never written, so they only need a round
+  trip to the cluster, and find the key missing when it's reachable.
+*/
+const HEALTH_KEY = 'landlord::health';
+
+/*
+  Runs a multi-operation with the Store's retry policy, or the given one,
+  splitting each attempt into chunks with its batching policy.
+*/
+const batched = (state, keys, op, policy) => {
+  return retry.run(elv.coalesce(policy, state.retry), keys, (batch) => {
+    return batching.run(state.batching, batch, op);
+  });
+};
+
+const assertRemoveOptions = (options) => {
+  if (elv(options) && typeof options !== 'object')
+    throw new TypeError(msg.inOptionsObj);
+
+  return elv.coalesce(options, {});
+};
+
+const assertHolder = (state, options) => {
+  const holder = options.holder;
+
+  if (!elv(holder)) return undefined;
+
+  if (typeof holder !== 'string' || holder.length === 0)
+    throw new TypeError(msg.invalidHolder);
+
+  if (!state.envelope)
+    throw new TypeError(msg.noHolderEnvelope);
+
+  return holder;
+};
+
+const MODES = [ 'exclusive', 'shared' ];
+
+/*
+  Returns whether the options are for shared leases.
+*/
+const assertMode = (state, options) => {
+  const mode = elv.coalesce(options.mode, 'exclusive');
+
+  if (MODES.indexOf(mode) === -1)
+    throw new TypeError(msg.invalidMode);
+
+  if (mode === 'shared' && !state.adapter.canReplace)
+    throw new TypeError(msg.noShared);
+
+  return mode === 'shared';
+};
+
+const assertSlot = (state, options) => {
+  const slot = options.slot;
+
+  if (!elv(slot)) return undefined;
+
+  if (typeof slot !== 'string' || slot.length === 0)
+    throw new TypeError(msg.invalidSlot);
+
+  if (!state.adapter.canReplace)
+    throw new TypeError(msg.noShared);
+
+  return slot;
+};
+
+const assertPermits = (options) => {
+  const permits = options.permits;
+
+  if (!elv(permits)) return undefined;
+
+  if (typeof permits !== 'number' || permits % 1 !== 0 || permits < 1)
+    throw new TypeError(msg.invalidPermits);
+
+  return permits;
+};
+
+const assertClock = (clock) => {
+  if (!elv(clock)) return Date.now;
+
+  if (typeof clock !== 'function')
+    throw new TypeError(msg.invalidClock);
+
+  return clock;
+};
+
+const assertFencing = (adapter, fencing, settings) => {
+  if (!elv(fencing)) return false;
+
+  if (typeof fencing !== 'boolean')
+    throw new TypeError(msg.invalidFencing);
+
+  if (fencing && !adapter.canCount)
+    throw new TypeError(msg.noCounter);
+
+  if (fencing && !settings)
+    throw new TypeError(msg.noFencingEnvelope);
+
+  return fencing;
+};
+
+const assertDurability = (adapter, options, defaults) => {
+  const settings = durability.create(options, defaults);
+
+  if (elv(settings.level) && !adapter.hasDurabilityLevels)
+    throw new TypeError(msg.noDurabilityLevel);
+
+  return settings;
+};
+
+const subset = (map, keys) => {
+  const result = new Map();
+
+  for (let i = 0; i < keys.length; i++)
+    result.set(keys[i], map.get(keys[i]));
+
+  return result;
+};
+
+/*
+  Couchbase cannot make a touch conditional on CAS, or change a document's
+  value with a touch, so these renewals read each document and replace it
+  with its transformed value and a new expiry.  The replace uses the caller's
+  etag as the CAS if there is one, or the CAS just read otherwise, so a
+  document that changed hands since fails the replace with KEY_EXISTS.
+*/
+const touchByReplace = (adapter, prepared, transform, settings) => {
+  const keys = Array.from(prepared.keys());
+
+  return adapter.get(keys)
+    .then((found) => {
+      const replacements = new Map();
+
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const val = found.results[key];
+
+        if (!val.success) continue;
+
+        const entry = prepared.get(key);
+
+        replacements.set(key, {
+          value: transform(val.result.value),
+          options: {
+            cas: elv.coalesce(entry.etag, val.result.cas),
+            expiry: entry.expiry
+          }
+        });
+      }
+
+      return adapter.replace(replacements, settings)
+        .then((replaced) => {
+          const merged = { keys: keys, results: {} };
+
+          for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            const val = found.results[key];
+
+            merged.results[key] = (val.success)
+              ? replaced.results[key]
+              : val;
+          }
+
+          return merged;
+        });
+    });
+};
+
+/*
+  Writes that fail their durability requirements on 2.x clients still happen,
+  so they report the etags of the documents they wrote.
+*/
+const etagOf = (val, reason) => {
+  const written = (val.success
+    || (reason === errors.reasons.durability && elv(val.result)));
+
+  return (written) ? val.result.cas.toString() : undefined;
+};
+
+/*
+  Keys that collided with leases of the same holder are acquired again by
+  replacing their envelopes, with the CAS just read, so that they are held
+  once more and renewed with the new TTL.  Keys held by others stay collided.
+  A reentry that timed out may have landed, so it's retried like conditional
+  writes, and reports its own failure rather than the collision.
+*/
+const reenter = (state, keys, logical, summary, opt, holder, dura) => {
+  const collided = keys.filter((key) => {
+    return summary.get(logical.get(key)).isCollision;
+  });
+
+  if (collided.length === 0) return Promise.resolve(summary);
+
+  const reentered = new Map();
+
+  return batched(state, collided, (batch) => {
+    return state.adapter.get(batch)
+      .then((found) => {
+        const replacements = new Map();
+
+        for (let i = 0; i < batch.length; i++) {
+          const val = found.results[batch[i]];
+
+          if (!val.success || envelope.holderOf(val.result.value) !== holder)
+            continue;
+
+          const doc = envelope.reenter(val.result.value, opt.ttl, opt.now);
+
+          reentered.set(batch[i], doc);
+          replacements.set(batch[i], {
+            value: doc,
+            options: { cas: val.result.cas, expiry: opt.expiry }
+          });
+        }
+
+        return (replacements.size > 0)
+          ? state.adapter.replace(replacements, dura)
+          : { keys: [], results: {} };
+      });
+  }, state.writeRetry)
+    .then((res) => {
+      for (let i = 0; i < res.keys.length; i++) {
+        const key = res.keys[i];
+        const val = res.results[key];
+        const reason = errors.reasonOf(val.err, false);
+        const etag = etagOf(val, reason);
+        const attempts = res.attempts.get(key);
+
+        if (!elv(etag)) {
+          if (reason === errors.reasons.stale) continue;
+
+          Object.assign(summary.get(logical.get(key)), {
+            isCollision: false,
+            reason: reason,
+            attempts: attempts,
+            err: val.err
+          });
+          continue;
+        }
+
+        Object.assign(summary.get(logical.get(key)), {
+          etag: etag,
+          success: val.success,
+          isCollision: false,
+          isDurabilityFailure: reason === errors.reasons.durability,
+          reason: reason,
+          expiresAt: opt.expiresAt,
+          holdCount: reentered.get(key).holdCount,
+          fencingToken: reentered.get(key).fencingToken,
+          attempts: attempts,
+          err: val.err
+        });
+      }
+
+      return summary;
+    });
+};
+
+const failure = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return { success: false, err: err };
+};
+
+/*
+  A holder's release of a lease it holds more than once only takes one hold
+  away, and keeps the lease's expiry.  That replaces the lease, so it reports
+  the new etag the holder keeps it with.  Leases of other holders are reported
+  as stale, like those with stale etags.  Removals without a holder never
+  come here, so they delete leases however many times they're held.  Like
+  reentries, these writes are retried like conditional writes.
+*/
+const releaseHolds = (state, etags, holder, dura) => {
+  const keys = Array.from(etags.keys());
+
+  return state.adapter.get(keys)
+    .then((found) => {
+      const now = state.clock();
+      const results = {};
+      const releases = new Map();
+      const removals = new Map();
+
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const val = found.results[key];
+
+        if (!val.success) {
+          results[key] = val;
+          continue;
+        }
+
+        const doc = val.result.value;
+        const cas = elv.coalesce(etags.get(key), val.result.cas);
+
+        if (envelope.holderOf(doc) !== holder) {
+          results[key] = failure(msg.otherHolder, KEY_EXISTS);
+          continue;
+        }
+
+        const lease = envelope.unwrap(doc).lease;
+
+        if (lease.holdCount <= 1) {
+          removals.set(key, cas);
+          continue;
+        }
+
+        const left = Math.max(0, leaseExpiry(lease).getTime() - now);
+
+        releases.set(key, {
+          value: envelope.release(doc),
+          options: { cas: cas, expiry: ttl.toExpiry(left, now).expiry }
+        });
+      }
+
+      return Promise.all([
+        (releases.size > 0)
+          ? state.adapter.replace(releases, dura)
+          : { results: {} },
+        (removals.size > 0)
+          ? state.adapter.remove(removals, dura)
+          : { results: {} }
+      ])
+        .then((done) => {
+          for (let entry of releases) {
+            results[entry[0]] = Object.assign({
+              holdCount: entry[1].value.holdCount
+            }, done[0].results[entry[0]]);
+          }
+
+          for (let key of removals.keys())
+            results[key] = done[1].results[key];
+
+          return { keys: keys, results: results };
+        });
+    });
+};
+
+/*
+  Readers join and leave shared leases by writing them with the CAS just read,
+  so a reader that races another reads the lease again, up to SHARED_ATTEMPTS
+  times.  The plan for each key returns the lease to `insert` or `replace`,
+  whether to `remove` it, or the `result` to report without writing, and the
+  `extra` fields to report with the write.  Leases expire with their last
+  reader.
+*/
+const SHARED_ATTEMPTS = 10;
+
+const NO_WRITES = Object.freeze({ keys: [], results: {} });
+
+const isConflict = (val) => {
+  const reason = errors.reasonOf(val.err, false);
+  return (reason === errors.reasons.stale
+    || reason === errors.reasons.missing);
+};
+
+const writeShared = (state, keys, plan, expiry, dura) => {
+  const results = {};
+
+  const attempt = (pending, n) => {
+    return state.adapter.get(pending)
+      .then((found) => {
+        const now = state.clock();
+        const inserts = new Map();
+        const replacements = new Map();
+        const removals = new Map();
+        const steps = new Map();
+
+        for (let i = 0; i < pending.length; i++) {
+          const key = pending[i];
+          const val = found.results[key];
+          const reason = errors.reasonOf(val.err, false);
+
+          if (elv(reason) && reason !== errors.reasons.missing) {
+            results[key] = val;
+            continue;
+          }
+
+          const step = plan(key, val, now);
+
+          if (elv(step.result)) {
+            results[key] = step.result;
+            continue;
+          }
+
+          steps.set(key, step);
+
+          if (elv(step.insert)) {
+            step.group = 0;
+            inserts.set(key, { value: step.insert });
+          } else if (elv(step.replace)) {
+            const left = shared.lastExpiry(step.replace) - now;
+
+            step.group = 1;
+            replacements.set(key, {
+              value: step.replace,
+              options: { cas: step.cas, expiry: ttl.toExpiry(left, now).expiry }
+            });
+          } else {
+            step.group = 2;
+            removals.set(key, step.cas);
+          }
+        }
+
+        return Promise.all([
+          (inserts.size > 0)
+            ? state.adapter.insert(inserts, { expiry: expiry }, dura)
+            : NO_WRITES,
+          (replacements.size > 0)
+            ? state.adapter.replace(replacements, dura)
+            : NO_WRITES,
+          (removals.size > 0)
+            ? state.adapter.remove(removals, dura)
+            : NO_WRITES
+        ])
+          .then((done) => {
+            const retries = [];
+
+            for (let entry of steps) {
+              const key = entry[0];
+              const val = done[entry[1].group].results[key];
+
+              if (!val.success && isConflict(val) && n < SHARED_ATTEMPTS)
+                retries.push(key);
+              else
+                results[key] = Object.assign({}, entry[1].extra, val);
+            }
+
+            return (retries.length > 0)
+              ? attempt(retries, n + 1)
+              : undefined;
+          });
+      });
+  };
+
+  return attempt(keys, 1)
+    .then(() => { return { keys: keys, results: results }; });
+};
+
+const acquireShared = (state, docs, opt, reader, dura) => {
+  return writeShared(state, Array.from(docs.keys()), (key, val, now) => {
+    if (!val.success) {
+      return {
+        insert: shared.create(docs.get(key).value, reader.slot, reader.holder,
+          opt.ttl, now),
+        extra: { slot: reader.slot, readerCount: 1 }
+      };
+    }
+
+    if (!shared.isShared(val.result.value))
+      return { result: failure(msg.exclusiveHeld, KEY_EXISTS) };
+
+    const doc = shared
+      .join(val.result.value, reader.slot, reader.holder, opt.ttl, now);
+
+    return {
+      replace: doc,
+      cas: val.result.cas,
+      extra: { slot: reader.slot, readerCount: doc.readerCount }
+    };
+  }, opt.expiry, dura);
+};
+
+/*
+  Readers can only renew and release shared leases they still hold.  Exclusive
+  leases are reported as stale, and slots that expired as missing.
+*/
+const readerPlan = (slot, write) => {
+  return (key, val, now) => {
+    if (!val.success) return { result: val };
+
+    const doc = val.result.value;
+
+    if (!shared.isShared(doc))
+      return { result: failure(msg.exclusiveHeld, KEY_EXISTS) };
+
+    if (!shared.holds(doc, slot, now))
+      return { result: failure(msg.noReader, KEY_MISSING) };
+
+    return write(doc, val.result.cas, now);
+  };
+};
+
+const touchShared = (state, keys, slot, opt, dura) => {
+  return writeShared(state, keys, readerPlan(slot, (doc, cas, now) => {
+    const renewed = shared.renew(doc, slot, opt.ttl, now);
+
+    return {
+      replace: renewed,
+      cas: cas,
+      extra: { readerCount: renewed.readerCount }
+    };
+  }), undefined, dura);
+};
+
+const releaseShared = (state, keys, slot, dura) => {
+  return writeShared(state, keys, readerPlan(slot, (doc, cas, now) => {
+    const left = shared.leave(doc, slot, now);
+    const extra = { readerCount: left.readerCount };
+
+    return (left.readerCount > 0)
+      ? { replace: left, cas: cas, extra: extra }
+      : { remove: true, cas: cas, extra: extra };
+  }), undefined, dura);
+};
+
+/*
+  Shared leases and envelopes both keep their value beside the metadata of
+  who holds it.
+*/
+const unwrap = (doc) => {
+  return (shared.isShared(doc)) ? shared.unwrap(doc) : envelope.unwrap(doc);
+};
+
+/*
+  Fencing tokens come from a counter document beside each lease.  Its counter
+  is bumped before the lease is inserted, and the token is written into the
+  envelope, so every lease holds the token it was acquired with, and a lease
+  is never given its token after a later holder of the key.  Keys whose
+  counter can't be bumped are not inserted, and fail with its error.  Counters
+  never expire, and are not removed with their leases.
+*/
+const FENCE_SUFFIX = '::fence';
+
+const fenceKey = (key) => { return key + FENCE_SUFFIX; };
+
+const insertLeases = (state, entries, options, dura) => {
+  if (!state.fencing) return state.adapter.insert(entries, options, dura);
+
+  const keys = Array.from(entries.keys());
+  const tokens = new Map();
+  const failed = new Map();
+
+  return state.adapter.increment(keys.map(fenceKey))
+    .then((bumped) => {
+      const fenced = new Map();
+
+      for (let i = 0; i < keys.length; i++) {
+        const val = bumped.results[fenceKey(keys[i])];
+        const entry = entries.get(keys[i]);
+
+        if (!val.success) {
+          failed.set(keys[i], { success: false, err: val.err });
+          continue;
+        }
+
+        tokens.set(keys[i], Number(val.result.value));
+        fenced.set(keys[i], Object.assign({}, entry, {
+          value: envelope.fence(entry.value, tokens.get(keys[i]))
+        }));
+      }
+
+      return (fenced.size > 0)
+        ? state.adapter.insert(fenced, options, dura)
+        : { keys: [], results: {} };
+    })
+    .then((res) => {
+      const results = {};
+
+      for (let i = 0; i < keys.length; i++) {
+        results[keys[i]] = (failed.has(keys[i]))
+          ? failed.get(keys[i])
+          : Object.assign({}, res.results[keys[i]], {
+            fencingToken: tokens.get(keys[i])
+          });
+      }
+
+      return { keys: keys, results: results };
+    });
+};
+
+/*
+  Semaphore leases are a set of permit documents for each key, from `key::0`
+  to `key::N-1`, and acquiring one claims any free permit.  Each key tries its
+  permits in turn from a random one, a round at a time, so that acquirers
+  spread over them.  The result is for the last permit each key tried, and
+  maps its document key back to the key, and to the permit's own key.
+*/
+const PERMIT_SEPARATOR = '::';
+
+const permitKey = (key, permit) => { return key + PERMIT_SEPARATOR + permit; };
+
+const permitKeys = (keys, permits) => {
+  const result = [];
+
+  for (let i = 0; i < keys.length; i++) {
+    for (let permit = 0; permit < permits; permit++)
+      result.push(permitKey(keys[i], permit));
+  }
+
+  return result;
+};
+
+const claimPermits = (state, docs, permits, expiry, dura) => {
+  const starts = new Map();
+  const outcomes = new Map();
+
+  for (let key of docs.keys())
+    starts.set(key, Math.floor(Math.random() * permits));
+
+  const round = (pending, n) => {
+    const owners = new Map();
+    const claims = new Map();
+
+    for (let i = 0; i < pending.length; i++) {
+      const key = permitKey(pending[i], (starts.get(pending[i]) + n) % permits);
+
+      owners.set(key, pending[i]);
+      claims.set(key, docs.get(pending[i]));
+    }
+
+    const names = keyspace.translate(state.namespace, claims);
+    const physical = Array.from(names.physical.keys());
+
+    return batched(state, physical, (batch) => {
+      const entries = subset(names.physical, batch);
+      return insertLeases(state, entries, { expiry: expiry }, dura);
+    }, state.writeRetry)
+      .then((res) => {
+        const next = [];
+
+        for (let i = 0; i < res.keys.length; i++) {
+          const val = res.results[res.keys[i]];
+          const permit = names.logical.get(res.keys[i]);
+          const owner = owners.get(permit);
+
+          outcomes.set(owner, {
+            key: res.keys[i],
+            permit: permit,
+            val: val,
+            attempts: res.attempts.get(res.keys[i])
+          });
+
+          if (!val.success && val.err.code === KEY_EXISTS && n + 1 < permits)
+            next.push(owner);
+        }
+
+        return (next.length > 0) ? round(next, n + 1) : undefined;
+      });
+  };
+
+  return round(Array.from(docs.keys()), 0)
+    .then(() => {
+      const res = {
+        keys: [],
+        results: {},
+        attempts: new Map(),
+        logical: new Map(),
+        permits: new Map()
+      };
+
+      for (let key of docs.keys()) {
+        const outcome = outcomes.get(key);
+
+        res.keys.push(outcome.key);
+        res.results[outcome.key] = outcome.val;
+        res.attempts.set(outcome.key, outcome.attempts);
+        res.logical.set(outcome.key, key);
+        res.permits.set(outcome.key, outcome.permit);
+      }
+
+      return res;
+    });
+};
+
+/*
+  Once a key of an atomic insert fails, the keys it wrote are removed with the
+  etags they were just given, so leases that changed hands since are left
+  alone.  Only the keys that were written and then removed are marked as
+  rolled back.  Keys that could not be removed keep their etags.
+*/
+const rollBack = (state, keys, logical, summary, dura) => {
+  const written = new Map();
+  let cause;
+
+  for (let i = 0; i < keys.length; i++) {
+    const val = summary.get(logical.get(keys[i]));
+
+    if (!val.success && !elv(cause)) cause = logical.get(keys[i]);
+    if (elv(val.etag)) written.set(keys[i], val.etag);
+  }
+
+  if (!elv(cause)) return Promise.resolve(summary);
+
+  const removals = Array.from(written.keys());
+  const removing = (removals.length > 0)
+    ? batched(state, removals, (batch) => {
+      return state.adapter.remove(subset(written, batch), dura);
+    })
+    : Promise.resolve({ keys: [], results: {} });
+
+  return removing.then((res) => {
+    for (let i = 0; i < keys.length; i++) {
+      const val = summary.get(logical.get(keys[i]));
+      const removed = res.results[keys[i]];
+
+      val.rollbackCause = cause;
+
+      if (!written.has(keys[i])) continue;
+
+      if (!removed.success
+          && errors.reasonOf(removed.err, false) !== errors.reasons.missing
+      ) {
+        val.err = removed.err;
+        continue;
+      }
+
+      val.isRolledBack = true;
+      val.etag = undefined;
+      val.expiresAt = undefined;
+      val.fencingToken = undefined;
+
+      if (val.success) {
+        val.success = false;
+        val.reason = errors.reasons.rollback;
+      }
+    }
+
+    return summary;
+  });
+};
+
+/*
+  Rejections of aborted waits carry the summary so far, so that the keys that
+  were acquired before the abort can still be released.
+*/
+const aborted = (policy, summary) => {
+  const err = new errors.AbortError(msg.aborted, policy.signal.reason);
+  err.summary = summary;
+  return err;
+};
+
+/*
+  Releases whatever the keys of an insert summary acquired, each with its
+  etag, so that a lease taken since is never removed.  Resolves with the
+  removal summary, if there was anything to release.
+*/
+const releaseAcquired = (store, summary, options) => {
+  const etags = new Map();
+  let slot;
+
+  for (let entry of summary) {
+    if (!entry[1].etag) continue;
+
+    etags.set(elv.coalesce(entry[1].permit, entry[0]), entry[1].etag);
+    slot = entry[1].slot;
+  }
+
+  if (etags.size === 0) return Promise.resolve(undefined);
+
+  return (elv(slot))
+    ? store.removeAsync(Array.from(etags.keys()), { slot: slot })
+    : store.removeAsync(etags, { holder: options.holder });
+};
+
+/*
+  Inserts that time out or are aborted may still land, so whatever they
+  acquired is released.
+*/
+const releaseLate = (store, summary, options) => {
+  releaseAcquired(store, summary, options).catch(() => {});
+};
+
+/*
+  Waits that end with keys still collided release the keys they did acquire,
+  as atomic inserts do, and report them as rolled back because of the first
+  key that is still held.  Keys that could not be released keep their etags.
+*/
+const abandonWait = (store, summary, options, cause) => {
+  for (let val of summary.values()) val.rollbackCause = cause;
+
+  return releaseAcquired(store, summary, options)
+    .then((res) => {
+      const released = (elv(res)) ? res.succeeded : [];
+
+      for (let entry of summary) {
+        const val = entry[1];
+
+        if (released.indexOf(elv.coalesce(val.permit, entry[0])) === -1)
+          continue;
+
+        val.isRolledBack = true;
+        val.success = false;
+        val.reason = errors.reasons.rollback;
+        val.etag = undefined;
+        val.expiresAt = undefined;
+        val.fencingToken = undefined;
+      }
+
+      return summary;
+    }, () => { return summary; });
+};
+
+/*
+  The milliseconds until the earliest of the current leases on the keys
+  expires: 0 if one was released already, or undefined if none of their
+  expiries can be read.
+*/
+const untilExpiry = (store, state, keys) => {
+  if (!state.adapter.canGet) return Promise.resolve(undefined);
+
+  return store.getAsync(keys)
+    .then((found) => {
+      const now = state.clock();
+      let earliest;
+
+      for (let val of found.values()) {
+        if (val.isMissing) return 0;
+        if (!(val.expiresAt instanceof Date)) continue;
+
+        const left = Math.max(0, val.expiresAt.getTime() - now);
+        earliest = (elv(earliest)) ? Math.min(earliest, left) : left;
+      }
+
+      return earliest;
+    })
+    .catch(() => { return undefined; });
+};
+
+/*
+  Envelopes record when leases were last renewed, and for how long, which
+  stands in for the expiry when it can't be read from Couchbase.
+*/
+const leaseExpiry = (lease) => {
+  if (!lease) return undefined;
+  return new Date(lease.renewedAt.getTime() + lease.ttl);
+};
+
+/*
+  Expiries are read one key at a time, so they're held to the adapter's
+  concurrency like the operations it fans out.
+*/
+const getWithExpiries = (adapter, keys) => {
+  if (!adapter.canGet)
+    throw new TypeError(msg.noGet);
+
+  return adapter.get(keys)
+    .then((found) => {
+      const read = (key) => {
+        return (found.results[key].success)
+          ? adapter.expiry(key)
+          : undefined;
+      };
+
+      return concurrency.mapLimit(keys, adapter.concurrency, read)
+        .then((expiries) => {
+          return { docs: found.results, expiries: expiries };
+        });
+    });
+};
+
+class Store extends EventEmitter {
+
+  static get reasons() { return errors.reasons; }
+
+  static get StoreError() { return errors.StoreError; }
+  static get AbortError() { return errors.AbortError; }
+  static get AuthError() { return errors.AuthError; }
+  static get CircuitOpenError() { return errors.CircuitOpenError; }
+  static get CollisionError() { return errors.CollisionError; }
+  static get DeadlineError() { return errors.DeadlineError; }
+  static get DurabilityError() { return errors.DurabilityError; }
+  static get MissingError() { return errors.MissingError; }
+  static get RollbackError() { return errors.RollbackError; }
+  static get StaleError() { return errors.StaleError; }
+  static get TimeoutError() { return errors.TimeoutError; }
+  static get TransientError() { return errors.TransientError; }
+
+  static get circuitStates() { return breaker.states; }
+  static get durabilityLevels() { return durability.levels; }
+
+  static get KeepAlive() { return KeepAlive; }
+
+  static get SpanInstrumentation() {
+    return instrumentation.SpanInstrumentation;
+  }
 
   constructor(options) {
+    super();
     assertConstOptions(options);
+
+    const clock = assertClock(options.clock);
+    const circuit = breaker.create(options.circuitBreaker, clock, (state) => {
+      this.emit('circuit', state);
+    });
+    const adapter = breaker.guard(adapters.create(options, clock), circuit);
+    const settings = envelope.create(options.envelope);
+
+    if (settings && !adapter.canReplace)
+      throw new TypeError(msg.noEnvelopeTouch);
+
+    const policy = retry.create(options.retry);
+
     me.set(this, {
-      bucket: options.bucket
+      adapter: adapter,
+      batching: batching.create(options),
+      circuit: circuit,
+      clock: clock,
+      durability: assertDurability(adapter, options),
+      envelope: settings,
+      fencing: assertFencing(adapter, options.fencing, settings),
+      inverse: keyspace.createInverse(options),
+      listing: listing.create(options),
+      namespace: keyspace.create(options),
+      retry: policy,
+      writeRetry: retry.forWrites(policy)
     });
+
+    instrumentation.attach(this, options.instrumentation);
   }
 
-  insert(docs, options, callback) {
+  acquireWaitAsync(docs, options) {
+    const state = me.get(this);
+
+    assertOptions(options, state.clock());
+    assertDocs(docs);
+
+    const policy = waiting.create(options);
+
+    if (waiting.isAborted(policy))
+      return Promise.reject(aborted(policy, new Map()));
+
+    // Waits check their signal and timeout between attempts, rather than
+    // handing them on to the inserts, so an attempt is never cut short.
+    const inserting = Object.assign({}, options);
+    delete inserting.timeout;
+    delete inserting.signal;
+
+    const started = state.clock();
+    const summary = new Map();
+
+    const abandon = (cause) => {
+      return abandonWait(this, summary, options, cause);
+    };
+
+    const settle = (res, poll) => {
+      const now = state.clock();
+      const collided = [];
+
+      for (let entry of res) {
+        entry[1].waited = now - started;
+        summary.set(entry[0], entry[1]);
+        if (entry[1].isCollision) collided.push(entry[0]);
+      }
+
+      if (collided.length === 0) return summary;
+
+      if (waiting.isAborted(policy)) {
+        return abandon(collided[0])
+          .then(() => { throw aborted(policy, summary); });
+      }
+
+      const remaining = started + policy.timeout - now;
+
+      if (remaining <= 0) return abandon(collided[0]);
+
+      // Keys with permits are free again once any of their permits expires.
+      const held = (elv(options.permits))
+        ? permitKeys(collided, options.permits)
+        : collided;
+
+      return untilExpiry(this, state, held)
+        .then((until) => {
+          const ms = waiting.delay(policy, poll, until, remaining);
+          return waiting.sleep(policy, ms);
+        })
+        .then(() => {
+          if (!waiting.isAborted(policy))
+            return this.insertAsync(subset(docs, collided), inserting);
+
+          return abandon(collided[0])
+            .then(() => { throw aborted(policy, summary); });
+        })
+        .then((next) => { return settle(next, poll + 1); });
+    };
+
+    return this.insertAsync(docs, inserting)
+      .then((res) => { return settle(res, 1); });
+  }
+
+  autoRenew(keys, options) {
+    const state = me.get(this);
+    const keepAlive = new KeepAlive(this, keys, options);
+
+    // Every renewal is conditional, so it could never succeed.
+    if (!state.adapter.canReplace)
+      throw new TypeError((elv(options.slot))
+        ? msg.noShared
+        : msg.noConditionalTouch);
+
+    return keepAlive.start();
+  }
+
+  get(keys, callback) {
     assertCallback(callback);
 
     const cb = callback;
 
-    this.insertAsync(docs, options)
-      .then((summary) => {
-        cb(undefined, summary);
+    this.getAsync(keys)
+      .then((res) => {
+        cb(undefined, res);
       })
       .catch((err) => {
         cb(err);
       });
   }
 
-  insertAsync(docs, options) {
-    const prepared = assertDocs(docs);
-    const opt = assertOptions(options);
+  getAsync(keys) {
+    const state = me.get(this);
+    const names = keyspace.translate(state.namespace, assertGetKeys(keys));
+    const physical = Array.from(names.physical.keys());
 
-    return me.get(this).bucket.insertMultiAsync(prepared, opt)
+    return getWithExpiries(state.adapter, physical)
       .then((res) => {
         const summary = new Map();
 
-        for (let i = 0; i < res.keys.length; i++) {
-          const key = res.keys[i];
-          const val = res.results[key];
-          const result = val.result;
-
-          summary.set(key, {
-            etag: (val.success) ? result.cas.toString() : undefined,
-            success: val.success,
-            isCollision: (val.success) ? false : val.err.code === KEY_EXISTS,
+        for (let i = 0; i < physical.length; i++) {
+          const val = res.docs[physical[i]];
+          const doc = val.result;
+          const found = val.success;
+          const content = (found) ? unwrap(doc.value) : {};
+          const expiresAt = (typeof res.expiries[i] === 'undefined')
+            ? leaseExpiry(content.lease)
+            : res.expiries[i];
+
+          summary.set(names.logical.get(physical[i]), {
+            value: content.value,
+            etag: (found) ? doc.cas.toString() : undefined,
+            isMissing: (found) ? false : val.err.code === KEY_MISSING,
+            reason: errors.reasonOf(val.err, false),
+            expiresAt: expiresAt,
+            lease: content.lease,
+            readers: content.readers,
             err: val.err
           });
         }
@@ -160,44 +1266,338 @@ class Store {
       });
   }
 
-  remove(keys, callback) {
+  healthAsync() {
+    const state = me.get(this);
+
+    if (!state.adapter.canGet)
+      throw new TypeError(msg.noGet);
+
+    const key = state.namespace(HEALTH_KEY);
+    const started = Date.now();
+
+    return state.adapter.get([ key ])
+      .then((res) => {
+        const val = res.results[key];
+        const reason = errors.reasonOf(val.err, false);
+
+        return (elv(reason) && reason !== errors.reasons.missing)
+          ? errors.create(reason, val.err)
+          : undefined;
+      }, (err) => { return err; })
+      .then((err) => {
+        return {
+          isHealthy: !elv(err),
+          latency: Date.now() - started,
+          circuit: (state.circuit) ? state.circuit.state : undefined,
+          err: err
+        };
+      });
+  }
+
+  insert(docs, options, callback) {
     assertCallback(callback);
 
     const cb = callback;
 
-    this.removeAsync(keys)
-      .then((res) => {
-        cb(undefined, res);
+    this.insertAsync(docs, options)
+      .then((summary) => {
+        cb(undefined, summary);
       })
       .catch((err) => {
         cb(err);
       });
   }
 
-  removeAsync(keys) {
-    assertKeys(keys);
+  insertAsync(docs, options) {
+    const state = me.get(this);
+    const opt = assertOptions(options, state.clock());
+    const prepared = assertDocs(docs);
+    const names = keyspace.translate(state.namespace, prepared);
+
+    if (elv(options.atomic) && typeof options.atomic !== 'boolean')
+      throw new TypeError(msg.inOptionsAtomic);
+
+    const holder = assertHolder(state, options);
+
+    if (elv(holder) && options.atomic)
+      throw new TypeError(msg.noHolderAtomic);
+
+    const isShared = assertMode(state, options);
+    const slot = assertSlot(state, options);
+
+    if (elv(slot) && !isShared)
+      throw new TypeError(msg.noSlotMode);
+
+    if (isShared && options.atomic)
+      throw new TypeError(msg.noSharedAtomic);
+
+    if (isShared && state.fencing)
+      throw new TypeError(msg.noSharedFencing);
+
+    const permits = assertPermits(options);
+
+    if (elv(permits) && isShared)
+      throw new TypeError(msg.noPermitsShared);
+
+    if (elv(permits) && elv(holder))
+      throw new TypeError(msg.noPermitsHolder);
+
+    // Readers are recorded with the Store's holder when there's no other.
+    const reader = (isShared)
+      ? {
+        slot: (elv(slot)) ? slot : shared.createSlot(),
+        holder: elv.coalesce(holder, elv.coalesce(state.envelope, {}).holder)
+      }
+      : undefined;
+
+    if (state.envelope && !isShared) {
+      for (let entry of names.physical.values()) {
+        entry.value = envelope
+          .wrap(state.envelope, entry.value, opt.ttl, opt.now, holder);
+      }
+    }
+
+    const physical = Array.from(names.physical.keys());
+    const dura = assertDurability(state.adapter, options, state.durability);
+
+    const limit = deadline.create(options);
+
+    return deadline.race(limit, () => {
+      const probe = instrumentation.probe(this, 'insert', physical.length);
+
+      const acquiring = (elv(permits))
+        ? claimPermits(state, prepared, permits, opt.expiry, dura)
+        : batched(state, physical, (batch) => {
+          const entries = subset(names.physical, batch);
+
+          return (isShared)
+            ? acquireShared(state, entries, opt, reader, dura)
+            : insertLeases(state, entries, { expiry: opt.expiry }, dura);
+        }, state.writeRetry);
+
+      return acquiring
+        .then((res) => {
+          const logical = elv.coalesce(res.logical, names.logical);
+          const granted = elv.coalesce(res.permits, new Map());
+          const summary = new Map();
+
+          for (let i = 0; i < res.keys.length; i++) {
+            const val = res.results[res.keys[i]];
+            const reason = errors.reasonOf(val.err, true);
+            const etag = etagOf(val, reason);
+
+            summary.set(logical.get(res.keys[i]), {
+              etag: etag,
+              success: val.success,
+              isCollision: (val.success) ? false : val.err.code === KEY_EXISTS,
+              isDurabilityFailure: reason === errors.reasons.durability,
+              reason: reason,
+              expiresAt: (etag) ? opt.expiresAt : undefined,
+              holdCount: (etag && state.envelope && !isShared) ? 1 : undefined,
+              slot: val.slot,
+              readerCount: val.readerCount,
+              permit: (etag) ? granted.get(res.keys[i]) : undefined,
+              isRolledBack: false,
+              rollbackCause: undefined,
+              fencingToken: (etag) ? val.fencingToken : undefined,
+              attempts: res.attempts.get(res.keys[i]),
+              err: val.err
+            });
+          }
+
+          const reentered = (elv(holder) && !isShared)
+            ? reenter(state, res.keys, logical, summary, opt, holder, dura)
+            : Promise.resolve(summary);
+
+          return (options.atomic)
+            ? rollBack(state, res.keys, logical, summary, dura)
+            : reentered;
+        })
+        .then(probe.finish, probe.fail);
+    }, (summary) => {
+      releaseLate(this, summary, options);
+    });
+  }
+
+  isTokenCurrentAsync(key, token) {
+    const state = me.get(this);
+
+    if (typeof key !== 'string' || key.length === 0)
+      throw new TypeError(msg.invalidKey);
 
-    return me.get(this).bucket.removeMultiAsync(keys)
+    if (typeof token !== 'number')
+      throw new TypeError(msg.invalidToken);
+
+    if (!state.fencing)
+      throw new TypeError(msg.noFencing);
+
+    const names = keyspace
+      .translate(state.namespace, new Map([ [ key, undefined ] ]));
+    const physical = names.physical.keys().next().value;
+
+    return state.adapter.get([ physical ])
       .then((res) => {
-        const summary = {
-          succeeded: [],
-          failed: []
-        };
+        const val = res.results[physical];
+        const reason = errors.reasonOf(val.err, false);
 
-        for (let i = 0; i < res.keys.length; i++) {
-          const key = res.keys[i];
-          const val = res.results[key];
+        if (reason === errors.reasons.missing) return false;
+        if (elv(reason)) throw errors.create(reason, val.err);
+
+        const lease = envelope.unwrap(val.result.value).lease;
+
+        return elv(lease) && lease.fencingToken === token;
+      });
+  }
+
+  listAsync(options) {
+    const state = me.get(this);
+    const opts = listing.assertOptions(options);
+
+    if (!elv(state.listing))
+      throw new TypeError(msg.noQuery);
+
+    if (!elv(state.inverse))
+      throw new TypeError(msg.noListNamespace);
+
+    // Without a prefix, the query would list every document in the bucket,
+    // and there's no telling which of them are leases.
+    const prefix = state.namespace(opts.prefix);
 
-          if (val.success || val.err.code === KEY_MISSING)
-            summary.succeeded.push(key);
-          else
-            summary.failed.push(key);
+    if (prefix.length === 0)
+      throw new TypeError(msg.noListPrefix);
+
+    const parameters = {
+      prefix: prefix,
+      after: opts.cursor,
+      exclude: FENCE_SUFFIX,
+      limit: opts.limit
+    };
+
+    return listing.run(state.listing, parameters)
+      .then((page) => {
+        const leases = [];
+
+        for (let i = 0; i < page.rows.length; i++) {
+          const row = page.rows[i];
+          const content = unwrap(row.doc);
+
+          leases.push({
+            key: state.inverse(row.id),
+            holder: (content.lease) ? content.lease.holder : undefined,
+            etag: String(row.cas),
+            expiresAt: listing.expiryOf(row),
+            value: content.value,
+            lease: content.lease,
+            readers: content.readers
+          });
         }
 
-        return summary;
+        return { leases: leases, cursor: page.cursor };
       });
   }
 
+  remove(keys, options, callback) {
+    const cb = (typeof options === 'function') ? options : callback;
+    const opts = (typeof options === 'function') ? undefined : options;
+
+    assertCallback(cb);
+
+    this.removeAsync(keys, opts)
+      .then((res) => {
+        cb(undefined, res);
+      })
+      .catch((err) => {
+        cb(err);
+      });
+  }
+
+  removeAsync(keys, options) {
+    const state = me.get(this);
+    const opts = assertRemoveOptions(options);
+    const prepared = assertRemoveKeys(keys);
+    const names = keyspace.translate(state.namespace, prepared);
+
+    const holder = assertHolder(state, opts);
+    const slot = assertSlot(state, opts);
+
+    if (elv(slot) && keys instanceof Map)
+      throw new TypeError(msg.noSlotEtags);
+
+    if (elv(slot) && elv(holder))
+      throw new TypeError(msg.noSlotHolder);
+
+    const conditional = keys instanceof Map;
+    const physical = Array.from(names.physical.keys());
+    const dura = assertDurability(state.adapter, opts, state.durability);
+    const policy = (conditional || elv(holder))
+      ? state.writeRetry
+      : undefined;
+
+    const limit = deadline.create(opts);
+
+    return deadline.race(limit, () => {
+      const probe = instrumentation.probe(this, 'remove', physical.length);
+
+      return batched(state, physical, (batch) => {
+        const etags = subset(names.physical, batch);
+
+        if (elv(slot)) return releaseShared(state, batch, slot, dura);
+
+        return (elv(holder))
+          ? releaseHolds(state, etags, holder, dura)
+          : state.adapter.remove(etags, dura);
+      }, policy)
+        .then((res) => {
+          const summary = {
+            succeeded: [],
+            failed: [],
+            stale: [],
+            undurable: [],
+            held: new Map(),
+            etags: new Map(),
+            readers: new Map(),
+            errors: new Map(),
+            attempts: new Map()
+          };
+
+          for (let i = 0; i < res.keys.length; i++) {
+            const key = names.logical.get(res.keys[i]);
+            const val = res.results[res.keys[i]];
+            const reason = errors.reasonOf(val.err, false);
+            const isMissing = reason === errors.reasons.missing;
+
+            summary.attempts.set(key, res.attempts.get(res.keys[i]));
+
+            if (val.success && elv(val.holdCount)) {
+              summary.held.set(key, val.holdCount);
+              summary.etags.set(key, val.result.cas.toString());
+            }
+
+            if (val.success && elv(val.readerCount))
+              summary.readers.set(key, val.readerCount);
+
+            if (val.success || (isMissing && !conditional)) {
+              summary.succeeded.push(key);
+              continue;
+            }
+
+            // A lease that's gone can't still be the one an etag was for.
+            if (reason === errors.reasons.stale || isMissing)
+              summary.stale.push(key);
+            else if (reason === errors.reasons.durability)
+              summary.undurable.push(key);
+            else
+              summary.failed.push(key);
+
+            summary.errors.set(key, errors.create(reason, val.err));
+          }
+
+          return summary;
+        })
+        .then(probe.finish, probe.fail);
+    });
+  }
+
   touch(keys, options, callback) {
     assertCallback(callback);
 
@@ -213,28 +1613,71 @@ class Store {
   }
 
   touchAsync(keys, options) {
-    const opt = assertOptions(options);
+    const state = me.get(this);
+    const opt = assertOptions(options, state.clock());
     const prepared = assertTouchKeys(keys, opt);
+    const names = keyspace.translate(state.namespace, prepared);
+    const slot = assertSlot(state, options);
 
-    return me.get(this).bucket.touchMultiAsync(prepared)
-      .then((res) => {
-        const summary = new Map();
+    if (elv(slot) && keys instanceof Map)
+      throw new TypeError(msg.noSlotEtags);
 
-        for (let i = 0; i < res.keys.length; i++) {
-          const key = res.keys[i];
-          const val = res.results[key];
-          const result = val.result;
-
-          summary.set(key, {
-            etag: (val.success) ? result.cas.toString() : undefined,
-            success: val.success,
-            isMissing: (val.success) ? false : val.err.code === KEY_MISSING,
-            err: val.err
-          });
-        }
+    const transform = (state.envelope)
+      ? (doc) => { return envelope.renew(doc, opt.ttl, opt.now); }
+      : (doc) => { return doc; };
 
-        return summary;
-      });
+    const physical = Array.from(names.physical.keys());
+    const dura = assertDurability(state.adapter, options, state.durability);
+    const durable = durability.isDurable(dura);
+    const replace = (state.envelope || keys instanceof Map || durable);
+    const policy = (keys instanceof Map) ? state.writeRetry : undefined;
+
+    // Couchbase has no durable touches, so durable renewals are replaces.
+    if (durable && !state.adapter.canReplace)
+      throw new TypeError(msg.noDurableTouch);
+
+    if (keys instanceof Map && !state.adapter.canReplace)
+      throw new TypeError(msg.noConditionalTouch);
+
+    const limit = deadline.create(options);
+
+    return deadline.race(limit, () => {
+      const probe = instrumentation.probe(this, 'touch', physical.length);
+
+      return batched(state, physical, (batch) => {
+        if (elv(slot)) return touchShared(state, batch, slot, opt, dura);
+
+        const entries = subset(names.physical, batch);
+        return (replace)
+          ? touchByReplace(state.adapter, entries, transform, dura)
+          : state.adapter.touch(entries);
+      }, policy)
+        .then((res) => {
+          const summary = new Map();
+
+          for (let i = 0; i < res.keys.length; i++) {
+            const val = res.results[res.keys[i]];
+            const reason = errors.reasonOf(val.err, false);
+            const etag = etagOf(val, reason);
+
+            summary.set(names.logical.get(res.keys[i]), {
+              etag: etag,
+              success: val.success,
+              isMissing: (val.success) ? false : val.err.code === KEY_MISSING,
+              isStale: (val.success) ? false : val.err.code === KEY_EXISTS,
+              isDurabilityFailure: reason === errors.reasons.durability,
+              reason: reason,
+              expiresAt: (etag) ? opt.expiresAt : undefined,
+              readerCount: val.readerCount,
+              attempts: res.attempts.get(res.keys[i]),
+              err: val.err
+            });
+          }
+
+          return summary;
+        })
+        .then(probe.finish, probe.fail);
+    });
   }
 
 }
@@ -0,0 +1,58 @@
+'use strict';
+
+const msg = {
+  ttlNotFinite: 'Arg "ttl" must be a finite number',
+  ttlNegative: 'Arg "ttl" must be greater than or equal to zero'
+};
+
+/*
+  Couchbase reads any expiry greater than 30 days (in seconds) as an absolute
+  Unix timestamp instead of a relative offset.
+*/
+const MAX_RELATIVE = 30 * 24 * 60 * 60;
+
+const assertTtl = (ttl) => {
+  if (typeof ttl !== 'number' || !isFinite(ttl))
+    throw new TypeError(msg.ttlNotFinite);
+
+  if (ttl < 0)
+    throw new TypeError(msg.ttlNegative);
+};
+
+/**
+ * Converts a TTL in milliseconds to a Couchbase expiry.
+ *
+ * Couchbase expiries are whole seconds, and an expiry of 0 means "never
+ * expire," so TTLs are rounded up to at least 1 second.  TTLs longer than 30
+ * days are converted to absolute expiries.
+ *
+ * @param {number} ttl - The TTL in milliseconds.
+ * @param {number} now - The current time in milliseconds since the epoch.
+ *
+ * @returns {object} The `expiry` to send to Couchbase, and the `expiresAt`
+ * Date it corresponds to.
+ */
+const toExpiry = (ttl, now) => {
+  assertTtl(ttl);
+
+  const seconds = Math.max(1, Math.ceil(ttl / 1000));
+
+  if (seconds <= MAX_RELATIVE) {
+    return {
+      expiry: seconds,
+      expiresAt: new Date(now + seconds * 1000)
+    };
+  }
+
+  const absolute = Math.ceil((now + ttl) / 1000);
+
+  return {
+    expiry: absolute,
+    expiresAt: new Date(absolute * 1000)
+  };
+};
+
+module.exports = {
+  MAX_RELATIVE: MAX_RELATIVE,
+  toExpiry: toExpiry
+};
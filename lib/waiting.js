@@ -0,0 +1,122 @@
+'use strict';
+
+const elv = require('elv');
+
+const deadline = require('./deadline');
+const retry = require('./retry');
+
+const msg = {
+  noTimeout: 'Arg "options" requires the key "timeout"',
+  invalidTimeout: 'Arg options.timeout must be a number greater than or equal '
+    + 'to zero',
+  invalidPollInterval: 'Arg options.pollInterval must be a finite number '
+    + 'greater than zero',
+  invalidSignal: 'Arg options.signal must be an AbortSignal',
+  noAtomic: 'Arg options.atomic cannot be used when waiting for keys'
+};
+
+const DEFAULT_POLL_INTERVAL = 100;
+
+/*
+  Waits double with each poll, up to 32 times the poll interval, and jitter
+  takes up to half of each wait away at random, so that callers waiting on the
+  same keys spread out.
+*/
+const MAX_DOUBLINGS = 5;
+const JITTER = 0.5;
+
+/**
+ * Creates a waiting policy from the options of `Store#acquireWaitAsync()`.
+ *
+ * @param {object} options - The options.
+ *
+ * @returns {object} The policy: the `timeout` and `pollInterval` in
+ * milliseconds, and the `signal`, if any.
+ */
+const create = (options) => {
+  if (!options.hasOwnProperty('timeout'))
+    throw new TypeError(msg.noTimeout);
+
+  const timeout = options.timeout;
+  const pollInterval = elv.coalesce(
+    options.pollInterval,
+    DEFAULT_POLL_INTERVAL
+  );
+
+  if (typeof timeout !== 'number' || !(timeout >= 0))
+    throw new TypeError(msg.invalidTimeout);
+
+  if (typeof pollInterval !== 'number'
+      || !isFinite(pollInterval)
+      || pollInterval <= 0
+  )
+    throw new TypeError(msg.invalidPollInterval);
+
+  if (elv(options.signal) && !deadline.isSignal(options.signal))
+    throw new TypeError(msg.invalidSignal);
+
+  if (options.atomic)
+    throw new TypeError(msg.noAtomic);
+
+  return {
+    timeout: timeout,
+    pollInterval: pollInterval,
+    signal: options.signal
+  };
+};
+
+const isAborted = (policy) => {
+  return deadline.isAborted(policy);
+};
+
+/**
+ * The time to wait before the given poll: a jittered backoff from the poll
+ * interval, but no longer than until the earliest current lease expires, or
+ * the time that remains.
+ *
+ * @param {object} policy - The waiting policy.
+ * @param {number} poll - The number of the poll, from 1.
+ * @param {number} untilExpiry - The milliseconds until the earliest of the
+ * current leases expires, if known.
+ * @param {number} remaining - The milliseconds until the timeout.
+ */
+const delay = (policy, poll, untilExpiry, remaining) => {
+  const backoff = retry.backoff({
+    delay: policy.pollInterval,
+    jitter: JITTER
+  }, Math.min(poll, MAX_DOUBLINGS + 1));
+
+  const wait = (elv(untilExpiry)) ? Math.min(backoff, untilExpiry) : backoff;
+  return Math.max(0, Math.min(wait, remaining));
+};
+
+/**
+ * Waits for the given time, or until the policy's signal aborts.
+ */
+const sleep = (policy, ms) => {
+  const signal = policy.signal;
+
+  return new Promise((resolve) => {
+    let timer;
+
+    const wake = () => {
+      clearTimeout(timer);
+
+      if (elv(signal) && typeof signal.removeEventListener === 'function')
+        signal.removeEventListener('abort', wake);
+
+      resolve();
+    };
+
+    timer = setTimeout(wake, ms);
+    if (elv(signal)) signal.addEventListener('abort', wake);
+  });
+};
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL: DEFAULT_POLL_INTERVAL,
+  create: create,
+  delay: delay,
+  isAborted: isAborted,
+  sleep: sleep
+};
@@ -0,0 +1,902 @@
+'use strict';
+
+const assert = require('chai').assert;
+const couchbase = require('couchbase');
+const promises = require('couchbase-promises');
+
+const adapters = require('../../lib/adapters');
+const durability = require('../../lib/durability');
+const CallbackAdapter = require('../../lib/adapters/callback');
+const CollectionAdapter = require('../../lib/adapters/collection');
+const MultiAdapter = require('../../lib/adapters/multi');
+
+describe('adapters', () => {
+  const collection = (ops) => {
+    return Object.assign({
+      insert: () => Promise.resolve({ cas: 1 }),
+      touch: () => Promise.resolve({ cas: 1 }),
+      remove: () => Promise.resolve({ cas: 1 })
+    }, ops);
+  };
+
+  const sdkError = (name) => {
+    const err = new Error(name);
+    err.name = name;
+    return err;
+  };
+
+  describe('#create', () => {
+    it('should create MultiAdapter for couchbase-promises buckets', () => {
+      const cluster = new promises.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+      const adapter = adapters.create({ bucket: bucket });
+      assert.instanceOf(adapter, MultiAdapter);
+    });
+
+    it('should create CallbackAdapter for plain buckets', () => {
+      const cluster = new couchbase.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+      const adapter = adapters.create({ bucket: bucket });
+      assert.instanceOf(adapter, CallbackAdapter);
+    });
+
+    it('should throw if concurrency not integer', () => {
+      const cluster = new couchbase.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, concurrency: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if concurrency less than 1', () => {
+      const cluster = new couchbase.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, concurrency: 0 });
+      }, TypeError);
+    });
+
+    it('should create CollectionAdapter for collections', () => {
+      const adapter = adapters.create({ collection: collection() });
+      assert.instanceOf(adapter, CollectionAdapter);
+    });
+
+    it('should give every adapter its concurrency', () => {
+      const plain = new couchbase.Mock.Cluster('couchbase://localhost');
+      const multi = new promises.Mock.Cluster('couchbase://localhost');
+      const buckets = [
+        { bucket: plain.openBucket('default') },
+        { bucket: multi.openBucket('default') },
+        { collection: collection() }
+      ];
+
+      for (let options of buckets) {
+        assert.strictEqual(
+          adapters.create(options).concurrency,
+          adapters.DEFAULT_CONCURRENCY
+        );
+
+        options.concurrency = 3;
+        assert.strictEqual(adapters.create(options).concurrency, 3);
+      }
+    });
+
+    it('should throw if concurrency invalid for multi buckets', () => {
+      const cluster = new promises.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, concurrency: 0 });
+      }, TypeError);
+    });
+
+    it('should open default collection of scoped buckets', () => {
+      const opened = [];
+      const bucket = {
+        scope: (name) => {
+          opened.push(name);
+          return {
+            collection: (name) => {
+              opened.push(name);
+              return collection();
+            }
+          };
+        }
+      };
+
+      const adapter = adapters.create({ bucket: bucket });
+      assert.instanceOf(adapter, CollectionAdapter);
+      assert.deepEqual(opened, [ '_default', '_default' ]);
+    });
+
+    it('should open named collection of scoped buckets', () => {
+      const opened = [];
+      const bucket = {
+        scope: (name) => {
+          opened.push(name);
+          return {
+            collection: (name) => {
+              opened.push(name);
+              return collection();
+            }
+          };
+        }
+      };
+
+      adapters.create({ bucket: bucket, scope: 'app', collection: 'leases' });
+      assert.deepEqual(opened, [ 'app', 'leases' ]);
+    });
+
+    it('should throw if scope name not string', () => {
+      const bucket = { scope: () => {} };
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, scope: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if collection name empty', () => {
+      const bucket = { scope: () => {} };
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, collection: '' });
+      }, TypeError);
+    });
+
+    it('should throw if collection named for bucket without scopes', () => {
+      const cluster = new promises.Mock.Cluster('couchbase://localhost');
+      const bucket = cluster.openBucket('default');
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, collection: 'leases' });
+      }, TypeError);
+
+      assert.throws(() => {
+        adapters.create({ bucket: bucket, scope: 'app' });
+      }, TypeError);
+    });
+
+    it('should give collections the clock', (done) => {
+      let expiry;
+      const adapter = adapters.create({
+        collection: collection({
+          insert: (key, value, options) => {
+            expiry = options.expiry;
+            return Promise.resolve({ cas: key });
+          }
+        })
+      }, () => { return 1000000000; });
+
+      adapter.insert(new Map([ [ 'a', { value: 1 } ] ]), {
+        expiry: 1000000 + 40 * 24 * 60 * 60
+      })
+        .then(() => {
+          assert.strictEqual(expiry, 40 * 24 * 60 * 60);
+          done();
+        });
+    });
+
+    it('should throw if bucket has neither multi nor single ops', () => {
+      assert.throws(() => {
+        adapters.create({ bucket: { insert: () => {} } });
+      }, TypeError);
+    });
+  });
+
+  describe('MultiAdapter', () => {
+    it('should throw if bucket has no insertMultiAsync() method', () => {
+      assert.throws(() => {
+        const test = new MultiAdapter({
+          removeMultiAsync: () => {},
+          touchMultiAsync: () => {}
+        });
+      }, TypeError);
+    });
+
+    it('should not get or replace without methods', () => {
+      const adapter = new MultiAdapter({
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: () => {}
+      });
+
+      assert.isTrue(adapter.canGet);
+      assert.isFalse(adapter.canReplace);
+    });
+
+    it('should not have durability levels', () => {
+      const adapter = new MultiAdapter({
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      });
+
+      assert.isFalse(adapter.hasDurabilityLevels);
+    });
+
+    it('should count with counterMultiAsync() method', () => {
+      const ops = {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      };
+
+      assert.isFalse(new MultiAdapter(ops).canCount);
+
+      ops.counterMultiAsync = () => {};
+      assert.isTrue(new MultiAdapter(ops).canCount);
+    });
+
+    it('should increment each counter from 1', (done) => {
+      const cluster = new promises.Mock.Cluster('couchbase://localhost');
+      const adapter = new MultiAdapter(cluster.openBucket('default'));
+
+      adapter.increment([ 'a', 'b' ])
+        .then((res) => {
+          assert.deepEqual(res.keys, [ 'a', 'b' ]);
+          assert.strictEqual(res.results.a.result.value, 1);
+          return adapter.increment([ 'a' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.results.a.result.value, 2);
+          done();
+        });
+    });
+
+    it('should pass durability to each operation', (done) => {
+      const calls = [];
+      const record = (name) => {
+        return (keys, options) => {
+          calls.push([ name, options ]);
+          return Promise.resolve({ keys: [], results: {} });
+        };
+      };
+
+      const adapter = new MultiAdapter({
+        insertMultiAsync: record('insert'),
+        removeMultiAsync: record('remove'),
+        touchMultiAsync: () => {},
+        getMultiAsync: () => {},
+        replaceMultiAsync: record('replace')
+      });
+
+      const settings = durability.create({ persistTo: 1, replicateTo: 1 });
+      const observe = { persist_to: 1, replicate_to: 1 };
+
+      Promise.all([
+        adapter.insert(new Map(), { expiry: 5 }, settings),
+        adapter.remove(new Map([ [ 'a', undefined ] ]), settings),
+        adapter.remove(new Map([ [ 'b', '1' ] ]), settings),
+        adapter.replace(new Map([
+          [ 'c', { value: 1, options: { cas: '2', expiry: 5 } } ]
+        ]), settings)
+      ])
+        .then(() => {
+          assert.deepEqual(calls[0], [
+            'insert',
+            Object.assign({ expiry: 5 }, observe)
+          ]);
+          assert.deepEqual(calls[1], [ 'remove', observe ]);
+          assert.deepEqual(calls[2], [
+            'remove',
+            Object.assign({ cas: '1' }, observe)
+          ]);
+          assert.strictEqual(calls[3][0], 'replace');
+          done();
+        });
+    });
+
+    it('should pass durability in options of replacements', (done) => {
+      let replaced;
+      const adapter = new MultiAdapter({
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: () => {},
+        replaceMultiAsync: (docs) => {
+          replaced = docs;
+          return Promise.resolve({ keys: [], results: {} });
+        }
+      });
+
+      const settings = durability.create({ persistTo: 1 });
+      const docs = new Map([
+        [ 'a', { value: 1, options: { cas: '2', expiry: 5 } } ]
+      ]);
+
+      adapter.replace(docs, settings)
+        .then(() => {
+          assert.deepEqual(replaced.get('a'), {
+            value: 1,
+            options: { cas: '2', expiry: 5, persist_to: 1 }
+          });
+          assert.deepEqual(docs.get('a').options, { cas: '2', expiry: 5 });
+          done();
+        });
+    });
+
+    it('should resolve get of no keys without calling bucket', (done) => {
+      const adapter = new MultiAdapter({
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: () => { throw new Error('Nope'); }
+      });
+
+      adapter.get([])
+        .then((res) => {
+          assert.deepEqual(res, { keys: [], results: {} });
+          done();
+        });
+    });
+  });
+
+  describe('CallbackAdapter', () => {
+    let bucket, adapter;
+
+    beforeEach((done) => {
+      const cluster = new couchbase.Mock.Cluster('couchbase://localhost');
+      bucket = cluster.openBucket('default');
+      adapter = new CallbackAdapter(bucket, 2);
+      bucket.insert('c', { quux: 'quuz' }, (err, res) => {
+        done();
+      });
+    });
+
+    it('should accept buckets with insert, touch, and remove', () => {
+      assert.isTrue(CallbackAdapter.accepts(bucket));
+      assert.isFalse(CallbackAdapter.accepts({ insert: () => {} }));
+    });
+
+    it('should get and replace with methods', () => {
+      assert.isTrue(adapter.canGet);
+      assert.isTrue(adapter.canReplace);
+    });
+
+    it('should not get or replace without methods', () => {
+      const test = new CallbackAdapter({
+        insert: () => {},
+        touch: () => {},
+        remove: () => {}
+      }, 1);
+
+      assert.isFalse(test.canGet);
+      assert.isFalse(test.canReplace);
+    });
+
+    it('should count with counter() method', () => {
+      const test = new CallbackAdapter({
+        insert: () => {},
+        touch: () => {},
+        remove: () => {}
+      }, 1);
+
+      assert.isTrue(adapter.canCount);
+      assert.isFalse(test.canCount);
+    });
+
+    it('should increment each counter from 1', (done) => {
+      adapter.increment([ 'a', 'b' ])
+        .then((res) => {
+          assert.deepEqual(res.keys, [ 'a', 'b' ]);
+          assert.strictEqual(res.results.a.result.value, 1);
+          return adapter.increment([ 'a' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.results.a.result.value, 2);
+          done();
+        });
+    });
+
+    it('should insert each key', (done) => {
+      const docs = new Map([ [ 'a', { value: 1 } ], [ 'c', { value: 2 } ] ]);
+
+      adapter.insert(docs, { expiry: 5 })
+        .then((res) => {
+          assert.deepEqual(res.keys, [ 'a', 'c' ]);
+          assert.isTrue(res.results.a.success);
+          assert.isOk(res.results.a.result.cas);
+          assert.isFalse(res.results.c.success);
+          assert.strictEqual(res.results.c.err.code, 12);
+          done();
+        });
+    });
+
+    it('should touch each key', (done) => {
+      const entries = new Map([
+        [ 'a', { expiry: 5 } ],
+        [ 'c', { expiry: 5 } ]
+      ]);
+
+      adapter.touch(entries)
+        .then((res) => {
+          assert.isFalse(res.results.a.success);
+          assert.strictEqual(res.results.a.err.code, 13);
+          assert.isTrue(res.results.c.success);
+          done();
+        });
+    });
+
+    it('should remove each key', (done) => {
+      adapter.remove(new Map([ [ 'a', undefined ], [ 'c', undefined ] ]))
+        .then((res) => {
+          assert.strictEqual(res.results.a.err.code, 13);
+          assert.isTrue(res.results.c.success);
+          done();
+        });
+    });
+
+    it('should remove with etags as cas', (done) => {
+      const calls = [];
+      const test = new CallbackAdapter({
+        insert: () => {},
+        touch: () => {},
+        remove: (key, options, cb) => {
+          calls.push([ key, options ]);
+          cb(null, { cas: 'x' });
+        }
+      }, 1);
+
+      test.remove(new Map([ [ 'a', '1' ], [ 'b', undefined ] ]))
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', { cas: '1' } ], [ 'b', {} ] ]);
+          done();
+        });
+    });
+
+    it('should get each key', (done) => {
+      adapter.get([ 'a', 'c' ])
+        .then((res) => {
+          assert.isFalse(res.results.a.success);
+          assert.isTrue(res.results.c.success);
+          assert.deepEqual(res.results.c.result.value, { quux: 'quuz' });
+          assert.isOk(res.results.c.result.cas);
+          done();
+        });
+    });
+
+    it('should replace each key', (done) => {
+      const docs = new Map([
+        [ 'a', { value: 1, options: {} } ],
+        [ 'c', { value: 2, options: { expiry: 5 } } ]
+      ]);
+
+      adapter.replace(docs)
+        .then((res) => {
+          assert.isFalse(res.results.a.success);
+          assert.isTrue(res.results.c.success);
+          done();
+        });
+    });
+
+    it('should resolve expiry undefined without sub-documents', (done) => {
+      adapter.expiry('c')
+        .then((res) => {
+          assert.isUndefined(res);
+          done();
+        });
+    });
+
+    it('should not have durability levels', () => {
+      assert.isFalse(adapter.hasDurabilityLevels);
+    });
+
+    it('should pass durability to each operation', (done) => {
+      const calls = [];
+      const record = (name) => {
+        return function() {
+          const args = Array.from(arguments);
+          calls.push([ name, args[args.length - 2] ]);
+          args[args.length - 1](null, { cas: 'x' });
+        };
+      };
+
+      const test = new CallbackAdapter({
+        insert: record('insert'),
+        touch: () => {},
+        remove: record('remove'),
+        get: () => {},
+        replace: record('replace')
+      }, 1);
+
+      const settings = durability.create({ replicateTo: 2 });
+
+      Promise.all([
+        test.insert(new Map([ [ 'a', { value: 1 } ] ]), {}, settings),
+        test.remove(new Map([ [ 'b', '1' ] ]), settings),
+        test.replace(new Map([
+          [ 'c', { value: 1, options: { cas: '2' } } ]
+        ]), settings)
+      ])
+        .then(() => {
+          assert.deepEqual(calls, [
+            [ 'insert', { replicate_to: 2 } ],
+            [ 'remove', { cas: '1', replicate_to: 2 } ],
+            [ 'replace', { cas: '2', replicate_to: 2 } ]
+          ]);
+          done();
+        });
+    });
+
+    it('should run at most concurrency operations at once', (done) => {
+      let running = 0;
+      let peak = 0;
+      const test = new CallbackAdapter({
+        insert: (key, value, options, cb) => {
+          running++;
+          peak = Math.max(peak, running);
+          setTimeout(() => {
+            running--;
+            cb(null, { cas: key });
+          }, 5);
+        },
+        touch: () => {},
+        remove: () => {}
+      }, 2);
+
+      const docs = new Map();
+      for (let i = 0; i < 6; i++) docs.set('k' + i, { value: i });
+
+      test.insert(docs, {})
+        .then((res) => {
+          assert.strictEqual(peak, 2);
+          assert.lengthOf(res.keys, 6);
+          done();
+        });
+    });
+  });
+
+  describe('CollectionAdapter', () => {
+    it('should throw if collection has no insert() method', () => {
+      assert.throws(() => {
+        const test = new CollectionAdapter(collection({ insert: null }), 1);
+      }, TypeError);
+    });
+
+    it('should throw if collection has no touch() method', () => {
+      assert.throws(() => {
+        const test = new CollectionAdapter(collection({ touch: null }), 1);
+      }, TypeError);
+    });
+
+    it('should throw if collection has no remove() method', () => {
+      assert.throws(() => {
+        const test = new CollectionAdapter(collection({ remove: null }), 1);
+      }, TypeError);
+    });
+
+    it('should get and replace with methods', () => {
+      const test = new CollectionAdapter(collection({
+        get: () => {},
+        replace: () => {}
+      }), 1);
+
+      assert.isTrue(test.canGet);
+      assert.isTrue(test.canReplace);
+    });
+
+    it('should not get or replace without methods', () => {
+      const test = new CollectionAdapter(collection(), 1);
+      assert.isFalse(test.canGet);
+      assert.isFalse(test.canReplace);
+    });
+
+    it('should have durability levels', () => {
+      const test = new CollectionAdapter(collection(), 1);
+      assert.isTrue(test.hasDurabilityLevels);
+    });
+
+    it('should pass durability to each operation', (done) => {
+      const calls = [];
+      const record = (name) => {
+        return function() {
+          const args = Array.from(arguments);
+          calls.push([ name, args[args.length - 1] ]);
+          return Promise.resolve({ cas: 1 });
+        };
+      };
+
+      const test = new CollectionAdapter(collection({
+        insert: record('insert'),
+        remove: record('remove'),
+        get: () => {},
+        replace: record('replace')
+      }), 1);
+
+      const settings = durability.create({ durabilityLevel: 'majority' });
+
+      Promise.all([
+        test.insert(new Map([ [ 'a', { value: 1 } ] ]), {
+          expiry: 5
+        }, settings),
+        test.remove(new Map([ [ 'b', '1' ] ]), settings),
+        test.replace(new Map([
+          [ 'c', { value: 1, options: { cas: '2', expiry: 5 } } ]
+        ]), settings)
+      ])
+        .then(() => {
+          assert.deepEqual(calls, [
+            [ 'insert', { expiry: 5, durabilityLevel: 1 } ],
+            [ 'remove', { cas: '1', durabilityLevel: 1 } ],
+            [ 'replace', { cas: '2', expiry: 5, durabilityLevel: 1 } ]
+          ]);
+          done();
+        });
+    });
+
+    it('should insert each key with expiry', (done) => {
+      const calls = [];
+      const test = new CollectionAdapter(collection({
+        insert: (key, value, options) => {
+          calls.push([ key, value, options ]);
+          return Promise.resolve({ cas: key });
+        }
+      }), 2);
+
+      const docs = new Map([ [ 'a', { value: 1 } ], [ 'b', { value: 2 } ] ]);
+
+      test.insert(docs, { expiry: 5 })
+        .then((res) => {
+          assert.deepEqual(calls, [
+            [ 'a', 1, { expiry: 5 } ],
+            [ 'b', 2, { expiry: 5 } ]
+          ]);
+          assert.deepEqual(res.keys, [ 'a', 'b' ]);
+          assert.strictEqual(res.results.b.result.cas, 'b');
+          done();
+        });
+    });
+
+    it('should convert absolute expiries to durations', (done) => {
+      let expiry;
+      const test = new CollectionAdapter(collection({
+        insert: (key, value, options) => {
+          expiry = options.expiry;
+          return Promise.resolve({ cas: key });
+        }
+      }), 2);
+
+      const absolute = Math.floor(Date.now() / 1000) + 40 * 24 * 60 * 60;
+
+      test.insert(new Map([ [ 'a', { value: 1 } ] ]), { expiry: absolute })
+        .then((res) => {
+          assert.closeTo(expiry, 40 * 24 * 60 * 60, 2);
+          done();
+        });
+    });
+
+    it('should convert absolute expiries by clock', (done) => {
+      let expiry;
+      const test = new CollectionAdapter(collection({
+        touch: (key, duration) => {
+          expiry = duration;
+          return Promise.resolve({ cas: key });
+        }
+      }), 2, () => { return 2000000000; });
+
+      test.touch(new Map([ [ 'a', { expiry: 2000000 + 31 * 24 * 60 * 60 } ] ]))
+        .then(() => {
+          assert.strictEqual(expiry, 31 * 24 * 60 * 60);
+          done();
+        });
+    });
+
+    it('should give sdk errors matching codes', (done) => {
+      const test = new CollectionAdapter(collection({
+        insert: (key) => {
+          return Promise.reject(sdkError((key === 'a')
+            ? 'DocumentExistsError'
+            : 'UnambiguousTimeoutError'));
+        }
+      }), 2);
+
+      const docs = new Map([ [ 'a', { value: 1 } ], [ 'b', { value: 2 } ] ]);
+
+      test.insert(docs, { expiry: 5 })
+        .then((res) => {
+          assert.isFalse(res.results.a.success);
+          assert.strictEqual(res.results.a.err.code, 12);
+          assert.strictEqual(res.results.b.err.code, 23);
+          done();
+        });
+    });
+
+    it('should not change codes of errors with codes', (done) => {
+      const test = new CollectionAdapter(collection({
+        touch: () => {
+          const err = sdkError('DocumentNotFoundError');
+          err.code = 42;
+          return Promise.reject(err);
+        }
+      }), 2);
+
+      test.touch(new Map([ [ 'a', { expiry: 5 } ] ]))
+        .then((res) => {
+          assert.strictEqual(res.results.a.err.code, 42);
+          done();
+        });
+    });
+
+    it('should not give codes to unknown errors', (done) => {
+      const test = new CollectionAdapter(collection({
+        remove: () => { return Promise.reject(sdkError('CouchbaseError')); }
+      }), 2);
+
+      test.remove(new Map([ [ 'a', undefined ] ]))
+        .then((res) => {
+          assert.isUndefined(res.results.a.err.code);
+          done();
+        });
+    });
+
+    it('should count with binary() method', () => {
+      const test = new CollectionAdapter(collection({
+        binary: () => {}
+      }), 1);
+
+      assert.isTrue(test.canCount);
+      assert.isFalse(new CollectionAdapter(collection(), 1).canCount);
+    });
+
+    it('should increment each counter from 1', (done) => {
+      const calls = [];
+      const test = new CollectionAdapter(collection({
+        binary: () => {
+          return {
+            increment: (key, delta, options) => {
+              calls.push([ key, delta, options ]);
+              return Promise.resolve({ value: 3, cas: 'x', token: {} });
+            }
+          };
+        }
+      }), 1);
+
+      test.increment([ 'a' ])
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', 1, { initial: 1 } ] ]);
+          assert.deepEqual(res.results.a.result, { value: 3, cas: 'x' });
+          done();
+        });
+    });
+
+    it('should touch each key with expiry', (done) => {
+      const calls = [];
+      const test = new CollectionAdapter(collection({
+        touch: (key, expiry) => {
+          calls.push([ key, expiry ]);
+          return Promise.resolve({ cas: key });
+        }
+      }), 2);
+
+      test.touch(new Map([ [ 'a', { expiry: 5 } ] ]))
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', 5 ] ]);
+          assert.isTrue(res.results.a.success);
+          done();
+        });
+    });
+
+    it('should remove with etags as cas', (done) => {
+      const calls = [];
+      const test = new CollectionAdapter(collection({
+        remove: (key, options) => {
+          calls.push([ key, options ]);
+          return Promise.resolve({ cas: key });
+        }
+      }), 1);
+
+      test.remove(new Map([ [ 'a', '1' ], [ 'b', undefined ] ]))
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', { cas: '1' } ], [ 'b', {} ] ]);
+          done();
+        });
+    });
+
+    it('should get content and cas of each key', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: (key) => {
+          return (key === 'a')
+            ? Promise.resolve({ content: { foo: 'bar' }, cas: 7 })
+            : Promise.reject(sdkError('DocumentNotFoundError'));
+        }
+      }), 2);
+
+      test.get([ 'a', 'b' ])
+        .then((res) => {
+          assert.deepEqual(res.results.a.result, {
+            value: { foo: 'bar' },
+            cas: 7
+          });
+          assert.strictEqual(res.results.b.err.code, 13);
+          done();
+        });
+    });
+
+    it('should replace each key with cas and expiry', (done) => {
+      const calls = [];
+      const test = new CollectionAdapter(collection({
+        replace: (key, value, options) => {
+          calls.push([ key, value, options ]);
+          return Promise.resolve({ cas: key });
+        }
+      }), 2);
+
+      const docs = new Map([
+        [ 'a', { value: 1, options: { cas: '3', expiry: 5 } } ]
+      ]);
+
+      test.replace(docs)
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', 1, { cas: '3', expiry: 5 } ] ]);
+          done();
+        });
+    });
+
+    it('should resolve expiry as Date', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: (key, options) => {
+          assert.deepEqual(options, { withExpiry: true });
+          return Promise.resolve({ content: 1, cas: 1, expiryTime: 100 });
+        }
+      }), 2);
+
+      test.expiry('a')
+        .then((res) => {
+          assert.strictEqual(res.getTime(), 100000);
+          done();
+        });
+    });
+
+    it('should resolve expiry from sdk 3 results', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: () => Promise.resolve({ content: 1, cas: 1, expiry: 100 })
+      }), 2);
+
+      test.expiry('a')
+        .then((res) => {
+          assert.strictEqual(res.getTime(), 100000);
+          done();
+        });
+    });
+
+    it('should resolve expiry null if none', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: () => Promise.resolve({ content: 1, cas: 1, expiryTime: 0 })
+      }), 2);
+
+      test.expiry('a')
+        .then((res) => {
+          assert.isNull(res);
+          done();
+        });
+    });
+
+    it('should resolve expiry undefined if not reported', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: () => Promise.resolve({ content: 1, cas: 1 })
+      }), 2);
+
+      test.expiry('a')
+        .then((res) => {
+          assert.isUndefined(res);
+          done();
+        });
+    });
+
+    it('should resolve expiry undefined on error', (done) => {
+      const test = new CollectionAdapter(collection({
+        get: () => Promise.reject(sdkError('DocumentNotFoundError'))
+      }), 2);
+
+      test.expiry('a')
+        .then((res) => {
+          assert.isUndefined(res);
+          done();
+        });
+    });
+  });
+
+});
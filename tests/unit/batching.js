@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const batching = require('../../lib/batching');
+
+describe('batching', () => {
+
+  const echo = (calls) => {
+    return (keys) => {
+      calls.push(keys);
+      const res = { keys: keys, results: {} };
+      keys.forEach((key) => { res.results[key] = { success: true }; });
+      return Promise.resolve(res);
+    };
+  };
+
+  describe('#create', () => {
+    it('should not split without batchSize', () => {
+      assert.strictEqual(batching.create({}), batching.NONE);
+    });
+
+    it('should throw if batchSize not number', () => {
+      assert.throws(() => {
+        batching.create({ batchSize: '10' });
+      }, TypeError);
+    });
+
+    it('should throw if batchSize not integer', () => {
+      assert.throws(() => {
+        batching.create({ batchSize: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if batchSize less than 1', () => {
+      assert.throws(() => {
+        batching.create({ batchSize: 0 });
+      }, TypeError);
+    });
+
+    it('should throw if maxConcurrentBatches not integer', () => {
+      assert.throws(() => {
+        batching.create({ batchSize: 10, maxConcurrentBatches: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if maxConcurrentBatches less than 1', () => {
+      assert.throws(() => {
+        batching.create({ batchSize: 10, maxConcurrentBatches: 0 });
+      }, TypeError);
+    });
+
+    it('should default maxConcurrentBatches', () => {
+      const policy = batching.create({ batchSize: 10 });
+      assert.strictEqual(policy.size, 10);
+      assert.strictEqual(policy.limit, batching.DEFAULT_MAX_CONCURRENT);
+    });
+
+    it('should set maxConcurrentBatches', () => {
+      const policy = batching.create({
+        batchSize: 10,
+        maxConcurrentBatches: 2
+      });
+
+      assert.strictEqual(policy.limit, 2);
+    });
+  });
+
+  describe('#merge', () => {
+    it('should merge summaries in order', () => {
+      const merged = batching.merge([
+        { keys: [ 'a' ], results: { a: 1 } },
+        { keys: [ 'b', 'c' ], results: { b: 2, c: 3 } }
+      ]);
+
+      assert.deepEqual(merged, {
+        keys: [ 'a', 'b', 'c' ],
+        results: { a: 1, b: 2, c: 3 }
+      });
+    });
+  });
+
+  describe('#run', () => {
+    it('should pass keys as they are without batchSize', (done) => {
+      const calls = [];
+      const keys = [ 'a', 'b', 'c' ];
+
+      batching.run(batching.NONE, keys, echo(calls))
+        .then((res) => {
+          assert.lengthOf(calls, 1);
+          assert.strictEqual(calls[0], keys);
+          done();
+        });
+    });
+
+    it('should pass keys as they are if they fit one chunk', (done) => {
+      const calls = [];
+      const keys = [ 'a', 'b' ];
+      const policy = batching.create({ batchSize: 2 });
+
+      batching.run(policy, keys, echo(calls))
+        .then((res) => {
+          assert.strictEqual(calls[0], keys);
+          done();
+        });
+    });
+
+    it('should split keys into chunks', (done) => {
+      const calls = [];
+      const policy = batching.create({ batchSize: 2 });
+
+      batching.run(policy, [ 'a', 'b', 'c', 'd', 'e' ], echo(calls))
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'a', 'b' ], [ 'c', 'd' ], [ 'e' ] ]);
+          assert.deepEqual(res.keys, [ 'a', 'b', 'c', 'd', 'e' ]);
+          assert.isTrue(res.results.e.success);
+          done();
+        });
+    });
+
+    it('should run at most maxConcurrentBatches chunks at once', (done) => {
+      let running = 0;
+      let peak = 0;
+
+      const policy = batching.create({
+        batchSize: 1,
+        maxConcurrentBatches: 2
+      });
+
+      batching.run(policy, [ 'a', 'b', 'c', 'd' ], (keys) => {
+        running++;
+        peak = Math.max(peak, running);
+
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            running--;
+            resolve({ keys: keys, results: {} });
+          }, 5);
+        });
+      })
+        .then(() => {
+          assert.strictEqual(peak, 2);
+          done();
+        });
+    });
+
+    it('should reject if any chunk rejects', (done) => {
+      const policy = batching.create({ batchSize: 1 });
+
+      batching.run(policy, [ 'a', 'b' ], (keys) => {
+        return (keys[0] === 'b')
+          ? Promise.reject(new Error('Nope'))
+          : Promise.resolve({ keys: keys, results: {} });
+      })
+        .catch((err) => {
+          assert.strictEqual(err.message, 'Nope');
+          done();
+        });
+    });
+  });
+
+});
@@ -0,0 +1,312 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const breaker = require('../../lib/breaker');
+const errors = require('../../lib/errors');
+
+describe('breaker', () => {
+  let now, changes;
+
+  beforeEach(() => {
+    now = 1000;
+    changes = [];
+  });
+
+  const clock = () => { return now; };
+  const onChange = (state) => { changes.push(state); };
+
+  const results = (code) => {
+    return {
+      keys: [ 'a', 'b' ],
+      results: {
+        a: { success: false, err: { code: code } },
+        b: { success: false, err: { code: code } }
+      }
+    };
+  };
+
+  const OK = {
+    keys: [ 'a' ],
+    results: { a: { success: true, result: { cas: 1 } } }
+  };
+
+  const stub = (outcome) => {
+    const adapter = {
+      calls: 0,
+      canGet: true,
+      canReplace: false,
+      canCount: true,
+      hasDurabilityLevels: false,
+      concurrency: 4,
+      expiry: () => {
+        adapter.expiries = (adapter.expiries || 0) + 1;
+        return Promise.resolve(null);
+      }
+    };
+
+    const op = () => {
+      adapter.calls++;
+      return (outcome instanceof Error)
+        ? Promise.reject(outcome)
+        : Promise.resolve(outcome);
+    };
+
+    for (let name of [ 'get', 'insert', 'increment', 'remove', 'replace' ])
+      adapter[name] = op;
+
+    adapter.touch = op;
+
+    return adapter;
+  };
+
+  const guarded = (adapter, option) => {
+    const circuit = breaker.create(
+      option || { threshold: 2, resetTimeout: 500 },
+      clock,
+      onChange
+    );
+
+    return { circuit: circuit, adapter: breaker.guard(adapter, circuit) };
+  };
+
+  const settled = (promise) => {
+    return promise.then((res) => { return res; }, (err) => { return err; });
+  };
+
+  describe('#create', () => {
+    it('should return undefined without option', () => {
+      assert.isUndefined(breaker.create(undefined, clock, onChange));
+      assert.isUndefined(breaker.create(false, clock, onChange));
+    });
+
+    it('should throw if option invalid', () => {
+      assert.throws(() => {
+        breaker.create(42, clock, onChange);
+      }, TypeError);
+    });
+
+    it('should use defaults for true', () => {
+      const circuit = breaker.create(true, clock, onChange);
+
+      assert.strictEqual(circuit.threshold, breaker.DEFAULT_THRESHOLD);
+      assert.strictEqual(circuit.resetTimeout, breaker.DEFAULT_RESET_TIMEOUT);
+      assert.strictEqual(circuit.state, breaker.states.closed);
+    });
+
+    it('should use options', () => {
+      const circuit = breaker.create({
+        threshold: 3,
+        resetTimeout: 0
+      }, clock, onChange);
+
+      assert.strictEqual(circuit.threshold, 3);
+      assert.strictEqual(circuit.resetTimeout, 0);
+    });
+
+    it('should throw if threshold invalid', () => {
+      for (let threshold of [ 0, 1.5, '2' ]) {
+        assert.throws(() => {
+          breaker.create({ threshold: threshold }, clock, onChange);
+        }, TypeError);
+      }
+    });
+
+    it('should throw if resetTimeout invalid', () => {
+      for (let resetTimeout of [ -1, Infinity, '2' ]) {
+        assert.throws(() => {
+          breaker.create({ resetTimeout: resetTimeout }, clock, onChange);
+        }, TypeError);
+      }
+    });
+  });
+
+  describe('#guard', () => {
+    it('should return adapter without breaker', () => {
+      const adapter = stub(OK);
+      assert.strictEqual(breaker.guard(adapter, undefined), adapter);
+    });
+
+    it('should pass through capabilities and expiries', () => {
+      const test = guarded(stub(OK)).adapter;
+
+      assert.isTrue(test.canGet);
+      assert.isFalse(test.canReplace);
+      assert.isTrue(test.canCount);
+      assert.isFalse(test.hasDurabilityLevels);
+      assert.strictEqual(test.concurrency, 4);
+
+      return test.expiry('a')
+        .then((res) => { assert.isNull(res); });
+    });
+
+    it('should pass through results', () => {
+      const test = guarded(stub(OK)).adapter;
+
+      return test.insert(new Map(), {}, undefined)
+        .then((res) => {
+          assert.strictEqual(res, OK);
+        });
+    });
+
+    it('should open after threshold rejections', () => {
+      const failure = new Error('test');
+      const adapter = stub(failure);
+      const test = guarded(adapter);
+
+      return settled(test.adapter.get([ 'a' ]))
+        .then((err) => {
+          assert.strictEqual(err, failure);
+          assert.strictEqual(test.circuit.state, breaker.states.closed);
+          return settled(test.adapter.get([ 'a' ]));
+        })
+        .then(() => {
+          assert.strictEqual(test.circuit.state, breaker.states.open);
+          assert.deepEqual(changes, [ breaker.states.open ]);
+          return settled(test.adapter.get([ 'a' ]));
+        })
+        .then((err) => {
+          assert.instanceOf(err, errors.CircuitOpenError);
+          assert.strictEqual(adapter.calls, 2);
+        });
+    });
+
+    it('should not read expiries while open', () => {
+      const adapter = stub(new Error('test'));
+      const test = guarded(adapter, { threshold: 1 });
+
+      return settled(test.adapter.get([ 'a' ]))
+        .then(() => { return test.adapter.expiry('a'); })
+        .then((res) => {
+          assert.isUndefined(res);
+          assert.isUndefined(adapter.expiries);
+          assert.strictEqual(test.circuit.failures, 1);
+        });
+    });
+
+    it('should count keys that all timed out as failures', () => {
+      const test = guarded(stub(results(23)));
+
+      return settled(test.adapter.touch(new Map()))
+        .then(() => { return settled(test.adapter.touch(new Map())); })
+        .then(() => {
+          assert.strictEqual(test.circuit.state, breaker.states.open);
+        });
+    });
+
+    it('should count keys that all lost connection as failures', () => {
+      const test = guarded(stub(results(16)), { threshold: 1 });
+
+      return settled(test.adapter.remove(new Map()))
+        .then(() => {
+          assert.strictEqual(test.circuit.state, breaker.states.open);
+        });
+    });
+
+    it('should not count other results as failures', () => {
+      const mixed = results(23);
+      mixed.results.b = { success: true };
+
+      const outcomes = [ results(12), mixed, { keys: [], results: {} } ];
+
+      return outcomes.reduce((chain, outcome) => {
+        const test = guarded(stub(outcome), { threshold: 1 });
+
+        return chain
+          .then(() => { return test.adapter.replace(new Map()); })
+          .then(() => {
+            assert.strictEqual(test.circuit.state, breaker.states.closed);
+          });
+      }, Promise.resolve());
+    });
+
+    it('should reset failures on success', () => {
+      const adapter = stub(new Error('test'));
+      const test = guarded(adapter);
+
+      return settled(test.adapter.get([ 'a' ]))
+        .then(() => {
+          adapter.get = () => { return Promise.resolve(OK); };
+          return test.adapter.get([ 'a' ]);
+        })
+        .then(() => {
+          assert.strictEqual(test.circuit.failures, 0);
+          assert.deepEqual(changes, []);
+        });
+    });
+
+    it('should fail every operation fast while open', () => {
+      const adapter = stub(new Error('test'));
+      const test = guarded(adapter, { threshold: 1 });
+
+      return settled(test.adapter.increment([ 'a' ]))
+        .then(() => {
+          return Promise.all([
+            settled(test.adapter.get([ 'a' ])),
+            settled(test.adapter.insert(new Map(), {})),
+            settled(test.adapter.increment([ 'a' ])),
+            settled(test.adapter.remove(new Map())),
+            settled(test.adapter.replace(new Map())),
+            settled(test.adapter.touch(new Map()))
+          ]);
+        })
+        .then((res) => {
+          for (let err of res)
+            assert.instanceOf(err, errors.CircuitOpenError);
+
+          assert.strictEqual(adapter.calls, 1);
+        });
+    });
+
+    it('should probe once half-open and close on success', () => {
+      const adapter = stub(new Error('test'));
+      const test = guarded(adapter, { threshold: 1, resetTimeout: 500 });
+      let probe;
+
+      return settled(test.adapter.get([ 'a' ]))
+        .then(() => {
+          now += 500;
+          adapter.get = () => { return Promise.resolve(OK); };
+          probe = test.adapter.get([ 'a' ]);
+          assert.strictEqual(test.circuit.state, breaker.states.halfOpen);
+          return settled(test.adapter.get([ 'a' ]));
+        })
+        .then((err) => {
+          assert.instanceOf(err, errors.CircuitOpenError);
+          return probe;
+        })
+        .then((res) => {
+          assert.strictEqual(res, OK);
+          assert.strictEqual(test.circuit.state, breaker.states.closed);
+          assert.deepEqual(changes, [
+            breaker.states.open,
+            breaker.states.halfOpen,
+            breaker.states.closed
+          ]);
+        });
+    });
+
+    it('should open again when probe fails', () => {
+      const adapter = stub(new Error('test'));
+      const test = guarded(adapter, { threshold: 2, resetTimeout: 500 });
+
+      return settled(test.adapter.get([ 'a' ]))
+        .then(() => { return settled(test.adapter.get([ 'a' ])); })
+        .then(() => {
+          now += 500;
+          return settled(test.adapter.get([ 'a' ]));
+        })
+        .then(() => {
+          assert.strictEqual(test.circuit.state, breaker.states.open);
+          assert.strictEqual(test.circuit.openedAt, now);
+          assert.isFalse(test.circuit.isProbing);
+          now += 499;
+          return settled(test.adapter.get([ 'a' ]));
+        })
+        .then((err) => {
+          assert.instanceOf(err, errors.CircuitOpenError);
+          assert.strictEqual(adapter.calls, 3);
+        });
+    });
+  });
+});
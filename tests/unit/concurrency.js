@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const concurrency = require('../../lib/concurrency');
+
+describe('concurrency', () => {
+
+  describe('#mapLimit', () => {
+    const delay = (ms, value) => {
+      return new Promise((resolve) => {
+        setTimeout(() => { resolve(value); }, ms);
+      });
+    };
+
+    it('should resolve with empty array for no items', (done) => {
+      concurrency.mapLimit([], 2, (item) => item)
+        .then((res) => {
+          assert.deepEqual(res, []);
+          done();
+        });
+    });
+
+    it('should resolve with results in order of items', (done) => {
+      concurrency.mapLimit([ 30, 10, 20 ], 3, (ms) => delay(ms, ms * 2))
+        .then((res) => {
+          assert.deepEqual(res, [ 60, 20, 40 ]);
+          done();
+        });
+    });
+
+    it('should pass item index', (done) => {
+      concurrency.mapLimit([ 'a', 'b' ], 1, (item, index) => index)
+        .then((res) => {
+          assert.deepEqual(res, [ 0, 1 ]);
+          done();
+        });
+    });
+
+    it('should run at most limit calls at once', (done) => {
+      let running = 0;
+      let peak = 0;
+
+      concurrency.mapLimit([ 1, 2, 3, 4, 5, 6, 7 ], 3, (item) => {
+        running++;
+        peak = Math.max(peak, running);
+        return delay(5).then(() => { running--; });
+      })
+        .then(() => {
+          assert.strictEqual(peak, 3);
+          done();
+        });
+    });
+
+    it('should reject with first rejection', (done) => {
+      concurrency.mapLimit([ 1, 2, 3 ], 1, (item) => {
+        if (item === 2) throw new Error('Nope');
+        return item;
+      })
+        .catch((err) => {
+          assert.strictEqual(err.message, 'Nope');
+          done();
+        });
+    });
+
+    it('should not start more calls after rejection', (done) => {
+      const started = [];
+
+      concurrency.mapLimit([ 1, 2, 3 ], 1, (item) => {
+        started.push(item);
+        return (item === 1) ? Promise.reject(new Error('Nope')) : item;
+      })
+        .catch((err) => {
+          return delay(5);
+        })
+        .then(() => {
+          assert.deepEqual(started, [ 1 ]);
+          done();
+        });
+    });
+
+    it('should not start more calls when in-flight call settles', (done) => {
+      const started = [];
+
+      concurrency.mapLimit([ 1, 2, 3 ], 2, (item) => {
+        started.push(item);
+        return (item === 1) ? Promise.reject(new Error('Nope')) : delay(5);
+      })
+        .catch((err) => {
+          return delay(10);
+        })
+        .then(() => {
+          assert.deepEqual(started, [ 1, 2 ]);
+          done();
+        });
+    });
+  });
+
+});
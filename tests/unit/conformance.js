@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const conformance = require('../../conformance');
+const MemoryStore = require('../../memory').MemoryStore;
+
+describe('conformance', () => {
+
+  it('should throw if factory not function', () => {
+    assert.throws(() => {
+      conformance({});
+    }, TypeError);
+  });
+
+  it('should throw if advance not function', () => {
+    assert.throws(() => {
+      conformance(() => {}, { advance: 42 });
+    }, TypeError);
+  });
+
+  describe('MemoryStore', () => {
+    const advanced = [];
+    let now = 1000000;
+
+    conformance(() => {
+      return new MemoryStore({ clock: () => { return now; } });
+    }, {
+      advance: (ms) => {
+        advanced.push(ms);
+        now += ms;
+      }
+    });
+
+    // Tests of the suite run before this hook, which checks their clock.
+    after(() => {
+      assert.deepEqual(advanced, [ 1000, 1000, 1000 ]);
+    });
+  });
+
+  describe('MemoryStore with envelopes and prefix', () => {
+    let now = 1000000;
+
+    conformance(() => {
+      return Promise.resolve(new MemoryStore({
+        clock: () => { return now; },
+        envelope: { holder: 'worker-1' },
+        prefix: 'lease'
+      }));
+    }, {
+      name: 'Enveloped store conformance',
+      advance: (ms) => {
+        now += ms;
+        return Promise.resolve();
+      }
+    });
+  });
+
+  describe('MemoryStore in real time', () => {
+    conformance(() => { return new MemoryStore(); });
+  });
+
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const deadline = require('../../lib/deadline');
+const errors = require('../../lib/errors');
+
+describe('deadline', () => {
+  const signal = () => {
+    const listeners = [];
+
+    return {
+      aborted: false,
+      reason: undefined,
+      listeners: listeners,
+      addEventListener: (name, fn) => { listeners.push(fn); },
+      removeEventListener: (name, fn) => {
+        listeners.splice(listeners.indexOf(fn), 1);
+      },
+      abort: function(reason) {
+        this.aborted = true;
+        this.reason = reason;
+        listeners.slice().forEach((fn) => { fn(); });
+      }
+    };
+  };
+
+  const later = (ms, val) => {
+    return new Promise((resolve) => { setTimeout(resolve, ms, val); });
+  };
+
+  describe('#create', () => {
+    it('should return neither without options', () => {
+      assert.deepEqual(deadline.create({}), {
+        timeout: undefined,
+        signal: undefined
+      });
+    });
+
+    it('should return timeout and signal', () => {
+      const test = signal();
+      const res = deadline.create({ timeout: 50, signal: test });
+
+      assert.strictEqual(res.timeout, 50);
+      assert.strictEqual(res.signal, test);
+    });
+
+    it('should throw if timeout invalid', () => {
+      for (let timeout of [ '50', 0, -1, Infinity, NaN ]) {
+        assert.throws(() => {
+          deadline.create({ timeout: timeout });
+        }, TypeError);
+      }
+    });
+
+    it('should throw if signal invalid', () => {
+      for (let test of [ 'signal', {}, { aborted: false } ]) {
+        assert.throws(() => {
+          deadline.create({ signal: test });
+        }, TypeError);
+      }
+    });
+  });
+
+  describe('#isSignal', () => {
+    it('should return true for signals', () => {
+      assert.isTrue(deadline.isSignal(signal()));
+    });
+
+    it('should return false for others', () => {
+      assert.isFalse(deadline.isSignal('signal'));
+      assert.isFalse(deadline.isSignal({ aborted: 'no' }));
+    });
+  });
+
+  describe('#isAborted', () => {
+    it('should return false without signal', () => {
+      assert.isNotOk(deadline.isAborted({}));
+    });
+
+    it('should return whether signal aborted', () => {
+      const test = signal();
+
+      assert.isFalse(deadline.isAborted({ signal: test }));
+      test.abort();
+      assert.isTrue(deadline.isAborted({ signal: test }));
+    });
+  });
+
+  describe('#race', () => {
+    it('should pass through without timeout or signal', () => {
+      const op = Promise.resolve(42);
+      assert.strictEqual(deadline.race({}, () => { return op; }), op);
+    });
+
+    it('should resolve with operation', () => {
+      const test = signal();
+
+      return deadline.race({ timeout: 1000, signal: test }, () => {
+        return Promise.resolve(42);
+      })
+        .then((res) => {
+          assert.strictEqual(res, 42);
+          assert.lengthOf(test.listeners, 0);
+        });
+    });
+
+    it('should reject with operation', () => {
+      const failure = new Error('test');
+
+      return deadline.race({ timeout: 1000 }, () => {
+        return Promise.reject(failure);
+      })
+        .then(() => {
+          assert.fail();
+        }, (err) => {
+          assert.strictEqual(err, failure);
+        });
+    });
+
+    it('should reject with DeadlineError once timed out', () => {
+      return deadline.race({ timeout: 5 }, () => { return later(50, 42); })
+        .then(() => {
+          assert.fail();
+        }, (err) => {
+          assert.instanceOf(err, errors.DeadlineError);
+          assert.notInstanceOf(err, errors.TimeoutError);
+          assert.strictEqual(err.reason, errors.reasons.unknown);
+        });
+    });
+
+    it('should clear timer and listener if operation throws', () => {
+      const test = signal();
+      const failure = new Error('test');
+      const clear = global.clearTimeout;
+      const cleared = [];
+
+      global.clearTimeout = function(timer) {
+        cleared.push(timer);
+        return clear.apply(global, arguments);
+      };
+
+      const racing = deadline.race({ timeout: 1000, signal: test }, () => {
+        throw failure;
+      });
+
+      global.clearTimeout = clear;
+
+      return racing
+        .then(() => {
+          assert.fail();
+        }, (err) => {
+          assert.strictEqual(err, failure);
+          assert.lengthOf(cleared, 1);
+          assert.isOk(cleared[0]);
+          assert.lengthOf(test.listeners, 0);
+        });
+    });
+
+    it('should reject with AbortError once aborted', () => {
+      const test = signal();
+      const cause = new Error('cause');
+      const racing = deadline.race({ signal: test }, () => {
+        return later(50, 42);
+      });
+
+      test.abort(cause);
+
+      return racing
+        .then(() => {
+          assert.fail();
+        }, (err) => {
+          assert.instanceOf(err, errors.AbortError);
+          assert.strictEqual(err.cause, cause);
+          assert.lengthOf(test.listeners, 0);
+        });
+    });
+
+    it('should not start operation if already aborted', () => {
+      const test = signal();
+      let started = false;
+
+      test.abort();
+
+      return deadline.race({ signal: test }, () => {
+        started = true;
+        return Promise.resolve(42);
+      })
+        .then(() => {
+          assert.fail();
+        }, (err) => {
+          assert.instanceOf(err, errors.AbortError);
+          assert.isFalse(started);
+        });
+    });
+
+    it('should hand late results to late', () => {
+      return new Promise((resolve, reject) => {
+        deadline.race({ timeout: 5 }, () => {
+          return later(20, 42);
+        }, resolve)
+          .then(reject, (err) => {
+            assert.instanceOf(err, errors.DeadlineError);
+          });
+      })
+        .then((res) => {
+          assert.strictEqual(res, 42);
+        });
+    });
+
+    it('should ignore late results without late', () => {
+      return deadline.race({ timeout: 5 }, () => { return later(20, 42); })
+        .catch(() => { return later(30); });
+    });
+
+    it('should ignore late failures', () => {
+      let called = false;
+
+      return deadline.race({ timeout: 5 }, () => {
+        return later(20).then(() => { throw new Error('test'); });
+      }, () => { called = true; })
+        .catch(() => { return later(30); })
+        .then(() => {
+          assert.isFalse(called);
+        });
+    });
+
+    it('should accept signals without removeEventListener', () => {
+      const test = signal();
+      delete test.removeEventListener;
+
+      return deadline.race({ signal: test }, () => {
+        return Promise.resolve(42);
+      })
+        .then((res) => {
+          assert.strictEqual(res, 42);
+          test.abort();
+        });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const durability = require('../../lib/durability');
+
+describe('durability', () => {
+
+  describe('#create', () => {
+    it('should create empty settings without options', () => {
+      const settings = durability.create();
+      assert.isUndefined(settings.persistTo);
+      assert.isUndefined(settings.replicateTo);
+      assert.isUndefined(settings.level);
+      assert.isFrozen(settings);
+    });
+
+    it('should throw if persistTo not integer', () => {
+      assert.throws(() => {
+        durability.create({ persistTo: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if persistTo greater than 4', () => {
+      assert.throws(() => {
+        durability.create({ persistTo: 5 });
+      }, TypeError);
+    });
+
+    it('should throw if replicateTo negative', () => {
+      assert.throws(() => {
+        durability.create({ replicateTo: -1 });
+      }, TypeError);
+    });
+
+    it('should throw if replicateTo greater than 3', () => {
+      assert.throws(() => {
+        durability.create({ replicateTo: 4 });
+      }, TypeError);
+    });
+
+    it('should throw if durabilityLevel unknown', () => {
+      assert.throws(() => {
+        durability.create({ durabilityLevel: 'all' });
+      }, TypeError);
+
+      assert.throws(() => {
+        durability.create({ durabilityLevel: 4 });
+      }, TypeError);
+    });
+
+    it('should throw if durabilityLevel with persistTo', () => {
+      assert.throws(() => {
+        durability.create({ durabilityLevel: 1, persistTo: 1 });
+      }, TypeError);
+    });
+
+    it('should throw if durabilityLevel over default replicateTo', () => {
+      const defaults = durability.create({ replicateTo: 1 });
+
+      assert.throws(() => {
+        durability.create({ durabilityLevel: 1 }, defaults);
+      }, TypeError);
+    });
+
+    it('should set persistTo and replicateTo', () => {
+      const settings = durability.create({ persistTo: 1, replicateTo: 2 });
+      assert.strictEqual(settings.persistTo, 1);
+      assert.strictEqual(settings.replicateTo, 2);
+    });
+
+    it('should set durabilityLevel by name', () => {
+      const settings = durability.create({ durabilityLevel: 'majority' });
+      assert.strictEqual(settings.level, durability.levels.majority);
+    });
+
+    it('should set durabilityLevel by value', () => {
+      const settings = durability.create({ durabilityLevel: 3 });
+      assert.strictEqual(settings.level, durability.levels.persistToMajority);
+    });
+
+    it('should take defaults for keys left out', () => {
+      const defaults = durability.create({ persistTo: 1, replicateTo: 1 });
+      const settings = durability.create({ replicateTo: 2 }, defaults);
+      assert.strictEqual(settings.persistTo, 1);
+      assert.strictEqual(settings.replicateTo, 2);
+    });
+  });
+
+  describe('#isDurable', () => {
+    it('should be false without settings', () => {
+      assert.isFalse(durability.isDurable(durability.NONE));
+    });
+
+    it('should be false for zero settings', () => {
+      const settings = durability.create({
+        persistTo: 0,
+        replicateTo: 0
+      });
+
+      assert.isFalse(durability.isDurable(settings));
+      assert.isFalse(durability.isDurable(durability.create({
+        durabilityLevel: 'none'
+      })));
+    });
+
+    it('should be true for persistTo, replicateTo, or level', () => {
+      const durable = (opts) => {
+        return durability.isDurable(durability.create(opts));
+      };
+
+      assert.isTrue(durable({ persistTo: 1 }));
+      assert.isTrue(durable({ replicateTo: 1 }));
+      assert.isTrue(durable({ durabilityLevel: 'majority' }));
+    });
+  });
+
+  describe('#toObserveOptions', () => {
+    it('should be empty without settings', () => {
+      assert.deepEqual(durability.toObserveOptions(durability.NONE), {});
+      assert.deepEqual(durability.toObserveOptions(undefined), {});
+    });
+
+    it('should set persist_to and replicate_to', () => {
+      const settings = durability.create({ persistTo: 1, replicateTo: 2 });
+
+      assert.deepEqual(durability.toObserveOptions(settings), {
+        persist_to: 1,
+        replicate_to: 2
+      });
+    });
+  });
+
+  describe('#toCollectionOptions', () => {
+    it('should be empty without settings', () => {
+      assert.deepEqual(durability.toCollectionOptions(durability.NONE), {});
+      assert.deepEqual(durability.toCollectionOptions(undefined), {});
+    });
+
+    it('should set durabilityLevel', () => {
+      const settings = durability.create({ durabilityLevel: 'majority' });
+
+      assert.deepEqual(durability.toCollectionOptions(settings), {
+        durabilityLevel: 1
+      });
+    });
+
+    it('should set durabilityPersistTo and durabilityReplicateTo', () => {
+      const settings = durability.create({ persistTo: 1, replicateTo: 2 });
+
+      assert.deepEqual(durability.toCollectionOptions(settings), {
+        durabilityPersistTo: 1,
+        durabilityReplicateTo: 2
+      });
+    });
+  });
+
+});
@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('chai').assert;
+const os = require('os');
+
+const envelope = require('../../lib/envelope');
+
+describe('envelope', () => {
+  const now = 1500000000000;
+  const settings = { holder: 'worker-1', hostname: 'host', pid: 42 };
+
+  describe('#create', () => {
+    it('should return undefined if option undefined', () => {
+      assert.isUndefined(envelope.create(undefined));
+    });
+
+    it('should return undefined if option false', () => {
+      assert.isUndefined(envelope.create(false));
+    });
+
+    it('should throw if option not boolean or object', () => {
+      assert.throws(() => {
+        envelope.create(42);
+      }, TypeError);
+    });
+
+    it('should throw if holder not string', () => {
+      assert.throws(() => {
+        envelope.create({ holder: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if holder length zero', () => {
+      assert.throws(() => {
+        envelope.create({ holder: '' });
+      }, TypeError);
+    });
+
+    it('should default holder to hostname and pid', () => {
+      const result = envelope.create(true);
+      assert.strictEqual(result.holder, os.hostname() + ':' + process.pid);
+      assert.strictEqual(result.hostname, os.hostname());
+      assert.strictEqual(result.pid, process.pid);
+    });
+
+    it('should default holder if object has no holder', () => {
+      const result = envelope.create({});
+      assert.strictEqual(result.holder, os.hostname() + ':' + process.pid);
+    });
+
+    it('should use holder', () => {
+      assert.strictEqual(envelope.create({ holder: 'a' }).holder, 'a');
+    });
+  });
+
+  describe('#isEnvelope', () => {
+    it('should return false for raw values', () => {
+      assert.isFalse(envelope.isEnvelope(undefined));
+      assert.isFalse(envelope.isEnvelope(null));
+      assert.isFalse(envelope.isEnvelope(42));
+      assert.isFalse(envelope.isEnvelope({ foo: 'bar' }));
+    });
+
+    it('should return true for envelopes', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      assert.isTrue(envelope.isEnvelope(doc));
+    });
+  });
+
+  describe('#wrap', () => {
+    it('should wrap value with lease metadata', () => {
+      const doc = envelope.wrap(settings, { foo: 'bar' }, 5000, now);
+      const at = new Date(now).toISOString();
+
+      assert.deepEqual(doc, {
+        $landlord: envelope.VERSION,
+        holder: 'worker-1',
+        hostname: 'host',
+        pid: 42,
+        acquiredAt: at,
+        renewedAt: at,
+        ttl: 5000,
+        holdCount: 1,
+        value: { foo: 'bar' }
+      });
+    });
+
+    it('should wrap value for given holder', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now, 'worker-2');
+      assert.strictEqual(doc.holder, 'worker-2');
+    });
+  });
+
+  describe('#renew', () => {
+    it('should return raw values as they are', () => {
+      assert.strictEqual(envelope.renew(42, 5000, now), 42);
+    });
+
+    it('should set renewedAt and ttl', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      const renewed = envelope.renew(doc, 9000, now + 1000);
+
+      assert.strictEqual(renewed.renewedAt, new Date(now + 1000).toISOString());
+      assert.strictEqual(renewed.acquiredAt, doc.acquiredAt);
+      assert.strictEqual(renewed.ttl, 9000);
+      assert.strictEqual(renewed.value, 42);
+    });
+
+    it('should not modify envelope', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      envelope.renew(doc, 9000, now + 1000);
+      assert.strictEqual(doc.ttl, 5000);
+    });
+  });
+
+  describe('#fence', () => {
+    it('should record fencing token', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      const fenced = envelope.fence(doc, 7);
+
+      assert.strictEqual(fenced.fencingToken, 7);
+      assert.strictEqual(fenced.value, 42);
+      assert.isUndefined(doc.fencingToken);
+    });
+  });
+
+  describe('#unwrap', () => {
+    it('should read raw values without lease metadata', () => {
+      const result = envelope.unwrap({ foo: 'bar' });
+      assert.deepEqual(result.value, { foo: 'bar' });
+      assert.isUndefined(result.lease);
+    });
+
+    it('should read envelope value and lease metadata', () => {
+      const doc = envelope.renew(
+        envelope.wrap(settings, { foo: 'bar' }, 5000, now), 9000, now + 1000);
+      const result = envelope.unwrap(JSON.parse(JSON.stringify(doc)));
+
+      assert.deepEqual(result.value, { foo: 'bar' });
+      assert.deepEqual(result.lease, {
+        version: envelope.VERSION,
+        holder: 'worker-1',
+        hostname: 'host',
+        pid: 42,
+        acquiredAt: new Date(now),
+        renewedAt: new Date(now + 1000),
+        ttl: 9000,
+        holdCount: 1,
+        fencingToken: undefined
+      });
+    });
+
+    it('should read fencing token', () => {
+      const doc = envelope.fence(envelope.wrap(settings, 42, 5000, now), 7);
+      assert.strictEqual(envelope.unwrap(doc).lease.fencingToken, 7);
+    });
+
+    it('should read envelopes without hold counts as held once', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      delete doc.holdCount;
+      assert.strictEqual(envelope.unwrap(doc).lease.holdCount, 1);
+    });
+  });
+
+  describe('#holderOf', () => {
+    it('should return holder of envelopes', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      assert.strictEqual(envelope.holderOf(doc), 'worker-1');
+    });
+
+    it('should return undefined for raw values', () => {
+      assert.isUndefined(envelope.holderOf({ holder: 'worker-1' }));
+    });
+  });
+
+  describe('#reenter', () => {
+    it('should renew envelope and hold it once more', () => {
+      const doc = envelope.wrap(settings, 42, 5000, now);
+      const reentered = envelope.reenter(doc, 9000, now + 1000);
+
+      assert.strictEqual(reentered.holdCount, 2);
+      assert.strictEqual(reentered.ttl, 9000);
+      assert.strictEqual(
+        reentered.renewedAt,
+        new Date(now + 1000).toISOString()
+      );
+      assert.strictEqual(doc.holdCount, 1);
+    });
+  });
+
+  describe('#release', () => {
+    it('should hold envelope once less', () => {
+      const doc = envelope.reenter(
+        envelope.wrap(settings, 42, 5000, now), 5000, now);
+      const released = envelope.release(doc);
+
+      assert.strictEqual(released.holdCount, 1);
+      assert.strictEqual(released.renewedAt, doc.renewedAt);
+      assert.strictEqual(doc.holdCount, 2);
+    });
+  });
+});
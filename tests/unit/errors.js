@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const errors = require('../../lib/errors');
+
+describe('errors', () => {
+  const reasons = errors.reasons;
+
+  describe('#reasons', () => {
+    it('should be frozen', () => {
+      assert.isFrozen(reasons);
+    });
+
+    it('should have every reason', () => {
+      assert.sameMembers(Object.keys(reasons), [
+        'collision',
+        'missing',
+        'stale',
+        'transient',
+        'timeout',
+        'auth',
+        'durability',
+        'rollback',
+        'unknown'
+      ]);
+    });
+  });
+
+  describe('#reasonOf', () => {
+    const reasonOf = (code, isInsert) => {
+      return errors.reasonOf({ code: code }, isInsert);
+    };
+
+    it('should return undefined without err', () => {
+      assert.isUndefined(errors.reasonOf(undefined, true));
+      assert.isUndefined(errors.reasonOf(null, false));
+    });
+
+    it('should return collision for KEY_EXISTS on insert', () => {
+      assert.strictEqual(reasonOf(12, true), reasons.collision);
+    });
+
+    it('should return stale for KEY_EXISTS on other operations', () => {
+      assert.strictEqual(reasonOf(12, false), reasons.stale);
+    });
+
+    it('should return missing for KEY_MISSING', () => {
+      assert.strictEqual(reasonOf(13, false), reasons.missing);
+    });
+
+    it('should return timeout for timeouts', () => {
+      assert.strictEqual(reasonOf(23, false), reasons.timeout);
+    });
+
+    it('should return transient for transient codes', () => {
+      for (let code of errors.TRANSIENT_CODES)
+        assert.strictEqual(reasonOf(code, false), reasons.transient);
+    });
+
+    it('should return auth for auth codes', () => {
+      for (let code of errors.AUTH_CODES)
+        assert.strictEqual(reasonOf(code, false), reasons.auth);
+    });
+
+    it('should return durability for 2.x durability failures', () => {
+      const err = new Error('Durability requirements failed');
+      assert.strictEqual(errors.reasonOf(err, true), reasons.durability);
+    });
+
+    it('should return durability for sdk durability errors', () => {
+      const err = new Error('Nope');
+      err.name = 'DurabilityAmbiguousError';
+      assert.strictEqual(errors.reasonOf(err, true), reasons.durability);
+    });
+
+    it('should return unknown for other codes', () => {
+      assert.strictEqual(reasonOf(42, false), reasons.unknown);
+      assert.strictEqual(errors.reasonOf(new Error('Nope')), reasons.unknown);
+    });
+  });
+
+  describe('#create', () => {
+    const cases = [
+      [ reasons.collision, errors.CollisionError ],
+      [ reasons.missing, errors.MissingError ],
+      [ reasons.stale, errors.StaleError ],
+      [ reasons.transient, errors.TransientError ],
+      [ reasons.timeout, errors.TimeoutError ],
+      [ reasons.auth, errors.AuthError ],
+      [ reasons.durability, errors.DurabilityError ],
+      [ reasons.rollback, errors.RollbackError ],
+      [ reasons.unknown, errors.StoreError ]
+    ];
+
+    it('should create typed error for each reason', () => {
+      for (let c of cases) {
+        const err = errors.create(c[0], { code: 42 });
+        assert.instanceOf(err, c[1]);
+        assert.instanceOf(err, errors.StoreError);
+        assert.instanceOf(err, Error);
+        assert.strictEqual(err.reason, c[0]);
+        assert.strictEqual(err.name, c[1].name);
+      }
+    });
+
+    it('should set cause to original error', () => {
+      const cause = { code: 12 };
+      assert.strictEqual(errors.create(reasons.stale, cause).cause, cause);
+    });
+
+    it('should include message of original error', () => {
+      const err = errors.create(reasons.unknown, new Error('Nope'));
+      assert.include(err.message, 'Nope');
+    });
+  });
+
+  describe('AbortError', () => {
+    it('should be a StoreError with unknown reason', () => {
+      const err = new errors.AbortError('Aborted');
+      assert.instanceOf(err, errors.StoreError);
+      assert.strictEqual(err.name, 'AbortError');
+      assert.strictEqual(err.reason, reasons.unknown);
+    });
+  });
+
+  describe('DeadlineError', () => {
+    it('should be a StoreError with unknown reason', () => {
+      const err = new errors.DeadlineError('Timed out');
+      assert.instanceOf(err, errors.StoreError);
+      assert.notInstanceOf(err, errors.TimeoutError);
+      assert.strictEqual(err.name, 'DeadlineError');
+      assert.strictEqual(err.reason, reasons.unknown);
+    });
+  });
+
+  describe('CircuitOpenError', () => {
+    it('should be a StoreError with unknown reason', () => {
+      const err = new errors.CircuitOpenError('Open');
+      assert.instanceOf(err, errors.StoreError);
+      assert.strictEqual(err.name, 'CircuitOpenError');
+      assert.strictEqual(err.reason, reasons.unknown);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const assert = require('chai').assert;
+const EventEmitter = require('events');
+
+const errors = require('../../lib/errors');
+const instrumentation = require('../../lib/instrumentation');
+
+describe('instrumentation', () => {
+
+  const tracer = () => {
+    const spans = [];
+
+    return {
+      spans: spans,
+      startSpan: (name, options) => {
+        const span = {
+          name: name,
+          attributes: Object.assign({}, options.attributes),
+          exceptions: [],
+          status: undefined,
+          ended: false,
+          setAttributes: (attrs) => { Object.assign(span.attributes, attrs); },
+          setStatus: (status) => { span.status = status; },
+          recordException: (err) => { span.exceptions.push(err); },
+          end: () => { span.ended = true; }
+        };
+
+        spans.push(span);
+        return span;
+      }
+    };
+  };
+
+  describe('#attach', () => {
+    it('should do nothing without option', () => {
+      const emitter = new EventEmitter();
+      instrumentation.attach(emitter, undefined);
+      assert.strictEqual(emitter.listenerCount('start'), 0);
+    });
+
+    it('should throw if option not object', () => {
+      assert.throws(() => {
+        instrumentation.attach(new EventEmitter(), 42);
+      }, TypeError);
+    });
+
+    it('should throw if hook not function', () => {
+      assert.throws(() => {
+        instrumentation.attach(new EventEmitter(), { start: 42 });
+      }, TypeError);
+    });
+
+    it('should subscribe hooks bound to option', () => {
+      const emitter = new EventEmitter();
+      const seen = [];
+      const option = {
+        name: 'test',
+        finish: function(event) { seen.push([ this.name, event ]); }
+      };
+
+      instrumentation.attach(emitter, option);
+      emitter.emit('start', 1);
+      emitter.emit('finish', 2);
+
+      assert.deepEqual(seen, [ [ 'test', 2 ] ]);
+    });
+  });
+
+  describe('#tally', () => {
+    it('should count insert and touch summaries', () => {
+      const counts = instrumentation.tally(new Map([
+        [ 'a', { success: true } ],
+        [ 'b', { success: false, isCollision: true, reason: 'collision' } ],
+        [ 'c', { success: false, isMissing: true, reason: 'missing' } ],
+        [ 'd', { success: false, isStale: true, reason: 'stale' } ],
+        [ 'e', {
+          success: false,
+          isDurabilityFailure: true,
+          reason: 'durability'
+        } ]
+      ]));
+
+      assert.strictEqual(counts.succeeded, 1);
+      assert.strictEqual(counts.failed, 4);
+      assert.strictEqual(counts.collisions, 1);
+      assert.strictEqual(counts.missing, 1);
+      assert.strictEqual(counts.stale, 1);
+      assert.strictEqual(counts.undurable, 1);
+      assert.instanceOf(counts.errors.get('b'), errors.CollisionError);
+      assert.isFalse(counts.errors.has('a'));
+    });
+
+    it('should count removal summaries', () => {
+      const errs = new Map([ [ 'b', new Error() ], [ 'c', new Error() ] ]);
+      const counts = instrumentation.tally({
+        succeeded: [ 'a' ],
+        failed: [ 'b' ],
+        stale: [ 'c' ],
+        undurable: [ 'd' ],
+        errors: errs
+      });
+
+      assert.strictEqual(counts.succeeded, 1);
+      assert.strictEqual(counts.failed, 3);
+      assert.strictEqual(counts.stale, 1);
+      assert.strictEqual(counts.undurable, 1);
+      assert.strictEqual(counts.errors, errs);
+    });
+  });
+
+  describe('#probe', () => {
+    it('should emit start', () => {
+      const emitter = new EventEmitter();
+      let started;
+      emitter.on('start', (event) => { started = event; });
+
+      instrumentation.probe(emitter, 'insert', 3);
+
+      assert.isNumber(started.id);
+      assert.strictEqual(started.operation, 'insert');
+      assert.strictEqual(started.keys, 3);
+    });
+
+    it('should give each operation its own id', () => {
+      const emitter = new EventEmitter();
+      const ids = [];
+      emitter.on('start', (event) => { ids.push(event.id); });
+
+      instrumentation.probe(emitter, 'insert', 1);
+      instrumentation.probe(emitter, 'insert', 1);
+
+      assert.notStrictEqual(ids[0], ids[1]);
+    });
+
+    it('should emit finish with counts and pass summary on', () => {
+      const emitter = new EventEmitter();
+      let finished;
+      emitter.on('finish', (event) => { finished = event; });
+
+      const summary = new Map([ [ 'a', { success: true } ] ]);
+      const res = instrumentation.probe(emitter, 'touch', 1).finish(summary);
+
+      assert.strictEqual(res, summary);
+      assert.strictEqual(finished.operation, 'touch');
+      assert.strictEqual(finished.succeeded, 1);
+      assert.isAtLeast(finished.duration, 0);
+      assert.isUndefined(finished.err);
+    });
+
+    it('should emit finish with error and rethrow', () => {
+      const emitter = new EventEmitter();
+      const err = new Error('Nope');
+      let finished;
+      emitter.on('finish', (event) => { finished = event; });
+
+      assert.throws(() => {
+        instrumentation.probe(emitter, 'remove', 1).fail(err);
+      }, 'Nope');
+
+      assert.strictEqual(finished.err, err);
+      assert.isAtLeast(finished.duration, 0);
+    });
+  });
+
+  describe('SpanInstrumentation', () => {
+    it('should throw if tracer has no startSpan() method', () => {
+      assert.throws(() => {
+        const test = new instrumentation.SpanInstrumentation({});
+      }, TypeError);
+    });
+
+    it('should start span named after operation', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test);
+
+      spans.start({ id: 1, operation: 'insert', keys: 2 });
+
+      assert.strictEqual(test.spans[0].name, 'landlord.insert');
+      assert.strictEqual(test.spans[0].attributes['landlord.keys'], 2);
+      assert.strictEqual(test.spans[0].attributes['db.system'], 'couchbase');
+    });
+
+    it('should prefix span names', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test, {
+        prefix: 'leases'
+      });
+
+      spans.start({ id: 1, operation: 'touch', keys: 2 });
+
+      assert.strictEqual(test.spans[0].name, 'leases.touch');
+    });
+
+    it('should end span with counts', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test);
+
+      spans.start({ id: 1, operation: 'insert', keys: 2 });
+      spans.finish({
+        id: 1,
+        succeeded: 1,
+        failed: 1,
+        collisions: 1,
+        missing: 0,
+        stale: 0
+      });
+
+      const span = test.spans[0];
+      assert.isTrue(span.ended);
+      assert.strictEqual(span.status.code, 1);
+      assert.strictEqual(span.attributes['landlord.collisions'], 1);
+    });
+
+    it('should end span with error', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test);
+      const err = new Error('Nope');
+
+      spans.start({ id: 1, operation: 'insert', keys: 2 });
+      spans.finish({ id: 1, err: err });
+
+      const span = test.spans[0];
+      assert.isTrue(span.ended);
+      assert.strictEqual(span.status.code, 2);
+      assert.deepEqual(span.exceptions, [ err ]);
+    });
+
+    it('should end span with error without recordException()', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test);
+
+      spans.start({ id: 1, operation: 'insert', keys: 2 });
+      test.spans[0].recordException = undefined;
+      spans.finish({ id: 1, err: new Error('Nope') });
+
+      assert.strictEqual(test.spans[0].status.code, 2);
+    });
+
+    it('should ignore finish without start', () => {
+      const test = tracer();
+      const spans = new instrumentation.SpanInstrumentation(test);
+
+      spans.finish({ id: 1 });
+
+      assert.lengthOf(test.spans, 0);
+    });
+  });
+
+});
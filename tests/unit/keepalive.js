@@ -0,0 +1,555 @@
+'use strict';
+
+const assert = require('chai').assert;
+const couchbase = require('couchbase-promises');
+const cb = couchbase.Mock;
+
+const KeepAlive = require('../../lib/keepalive');
+const Store = require('../../lib/store');
+
+describe('KeepAlive', () => {
+  let bucket, store, docs, options, etags, slotted;
+
+  beforeEach(() => {
+    const cluster = new cb.Cluster('couchbase://localhost');
+    bucket = cluster.openBucket('default');
+    store = new Store({ bucket: bucket });
+    docs = new Map([ [ 'a', 1 ], [ 'b', 2 ] ]);
+    options = { ttl: 5000, interval: 5 };
+    etags = new Map([ [ 'a', 'etag' ] ]);
+    slotted = { ttl: 5000, interval: 5, slot: 's1' };
+  });
+
+  const etagsOf = (summary) => {
+    const result = new Map();
+
+    for (let entry of summary)
+      result.set(entry[0], entry[1].etag);
+
+    return result;
+  };
+
+  const next = (emitter, event) => {
+    return new Promise((resolve) => {
+      emitter.once(event, function() {
+        resolve(Array.prototype.slice.call(arguments));
+      });
+    });
+  };
+
+  describe('#constructor', () => {
+    it('should throw if store invalid', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(undefined, [ 'a' ], options);
+      }, TypeError);
+
+      assert.throws(() => {
+        const test = new KeepAlive({ touchAsync: () => {} }, [ 'a' ], options);
+      }, TypeError);
+    });
+
+    it('should throw if keys not Map', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(store, 'a', options);
+      }, TypeError);
+
+      assert.throws(() => {
+        const test = new KeepAlive(store, [ 'a' ], options);
+      }, TypeError);
+    });
+
+    it('should throw if keys not collection with options.slot', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(store, 'a', slotted);
+      }, TypeError);
+
+      assert.throws(() => {
+        const test = new KeepAlive(store, etags, slotted);
+      }, TypeError);
+    });
+
+    it('should throw if key invalid', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(store, new Map([ [ '', 'e' ] ]), options);
+      }, TypeError);
+
+      assert.throws(() => {
+        const test = new KeepAlive(store, [ '' ], slotted);
+      }, TypeError);
+
+      assert.throws(() => {
+        const test = new KeepAlive(store, new Map([ [ 42, 'e' ] ]), options);
+      }, TypeError);
+    });
+
+    it('should throw if etag invalid', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(store, new Map([ [ 'a', 42 ] ]), options);
+      }, TypeError);
+    });
+
+    it('should throw if options missing', () => {
+      assert.throws(() => {
+        const test = new KeepAlive(store, etags);
+      }, TypeError);
+    });
+
+    it('should throw if options.ttl invalid', () => {
+      for (let ttl of [ undefined, '5000', 0, Infinity ]) {
+        assert.throws(() => {
+          const test = new KeepAlive(store, etags, { ttl: ttl });
+        }, TypeError);
+      }
+    });
+
+    it('should throw if options.interval invalid', () => {
+      for (let interval of [ '5', 0, 5000, NaN ]) {
+        assert.throws(() => {
+          const test = new KeepAlive(store, etags, {
+            ttl: 5000,
+            interval: interval
+          });
+        }, TypeError);
+      }
+    });
+
+    it('should default interval to a third of ttl', () => {
+      const test = new KeepAlive(store, etags, { ttl: 3000 });
+      assert.strictEqual(test.interval, 1000);
+    });
+
+    it('should list keys', () => {
+      const test = new KeepAlive(store, new Set([ 'a', 'b' ]), slotted);
+      assert.deepEqual(test.keys, [ 'a', 'b' ]);
+      assert.isFalse(test.isRunning);
+    });
+  });
+
+  describe('#start', () => {
+    it('should renew keys at interval', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, etagsOf(res), options);
+          assert.strictEqual(keepAlive.start(), keepAlive);
+          assert.isTrue(keepAlive.isRunning);
+          return next(keepAlive, 'renew');
+        })
+        .then((args) => {
+          assert.isTrue(args[0].get('a').success);
+          assert.isTrue(args[0].get('b').success);
+          return next(keepAlive, 'renew');
+        })
+        .then(() => {
+          keepAlive.stop();
+        });
+    });
+
+    it('should not start twice', () => {
+      let renewals = 0;
+      const stub = {
+        touchAsync: () => {
+          renewals++;
+          return Promise.resolve(new Map());
+        },
+        removeAsync: () => {}
+      };
+      const keepAlive = new KeepAlive(stub, etags, options);
+
+      keepAlive.start().start();
+
+      return next(keepAlive, 'renew')
+        .then(() => {
+          keepAlive.stop();
+          assert.strictEqual(renewals, 1);
+        });
+    });
+
+    it('should renew with the etags of the last renewal', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, new Map([
+            [ 'a', res.get('a').etag ]
+          ]), options).start();
+
+          return next(keepAlive, 'renew');
+        })
+        .then(() => { return next(keepAlive, 'renew'); })
+        .then((args) => {
+          assert.isTrue(args[0].get('a').success);
+          assert.deepEqual(keepAlive.keys, [ 'a' ]);
+          keepAlive.stop();
+        });
+    });
+
+    it('should emit lost for missing keys', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, new Map([
+            [ 'a', res.get('a').etag ],
+            [ 'x', 'etag' ]
+          ]), options);
+          keepAlive.start();
+          return next(keepAlive, 'lost');
+        })
+        .then((args) => {
+          assert.strictEqual(args[0], 'x');
+          assert.isTrue(args[1].isMissing);
+          assert.deepEqual(keepAlive.keys, [ 'a' ]);
+          assert.isTrue(keepAlive.isRunning);
+          keepAlive.stop();
+        });
+    });
+
+    it('should emit lost for stale keys', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, new Map([
+            [ 'a', res.get('b').etag ]
+          ]), options).start();
+
+          return next(keepAlive, 'lost');
+        })
+        .then((args) => {
+          assert.strictEqual(args[0], 'a');
+          assert.isTrue(args[1].isStale);
+        });
+    });
+
+    it('should not renew leases taken by others', () => {
+      let keepAlive, taken;
+
+      return store.insertAsync(docs, { ttl: 5000 })
+        .then((res) => {
+          keepAlive = new KeepAlive(store, etagsOf(res), options);
+          return store.removeAsync([ 'a' ]);
+        })
+        .then(() => { return store.insertAsync(docs, { ttl: 5000 }); })
+        .then((res) => {
+          taken = res.get('a').etag;
+          keepAlive.start();
+          return next(keepAlive, 'lost');
+        })
+        .then((args) => {
+          assert.strictEqual(args[0], 'a');
+          assert.isTrue(args[1].isStale);
+          assert.deepEqual(keepAlive.keys, [ 'b' ]);
+          keepAlive.stop();
+          return store.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').etag, taken);
+        });
+    });
+
+    it('should renew readers by slot', () => {
+      let touched;
+      const keepAlive = new KeepAlive({
+        touchAsync: (keys, opts) => {
+          touched = keys;
+          return Promise.resolve(new Map([ [ 'a', {
+            success: true,
+            etag: 'etag',
+            isMissing: false,
+            isStale: false
+          } ] ]));
+        },
+        removeAsync: () => {}
+      }, [ 'a' ], slotted).start();
+
+      return next(keepAlive, 'renew')
+        .then(() => { return next(keepAlive, 'renew'); })
+        .then(() => {
+          keepAlive.stop();
+          assert.deepEqual(touched, [ 'a' ]);
+        });
+    });
+
+    it('should stop once every key is lost', () => {
+      const keepAlive = new KeepAlive(store, new Map([ [ 'x', 'etag' ] ]),
+        options).start();
+
+      return next(keepAlive, 'stop')
+        .then(() => {
+          assert.isFalse(keepAlive.isRunning);
+          assert.deepEqual(keepAlive.keys, []);
+        });
+    });
+
+    it('should keep keys that failed to renew', () => {
+      const keepAlive = new KeepAlive({
+        touchAsync: () => {
+          return Promise.resolve(new Map([ [ 'a', {
+            success: false,
+            isMissing: false,
+            isStale: false
+          } ] ]));
+        },
+        removeAsync: () => {}
+      }, new Map([ [ 'a', 'etag' ] ]), options).start();
+
+      return next(keepAlive, 'renew')
+        .then(() => {
+          assert.deepEqual(keepAlive.keys, [ 'a' ]);
+          keepAlive.stop();
+        });
+    });
+
+    it('should emit failure and keep renewing', () => {
+      const failure = new Error('test');
+      const keepAlive = new KeepAlive({
+        touchAsync: () => { throw failure; },
+        removeAsync: () => {}
+      }, etags, options).start();
+
+      return next(keepAlive, 'failure')
+        .then((args) => {
+          assert.strictEqual(args[0], failure);
+          return next(keepAlive, 'failure');
+        })
+        .then(() => {
+          keepAlive.stop();
+        });
+    });
+
+    it('should emit failure and stop on TypeError', () => {
+      const failure = new TypeError('test');
+      let touches = 0;
+      const keepAlive = new KeepAlive({
+        touchAsync: () => {
+          touches++;
+          throw failure;
+        },
+        removeAsync: () => {}
+      }, etags, options).start();
+
+      return Promise.all([
+        next(keepAlive, 'failure'),
+        next(keepAlive, 'stop')
+      ])
+        .then((args) => {
+          assert.strictEqual(args[0][0], failure);
+          assert.isFalse(keepAlive.isRunning);
+          return new Promise((resolve) => { setTimeout(resolve, 20); });
+        })
+        .then(() => {
+          assert.strictEqual(touches, 1);
+        });
+    });
+
+    it('should pass options to touchAsync without interval', () => {
+      let touched;
+      const keepAlive = new KeepAlive({
+        touchAsync: (keys, opts) => {
+          touched = opts;
+          return Promise.resolve(new Map());
+        },
+        removeAsync: () => {}
+      }, [ 'a' ], { ttl: 5000, interval: 5, slot: 's1' }).start();
+
+      return next(keepAlive, 'renew')
+        .then(() => {
+          keepAlive.stop();
+          assert.deepEqual(touched, { ttl: 5000, slot: 's1' });
+        });
+    });
+
+    it('should unref its timers', () => {
+      const timeout = global.setTimeout;
+      let unrefs = 0;
+
+      global.setTimeout = function() {
+        const timer = timeout.apply(global, arguments);
+        const unref = timer.unref;
+
+        timer.unref = function() {
+          unrefs++;
+          return unref.apply(timer, arguments);
+        };
+
+        return timer;
+      };
+
+      const keepAlive = new KeepAlive(store, etags, options).start();
+
+      global.setTimeout = timeout;
+      keepAlive.stop();
+      assert.strictEqual(unrefs, 1);
+    });
+  });
+
+  describe('#stop', () => {
+    it('should emit stop once', () => {
+      let stops = 0;
+      const keepAlive = new KeepAlive(store, etags, options);
+
+      keepAlive.on('stop', () => { stops++; });
+      keepAlive.stop();
+      keepAlive.start();
+      assert.strictEqual(keepAlive.stop(), keepAlive);
+      keepAlive.stop();
+
+      assert.strictEqual(stops, 1);
+      assert.isFalse(keepAlive.isRunning);
+    });
+
+    it('should ignore renewals in flight', () => {
+      let finish;
+      let renewed = false;
+      const keepAlive = new KeepAlive({
+        touchAsync: () => {
+          return new Promise((resolve) => { finish = resolve; });
+        },
+        removeAsync: () => {}
+      }, new Map([ [ 'x', 'etag' ] ]), options);
+
+      keepAlive.on('renew', () => { renewed = true; });
+      keepAlive.on('lost', () => { renewed = true; });
+      keepAlive.start();
+
+      return new Promise((resolve) => { setTimeout(resolve, 20); })
+        .then(() => {
+          keepAlive.stop();
+          finish(new Map([ [ 'x', { isMissing: true } ] ]));
+          return new Promise((resolve) => { setTimeout(resolve, 20); });
+        })
+        .then(() => {
+          assert.isFalse(renewed);
+          assert.deepEqual(keepAlive.keys, [ 'x' ]);
+        });
+    });
+
+    it('should ignore failures in flight', () => {
+      let fail;
+      let failed = false;
+      const keepAlive = new KeepAlive({
+        touchAsync: () => {
+          return new Promise((resolve, reject) => { fail = reject; });
+        },
+        removeAsync: () => {}
+      }, etags, options);
+
+      keepAlive.on('failure', () => { failed = true; });
+      keepAlive.start();
+
+      return new Promise((resolve) => { setTimeout(resolve, 20); })
+        .then(() => {
+          keepAlive.stop();
+          fail(new Error('test'));
+          return new Promise((resolve) => { setTimeout(resolve, 20); });
+        })
+        .then(() => {
+          assert.isFalse(failed);
+        });
+    });
+  });
+
+  describe('#releaseAsync', () => {
+    it('should stop and remove keys', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, etagsOf(res), options);
+          keepAlive.start();
+          return keepAlive.releaseAsync();
+        })
+        .then((res) => {
+          assert.isFalse(keepAlive.isRunning);
+          assert.deepEqual(res.succeeded, [ 'a', 'b' ]);
+          return store.insertAsync(docs, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+        });
+    });
+
+    it('should remove keys with their last etags', () => {
+      let keepAlive;
+
+      return store.insertAsync(docs, options)
+        .then((res) => {
+          keepAlive = new KeepAlive(store, new Map([
+            [ 'a', res.get('a').etag ]
+          ]), options).start();
+
+          return next(keepAlive, 'renew');
+        })
+        .then(() => { return keepAlive.releaseAsync(); })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.deepEqual(res.stale, []);
+        });
+    });
+
+    it('should wait for renewals in flight', () => {
+      let finish;
+      let removed;
+      const keepAlive = new KeepAlive({
+        touchAsync: () => {
+          return new Promise((resolve) => { finish = resolve; });
+        },
+        removeAsync: (keys) => {
+          removed = keys;
+          return Promise.resolve({ succeeded: Array.from(keys.keys()) });
+        }
+      }, new Map([ [ 'x', 'etag' ], [ 'y', 'etag' ] ]), options);
+
+      keepAlive.start();
+
+      return new Promise((resolve) => { setTimeout(resolve, 20); })
+        .then(() => {
+          const released = keepAlive.releaseAsync();
+
+          assert.isUndefined(removed);
+          finish(new Map([
+            [ 'x', { etag: 'renewed' } ],
+            [ 'y', { isStale: true } ]
+          ]));
+
+          return released;
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'x', 'y' ]);
+          assert.strictEqual(removed.get('x'), 'renewed');
+          assert.strictEqual(removed.get('y'), 'etag');
+        });
+    });
+  });
+
+  describe('Store#autoRenew', () => {
+    it('should return started KeepAlive', () => {
+      const keepAlive = store.autoRenew(etags, options);
+
+      assert.strictEqual(Store.KeepAlive, KeepAlive);
+      assert.instanceOf(keepAlive, KeepAlive);
+      assert.isTrue(keepAlive.isRunning);
+      keepAlive.stop();
+    });
+
+    it('should throw if bucket cannot replace', () => {
+      const testStore = new Store({
+        bucket: {
+          removeMultiAsync: () => {},
+          insertMultiAsync: () => {},
+          touchMultiAsync: () => {}
+        }
+      });
+
+      assert.throws(() => {
+        testStore.autoRenew(etags, options);
+      }, TypeError, /with etags/);
+
+      assert.throws(() => {
+        testStore.autoRenew([ 'a' ], slotted);
+      }, TypeError, /share leases/);
+    });
+  });
+});
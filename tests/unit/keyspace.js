@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const keyspace = require('../../lib/keyspace');
+
+describe('keyspace', () => {
+
+  describe('#create', () => {
+    it('should return identity function if no prefix or namespace', () => {
+      const namespace = keyspace.create({});
+      assert.strictEqual(namespace('a'), 'a');
+    });
+
+    it('should throw if both prefix and namespace', () => {
+      assert.throws(() => {
+        keyspace.create({ prefix: 'lease::', namespace: (key) => key });
+      }, TypeError);
+    });
+
+    it('should throw if prefix not string', () => {
+      assert.throws(() => {
+        keyspace.create({ prefix: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if namespace not function', () => {
+      assert.throws(() => {
+        keyspace.create({ namespace: 42 });
+      }, TypeError);
+    });
+
+    it('should return function that prepends prefix', () => {
+      const namespace = keyspace.create({ prefix: 'lease::' });
+      assert.strictEqual(namespace('a'), 'lease::a');
+    });
+
+    it('should return namespace function', () => {
+      const fn = (key) => { return key.toUpperCase(); };
+      assert.strictEqual(keyspace.create({ namespace: fn }), fn);
+    });
+  });
+
+  describe('#createInverse', () => {
+    it('should return identity function if no prefix or namespace', () => {
+      const inverse = keyspace.createInverse({});
+      assert.strictEqual(inverse('a'), 'a');
+    });
+
+    it('should return function that strips prefix', () => {
+      const inverse = keyspace.createInverse({ prefix: 'lease::' });
+      assert.strictEqual(inverse('lease::a'), 'a');
+    });
+
+    it('should return undefined for namespace function', () => {
+      const fn = (key) => { return key.toUpperCase(); };
+      assert.isUndefined(keyspace.createInverse({ namespace: fn }));
+    });
+  });
+
+  describe('#translate', () => {
+    const namespace = keyspace.create({ prefix: 'lease::' });
+
+    it('should map document keys to values', () => {
+      const result = keyspace.translate(namespace, new Map([ [ 'a', 1 ] ]));
+      assert.deepEqual(Array.from(result.physical), [ [ 'lease::a', 1 ] ]);
+    });
+
+    it('should map document keys to caller keys', () => {
+      const result = keyspace.translate(namespace, new Map([ [ 'a', 1 ] ]));
+      assert.deepEqual(Array.from(result.logical), [ [ 'lease::a', 'a' ] ]);
+    });
+
+    it('should throw if namespace returns non-string', () => {
+      assert.throws(() => {
+        keyspace.translate(() => 42, new Map([ [ 'a', 1 ] ]));
+      }, TypeError);
+    });
+
+    it('should throw if namespace returns empty string', () => {
+      assert.throws(() => {
+        keyspace.translate(() => '', new Map([ [ 'a', 1 ] ]));
+      }, TypeError);
+    });
+  });
+
+});
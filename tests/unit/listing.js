@@ -0,0 +1,178 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const listing = require('../../lib/listing');
+
+describe('listing', () => {
+  const query = () => { return Promise.resolve([]); };
+
+  describe('#create', () => {
+    it('should return undefined without query', () => {
+      assert.isUndefined(listing.create({}));
+    });
+
+    it('should throw if query not function', () => {
+      assert.throws(() => {
+        listing.create({ query: 42, keyspace: 'default' });
+      }, TypeError);
+    });
+
+    it('should throw if no keyspace', () => {
+      assert.throws(() => {
+        listing.create({ query: query });
+      }, TypeError);
+    });
+
+    it('should throw if keyspace not string', () => {
+      assert.throws(() => {
+        listing.create({ query: query, keyspace: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if keyspace empty', () => {
+      assert.throws(() => {
+        listing.create({ query: query, keyspace: '' });
+      }, TypeError);
+    });
+
+    it('should be frozen', () => {
+      assert.isFrozen(listing.create({ query: query, keyspace: 'default' }));
+    });
+
+    it('should select from keyspace', () => {
+      const settings = listing.create({
+        query: query,
+        keyspace: '`default`._default._default'
+      });
+
+      assert.strictEqual(settings.query, query);
+      assert.include(
+        settings.statement,
+        'FROM `default`._default._default AS d'
+      );
+    });
+
+    it('should use named parameters', () => {
+      const settings = listing.create({ query: query, keyspace: 'default' });
+
+      for (let name of [ '$prefix', '$after', '$exclude', '$limit' ])
+        assert.include(settings.statement, name);
+    });
+  });
+
+  describe('#assertOptions', () => {
+    it('should default options', () => {
+      assert.deepEqual(listing.assertOptions(), {
+        prefix: '',
+        limit: listing.DEFAULT_LIMIT,
+        cursor: ''
+      });
+    });
+
+    it('should keep options', () => {
+      const opts = { prefix: 'job-', limit: 5, cursor: 'job-5' };
+      assert.deepEqual(listing.assertOptions(opts), opts);
+    });
+
+    it('should throw if options not object', () => {
+      assert.throws(() => {
+        listing.assertOptions(42);
+      }, TypeError);
+    });
+
+    it('should throw if prefix not string', () => {
+      assert.throws(() => {
+        listing.assertOptions({ prefix: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if limit not integer', () => {
+      assert.throws(() => {
+        listing.assertOptions({ limit: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if limit less than 1', () => {
+      assert.throws(() => {
+        listing.assertOptions({ limit: 0 });
+      }, TypeError);
+    });
+
+    it('should throw if cursor not string', () => {
+      assert.throws(() => {
+        listing.assertOptions({ cursor: 42 });
+      }, TypeError);
+    });
+  });
+
+  describe('#run', () => {
+    const rows = (count) => {
+      const res = [];
+
+      for (let i = 0; i < count; i++)
+        res.push({ id: 'k' + i });
+
+      return res;
+    };
+
+    it('should run statement with parameters', (done) => {
+      const parameters = { prefix: 'a', after: '', exclude: 'x', limit: 2 };
+      const settings = listing.create({
+        keyspace: 'default',
+        query: (statement, params) => {
+          assert.strictEqual(statement, settings.statement);
+          assert.strictEqual(params, parameters);
+          return Promise.resolve([]);
+        }
+      });
+
+      listing.run(settings, parameters)
+        .then(() => { done(); });
+    });
+
+    it('should resolve with cursor after full page', (done) => {
+      const settings = listing.create({
+        keyspace: 'default',
+        query: () => { return Promise.resolve(rows(2)); }
+      });
+
+      listing.run(settings, { limit: 2 })
+        .then((page) => {
+          assert.lengthOf(page.rows, 2);
+          assert.strictEqual(page.cursor, 'k1');
+          done();
+        });
+    });
+
+    it('should resolve without cursor after last page', (done) => {
+      const settings = listing.create({
+        keyspace: 'default',
+        query: () => { return rows(1); }
+      });
+
+      listing.run(settings, { limit: 2 })
+        .then((page) => {
+          assert.lengthOf(page.rows, 1);
+          assert.isUndefined(page.cursor);
+          done();
+        });
+    });
+  });
+
+  describe('#expiryOf', () => {
+    it('should convert seconds to Date', () => {
+      const expiresAt = listing.expiryOf({ expiration: 1005 });
+      assert.strictEqual(expiresAt.getTime(), 1005000);
+    });
+
+    it('should return null for 0', () => {
+      assert.isNull(listing.expiryOf({ expiration: 0 }));
+    });
+
+    it('should return undefined if not reported', () => {
+      assert.isUndefined(listing.expiryOf({}));
+    });
+  });
+
+});
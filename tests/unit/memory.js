@@ -0,0 +1,519 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const memory = require('../../memory');
+const Store = require('../../lib/store');
+
+const MemoryBucket = memory.MemoryBucket;
+const MemoryStore = memory.MemoryStore;
+
+describe('memory', () => {
+  let now, clock;
+
+  beforeEach(() => {
+    now = 1000000;
+    clock = () => { return now; };
+  });
+
+  describe('MemoryBucket', () => {
+    let bucket;
+
+    beforeEach(() => {
+      bucket = new MemoryBucket({ clock: clock });
+    });
+
+    it('should throw if clock not function', () => {
+      assert.throws(() => {
+        const test = new MemoryBucket({ clock: 42 });
+      }, TypeError);
+    });
+
+    it('should default clock to Date.now', (done) => {
+      const test = new MemoryBucket();
+
+      test.insert('a', 1, { expiry: 5 }, (err, res) => {
+        test.lookupIn('a').get('$document.exptime').execute((err, res) => {
+          const exptime = res.content('$document.exptime');
+          assert.closeTo(exptime, Date.now() / 1000 + 5, 2);
+          done();
+        });
+      });
+    });
+
+    it('should insert with new cas', (done) => {
+      bucket.insert('a', 1, {}, (err, first) => {
+        bucket.insert('b', 1, {}, (err, second) => {
+          assert.isNull(err);
+          assert.notStrictEqual(first.cas, second.cas);
+          done();
+        });
+      });
+    });
+
+    it('should not insert existing key', (done) => {
+      bucket.insert('a', 1, {}, () => {
+        bucket.insert('a', 2, {}, (err, res) => {
+          assert.strictEqual(err.code, 12);
+          assert.isNull(res);
+          done();
+        });
+      });
+    });
+
+    it('should get copies of values', (done) => {
+      const value = { foo: 'bar' };
+
+      bucket.insert('a', value, {}, () => {
+        value.foo = 'baz';
+
+        bucket.get('a', (err, res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          res.value.foo = 'qux';
+
+          bucket.get('a', {}, (err, res) => {
+            assert.deepEqual(res.value, { foo: 'bar' });
+            done();
+          });
+        });
+      });
+    });
+
+    it('should store undefined values', (done) => {
+      bucket.insert('a', undefined, {}, () => {
+        bucket.get('a', (err, res) => {
+          assert.isUndefined(res.value);
+          done();
+        });
+      });
+    });
+
+    it('should not get missing key', (done) => {
+      bucket.get('a', (err, res) => {
+        assert.strictEqual(err.code, 13);
+        done();
+      });
+    });
+
+    it('should expire relative expiries by clock', (done) => {
+      bucket.insert('a', 1, { expiry: 5 }, () => {
+        now += 4999;
+
+        bucket.get('a', (err, res) => {
+          assert.isNull(err);
+          now += 1;
+
+          bucket.get('a', (err, res) => {
+            assert.strictEqual(err.code, 13);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should expire absolute expiries by clock', (done) => {
+      const expiry = 40 * 24 * 60 * 60;
+      now = expiry * 1000 - 1;
+
+      bucket.insert('a', 1, { expiry: expiry }, () => {
+        bucket.get('a', (err, res) => {
+          assert.isNull(err);
+          now += 1;
+
+          bucket.get('a', (err, res) => {
+            assert.strictEqual(err.code, 13);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should insert over expired key', (done) => {
+      bucket.insert('a', 1, { expiry: 1 }, () => {
+        now += 1000;
+
+        bucket.insert('a', 2, {}, (err, res) => {
+          assert.isNull(err);
+          done();
+        });
+      });
+    });
+
+    it('should touch with new expiry and cas', (done) => {
+      bucket.insert('a', 1, { expiry: 1 }, (err, inserted) => {
+        bucket.touch('a', 5, {}, (err, touched) => {
+          assert.notStrictEqual(touched.cas, inserted.cas);
+          now += 1000;
+
+          bucket.get('a', (err, res) => {
+            assert.isNull(err);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not touch missing key', (done) => {
+      bucket.touch('a', 5, {}, (err, res) => {
+        assert.strictEqual(err.code, 13);
+        done();
+      });
+    });
+
+    it('should remove key', (done) => {
+      bucket.insert('a', 1, {}, () => {
+        bucket.remove('a', {}, (err, res) => {
+          assert.isNull(err);
+
+          bucket.get('a', (err, res) => {
+            assert.strictEqual(err.code, 13);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should remove key with matching cas', (done) => {
+      bucket.insert('a', 1, {}, (err, inserted) => {
+        const cas = inserted.cas.toString();
+
+        bucket.remove('a', { cas: cas }, (err, res) => {
+          assert.isNull(err);
+          done();
+        });
+      });
+    });
+
+    it('should not remove key with other cas', (done) => {
+      bucket.insert('a', 1, {}, (err, inserted) => {
+        bucket.remove('a', { cas: 'other' }, (err, res) => {
+          assert.strictEqual(err.code, 12);
+          done();
+        });
+      });
+    });
+
+    it('should not remove missing key', (done) => {
+      bucket.remove('a', {}, (err, res) => {
+        assert.strictEqual(err.code, 13);
+        done();
+      });
+    });
+
+    it('should replace key with matching cas', (done) => {
+      bucket.insert('a', 1, {}, (err, inserted) => {
+        bucket.replace('a', 2, { cas: inserted.cas, expiry: 5 }, (err) => {
+          assert.isNull(err);
+
+          bucket.get('a', (err, res) => {
+            assert.strictEqual(res.value, 2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not replace key with other cas', (done) => {
+      bucket.insert('a', 1, {}, (err, inserted) => {
+        bucket.replace('a', 2, { cas: 'other' }, (err, res) => {
+          assert.strictEqual(err.code, 12);
+          done();
+        });
+      });
+    });
+
+    it('should not replace missing key', (done) => {
+      bucket.replace('a', 2, {}, (err, res) => {
+        assert.strictEqual(err.code, 13);
+        done();
+      });
+    });
+
+    it('should create counter with initial value', (done) => {
+      bucket.counter('a', 1, { initial: 1 }, (err, res) => {
+        assert.strictEqual(res.value, 1);
+
+        bucket.get('a', (err, res) => {
+          assert.strictEqual(res.value, 1);
+          done();
+        });
+      });
+    });
+
+    it('should increment counter with new cas', (done) => {
+      bucket.counter('a', 1, { initial: 1 }, (err, first) => {
+        bucket.counter('a', 2, { initial: 1 }, (err, second) => {
+          assert.strictEqual(second.value, 3);
+          assert.notStrictEqual(second.cas, first.cas);
+          done();
+        });
+      });
+    });
+
+    it('should not increment missing counter without initial', (done) => {
+      bucket.counter('a', 1, {}, (err, res) => {
+        assert.strictEqual(err.code, 13);
+        done();
+      });
+    });
+
+    it('should query live documents by prefix after cursor', (done) => {
+      const params = { prefix: 'a', after: 'a1', exclude: '::x', limit: 2 };
+
+      bucket.insert('a1', 1, {}, () => {
+        bucket.insert('a3', { foo: 'bar' }, { expiry: 5 }, () => {
+          bucket.insert('a2', 2, { expiry: 1 }, () => {
+            bucket.insert('a2::x', 2, {}, () => {
+              bucket.insert('b1', 3, {}, () => {
+                now += 1000;
+
+                bucket.query('SELECT', params, (err, rows) => {
+                  assert.isNull(err);
+                  assert.deepEqual(rows, [ {
+                    id: 'a3',
+                    cas: '2',
+                    expiration: 1005,
+                    doc: { foo: 'bar' }
+                  } ]);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should query at most limit documents', (done) => {
+      const params = { prefix: '', after: '', exclude: '::x', limit: 1 };
+
+      bucket.insert('b', 1, {}, () => {
+        bucket.insert('a', 1, {}, () => {
+          bucket.query('SELECT', params, (err, rows) => {
+            assert.lengthOf(rows, 1);
+            assert.strictEqual(rows[0].id, 'a');
+            assert.strictEqual(rows[0].expiration, 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should look up expiry in seconds', (done) => {
+      bucket.insert('a', 1, { expiry: 5 }, () => {
+        bucket.lookupIn('a')
+          .get('$document.exptime', { xattr: true })
+          .execute((err, res) => {
+            assert.strictEqual(res.content('$document.exptime'), 1005);
+            done();
+          });
+      });
+    });
+
+    it('should look up expiry of 0 without expiry', (done) => {
+      bucket.insert('a', 1, {}, () => {
+        bucket.lookupIn('a')
+          .get('$document.exptime', { xattr: true })
+          .execute((err, res) => {
+            assert.strictEqual(res.content('$document.exptime'), 0);
+            done();
+          });
+      });
+    });
+
+    it('should not look up other paths', (done) => {
+      bucket.insert('a', { foo: 'bar' }, {}, () => {
+        bucket.lookupIn('a')
+          .get('foo')
+          .execute((err, res) => {
+            assert.throws(() => { res.content('foo'); });
+            assert.throws(() => { res.content('$document.exptime'); });
+            done();
+          });
+      });
+    });
+
+    it('should not look up missing key', (done) => {
+      bucket.lookupIn('a')
+        .get('$document.exptime', { xattr: true })
+        .execute((err, res) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+  });
+
+  describe('MemoryStore', () => {
+    let store, docs, options;
+
+    beforeEach(() => {
+      store = new MemoryStore({ clock: clock });
+      docs = new Map([ [ 'a', { foo: 'bar' } ], [ 'b', { baz: 'qux' } ] ]);
+      options = { ttl: 5000 };
+    });
+
+    it('should be a Store', () => {
+      assert.instanceOf(store, Store);
+    });
+
+    it('should have its own bucket', () => {
+      assert.instanceOf(store.bucket, MemoryBucket);
+      assert.notStrictEqual(new MemoryStore().bucket, store.bucket);
+    });
+
+    it('should not take a bucket or collection', () => {
+      const test = new MemoryStore({ bucket: {}, collection: {} });
+      assert.instanceOf(test.bucket, MemoryBucket);
+    });
+
+    it('should insert with expiresAt by clock', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.strictEqual(res.get('a').expiresAt.getTime(), now + 5000);
+          return store.insertAsync(docs, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isCollision);
+          done();
+        });
+    });
+
+    it('should insert again once leases expire', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          now += 5000;
+          return store.insertAsync(docs, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should keep renewed leases past first expiry', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          now += 4000;
+          return store.touchAsync([ 'a' ], options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          now += 4000;
+          return store.insertAsync(docs, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isCollision);
+          assert.isTrue(res.get('b').success);
+          done();
+        });
+    });
+
+    it('should not touch with stale etags', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return store.touchAsync(etags, options)
+            .then(() => { return store.touchAsync(etags, options); });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isStale);
+          done();
+        });
+    });
+
+    it('should not remove with stale etags', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return store.touchAsync([ 'a' ], options)
+            .then(() => { return store.removeAsync(etags); });
+        })
+        .then((res) => {
+          assert.deepEqual(res.stale, [ 'a' ]);
+          done();
+        });
+    });
+
+    it('should get leases with expiresAt by clock', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          return store.getAsync([ 'a', 'x' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(res.get('a').value, { foo: 'bar' });
+          assert.strictEqual(res.get('a').expiresAt.getTime(), now + 5000);
+          assert.isTrue(res.get('x').isMissing);
+          done();
+        });
+    });
+
+    it('should list leases', (done) => {
+      const test = new MemoryStore({
+        clock: clock,
+        prefix: 'lease::',
+        envelope: true,
+        fencing: true
+      });
+
+      let inserted;
+
+      test.insertAsync(docs, options)
+        .then((res) => {
+          inserted = res;
+          return test.listAsync({ limit: 1 });
+        })
+        .then((page) => {
+          assert.strictEqual(page.leases[0].key, 'a');
+          assert.strictEqual(page.leases[0].etag, inserted.get('a').etag);
+          return test.listAsync({ cursor: page.cursor });
+        })
+        .then((page) => {
+          assert.deepEqual(page.leases.map((lease) => lease.key), [ 'b' ]);
+          assert.isUndefined(page.cursor);
+          done();
+        });
+    });
+
+    it('should list leases with given query', (done) => {
+      const test = new MemoryStore({
+        clock: clock,
+        keyspace: 'other',
+        prefix: 'lease::',
+        query: () => { return Promise.resolve([]); }
+      });
+
+      test.insertAsync(docs, options)
+        .then((res) => {
+          return test.listAsync();
+        })
+        .then((page) => {
+          assert.lengthOf(page.leases, 0);
+          done();
+        });
+    });
+
+    it('should use envelopes', (done) => {
+      const test = new MemoryStore({ clock: clock, envelope: {
+        holder: 'worker-1'
+      } });
+
+      test.insertAsync(docs, options)
+        .then((res) => {
+          now += 1000;
+          return test.touchAsync([ 'a' ], options);
+        })
+        .then((res) => {
+          return test.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const lease = res.get('a').lease;
+          assert.strictEqual(lease.holder, 'worker-1');
+          assert.strictEqual(lease.renewedAt.getTime(), now);
+          done();
+        });
+    });
+  });
+
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const retry = require('../../lib/retry');
+
+describe('retry', () => {
+
+  const results = (outcomes) => {
+    const res = { keys: Object.keys(outcomes), results: {} };
+
+    for (let key of res.keys) {
+      const code = outcomes[key];
+      res.results[key] = (code === 0)
+        ? { success: true, result: { cas: key } }
+        : { success: false, err: { code: code } };
+    }
+
+    return Promise.resolve(res);
+  };
+
+  describe('#create', () => {
+    it('should attempt once without option', () => {
+      assert.strictEqual(retry.create(undefined).attempts, 1);
+    });
+
+    it('should throw if option not object', () => {
+      assert.throws(() => {
+        retry.create(42);
+      }, TypeError);
+    });
+
+    it('should throw if attempts not integer', () => {
+      assert.throws(() => {
+        retry.create({ attempts: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if attempts less than 1', () => {
+      assert.throws(() => {
+        retry.create({ attempts: 0 });
+      }, TypeError);
+    });
+
+    it('should throw if delay negative', () => {
+      assert.throws(() => {
+        retry.create({ delay: -1 });
+      }, TypeError);
+    });
+
+    it('should throw if delay not number', () => {
+      assert.throws(() => {
+        retry.create({ delay: 'blorg' });
+      }, TypeError);
+    });
+
+    it('should throw if jitter greater than 1', () => {
+      assert.throws(() => {
+        retry.create({ jitter: 2 });
+      }, TypeError);
+    });
+
+    it('should throw if jitter not number', () => {
+      assert.throws(() => {
+        retry.create({ jitter: 'blorg' });
+      }, TypeError);
+    });
+
+    it('should throw if codes not array', () => {
+      assert.throws(() => {
+        retry.create({ codes: 11 });
+      }, TypeError);
+    });
+
+    it('should throw if codes not numbers', () => {
+      assert.throws(() => {
+        retry.create({ codes: [ 'blorg' ] });
+      }, TypeError);
+    });
+
+    it('should default to transient codes', () => {
+      const policy = retry.create({});
+      assert.strictEqual(policy.attempts, 3);
+      assert.sameMembers(Array.from(policy.codes), retry.RETRYABLE_CODES);
+    });
+
+    it('should not default to network errors', () => {
+      assert.notInclude(retry.RETRYABLE_CODES, 16);
+      assert.notInclude(retry.WRITE_RETRYABLE_CODES, 16);
+    });
+
+    it('should default inserts to codes without timeouts', () => {
+      const policy = retry.create({});
+
+      assert.sameMembers(
+        Array.from(policy.writeCodes),
+        retry.WRITE_RETRYABLE_CODES
+      );
+
+      assert.notInclude(retry.WRITE_RETRYABLE_CODES, 23);
+      assert.include(retry.RETRYABLE_CODES, 23);
+    });
+
+    it('should use options', () => {
+      const policy = retry.create({
+        attempts: 5,
+        delay: 10,
+        jitter: 0,
+        codes: [ 42, 23 ]
+      });
+
+      assert.strictEqual(policy.attempts, 5);
+      assert.strictEqual(policy.delay, 10);
+      assert.strictEqual(policy.jitter, 0);
+      assert.deepEqual(Array.from(policy.codes), [ 42, 23 ]);
+      assert.deepEqual(Array.from(policy.writeCodes), [ 42, 23 ]);
+    });
+  });
+
+  describe('#forWrites', () => {
+    it('should return policy with write codes', () => {
+      const policy = retry.create({ attempts: 5 });
+      const writes = retry.forWrites(policy);
+
+      assert.strictEqual(writes.attempts, 5);
+      assert.strictEqual(writes.codes, policy.writeCodes);
+      assert.notStrictEqual(policy.codes, policy.writeCodes);
+    });
+  });
+
+  describe('#isRetryable', () => {
+    const policy = retry.create({ codes: [ 11 ] });
+
+    it('should return false on success', () => {
+      assert.isFalse(retry.isRetryable(policy, { success: true }));
+    });
+
+    it('should return false without err', () => {
+      assert.isFalse(retry.isRetryable(policy, { success: false }));
+    });
+
+    it('should return false for other codes', () => {
+      const val = { success: false, err: { code: 12 } };
+      assert.isFalse(retry.isRetryable(policy, val));
+    });
+
+    it('should return true for retryable codes', () => {
+      const val = { success: false, err: { code: 11 } };
+      assert.isTrue(retry.isRetryable(policy, val));
+    });
+  });
+
+  describe('#backoff', () => {
+    it('should double delay with each retry', () => {
+      const policy = retry.create({ delay: 10, jitter: 0 });
+      assert.strictEqual(retry.backoff(policy, 1), 10);
+      assert.strictEqual(retry.backoff(policy, 2), 20);
+      assert.strictEqual(retry.backoff(policy, 3), 40);
+    });
+
+    it('should take away at most jitter fraction of delay', () => {
+      const policy = retry.create({ delay: 100, jitter: 0.5 });
+
+      for (let i = 0; i < 20; i++) {
+        const wait = retry.backoff(policy, 1);
+        assert.isAtLeast(wait, 50);
+        assert.isAtMost(wait, 100);
+      }
+    });
+  });
+
+  describe('#run', () => {
+    const policy = retry.create({ attempts: 3, delay: 0, codes: [ 11 ] });
+
+    it('should attempt each key once on success', (done) => {
+      retry.run(policy, [ 'a', 'b' ], (keys) => results({ a: 0, b: 0 }))
+        .then((res) => {
+          assert.deepEqual(res.keys, [ 'a', 'b' ]);
+          assert.isTrue(res.results.a.success);
+          assert.strictEqual(res.attempts.get('a'), 1);
+          assert.strictEqual(res.attempts.get('b'), 1);
+          done();
+        });
+    });
+
+    it('should not retry non-retryable failures', (done) => {
+      let calls = 0;
+      retry.run(policy, [ 'a' ], (keys) => {
+        calls++;
+        return results({ a: 12 });
+      })
+        .then((res) => {
+          assert.strictEqual(calls, 1);
+          assert.strictEqual(res.attempts.get('a'), 1);
+          assert.strictEqual(res.results.a.err.code, 12);
+          done();
+        });
+    });
+
+    it('should re-submit only retryable keys', (done) => {
+      const submitted = [];
+      retry.run(policy, [ 'a', 'b', 'c' ], (keys) => {
+        submitted.push(keys);
+        return (submitted.length === 1)
+          ? results({ a: 0, b: 11, c: 12 })
+          : results({ b: 0 });
+      })
+        .then((res) => {
+          assert.deepEqual(submitted, [ [ 'a', 'b', 'c' ], [ 'b' ] ]);
+          assert.deepEqual(res.keys, [ 'a', 'b', 'c' ]);
+          assert.isTrue(res.results.b.success);
+          assert.strictEqual(res.attempts.get('a'), 1);
+          assert.strictEqual(res.attempts.get('b'), 2);
+          assert.strictEqual(res.attempts.get('c'), 1);
+          done();
+        });
+    });
+
+    it('should stop after max attempts', (done) => {
+      let calls = 0;
+      retry.run(policy, [ 'a' ], (keys) => {
+        calls++;
+        return results({ a: 11 });
+      })
+        .then((res) => {
+          assert.strictEqual(calls, 3);
+          assert.strictEqual(res.attempts.get('a'), 3);
+          assert.isFalse(res.results.a.success);
+          done();
+        });
+    });
+
+    it('should wait between attempts', (done) => {
+      const slow = retry.create({ attempts: 2, delay: 20, jitter: 0 });
+      const start = Date.now();
+      let calls = 0;
+
+      retry.run(slow, [ 'a' ], (keys) => {
+        calls++;
+        return results({ a: (calls === 1) ? 11 : 0 });
+      })
+        .then((res) => {
+          assert.isAtLeast(Date.now() - start, 15);
+          assert.isTrue(res.results.a.success);
+          done();
+        });
+    });
+
+    it('should reject if operation rejects', (done) => {
+      retry.run(policy, [ 'a' ], (keys) => Promise.reject(new Error('Nope')))
+        .catch((err) => {
+          assert.strictEqual(err.message, 'Nope');
+          done();
+        });
+    });
+  });
+
+});
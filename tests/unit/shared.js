@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const shared = require('../../lib/shared');
+
+describe('shared', () => {
+  const now = 1500000000000;
+  const at = new Date(now).toISOString();
+
+  describe('#createSlot', () => {
+    it('should return unique strings', () => {
+      const slot = shared.createSlot();
+      assert.isString(slot);
+      assert.notEqual(slot, shared.createSlot());
+    });
+  });
+
+  describe('#create', () => {
+    it('should create lease held by one reader', () => {
+      const doc = shared.create({ foo: 'bar' }, 's1', 'worker-1', 5000, now);
+
+      assert.deepEqual(doc, {
+        $landlordShared: shared.VERSION,
+        readerCount: 1,
+        readers: {
+          s1: {
+            holder: 'worker-1',
+            acquiredAt: at,
+            renewedAt: at,
+            ttl: 5000
+          }
+        },
+        value: { foo: 'bar' }
+      });
+    });
+  });
+
+  describe('#isShared', () => {
+    it('should return false for other documents', () => {
+      assert.isFalse(shared.isShared(null));
+      assert.isFalse(shared.isShared(42));
+      assert.isFalse(shared.isShared({ $landlord: 1 }));
+    });
+
+    it('should return true for shared leases', () => {
+      assert.isTrue(shared.isShared(shared.create(42, 's1', 'a', 5000, now)));
+    });
+  });
+
+  describe('#join', () => {
+    it('should add reader', () => {
+      const doc = shared.create(42, 's1', 'a', 5000, now);
+      const joined = shared.join(doc, 's2', 'b', 9000, now + 1000);
+
+      assert.strictEqual(joined.readerCount, 2);
+      assert.strictEqual(joined.readers.s2.holder, 'b');
+      assert.strictEqual(joined.readers.s2.ttl, 9000);
+      assert.strictEqual(doc.readerCount, 1);
+      assert.isUndefined(doc.readers.s2);
+    });
+
+    it('should drop expired readers', () => {
+      const doc = shared.create(42, 's1', 'a', 5000, now);
+      const joined = shared.join(doc, 's2', 'b', 5000, now + 5000);
+
+      assert.strictEqual(joined.readerCount, 1);
+      assert.isUndefined(joined.readers.s1);
+    });
+
+    it('should keep acquiredAt of current readers', () => {
+      const doc = shared.create(42, 's1', 'a', 5000, now);
+      const joined = shared.join(doc, 's1', 'a', 5000, now + 1000);
+
+      assert.strictEqual(joined.readerCount, 1);
+      assert.strictEqual(joined.readers.s1.acquiredAt, at);
+      assert.strictEqual(
+        joined.readers.s1.renewedAt,
+        new Date(now + 1000).toISOString()
+      );
+    });
+  });
+
+  describe('#holds', () => {
+    const doc = shared.create(42, 's1', 'a', 5000, now);
+
+    it('should return true for current readers', () => {
+      assert.isTrue(shared.holds(doc, 's1', now + 1000));
+    });
+
+    it('should return false for expired readers', () => {
+      assert.isFalse(shared.holds(doc, 's1', now + 5000));
+    });
+
+    it('should return false for other slots', () => {
+      assert.isFalse(shared.holds(doc, 's2', now));
+    });
+
+    it('should return false for other documents', () => {
+      assert.isFalse(shared.holds({ readers: doc.readers }, 's1', now));
+    });
+  });
+
+  describe('#renew', () => {
+    it('should renew reader with its holder', () => {
+      const doc = shared.create(42, 's1', 'a', 5000, now);
+      const renewed = shared.renew(doc, 's1', 9000, now + 1000);
+
+      assert.strictEqual(renewed.readers.s1.holder, 'a');
+      assert.strictEqual(renewed.readers.s1.ttl, 9000);
+      assert.strictEqual(doc.readers.s1.ttl, 5000);
+    });
+  });
+
+  describe('#leave', () => {
+    it('should remove reader', () => {
+      const doc = shared.join(
+        shared.create(42, 's1', 'a', 5000, now), 's2', 'b', 5000, now);
+      const left = shared.leave(doc, 's1', now);
+
+      assert.strictEqual(left.readerCount, 1);
+      assert.deepEqual(Object.keys(left.readers), [ 's2' ]);
+      assert.strictEqual(doc.readerCount, 2);
+    });
+  });
+
+  describe('#lastExpiry', () => {
+    it('should return expiry of last reader', () => {
+      const doc = shared.join(
+        shared.create(42, 's1', 'a', 9000, now), 's2', 'b', 5000, now);
+
+      assert.strictEqual(shared.lastExpiry(doc), now + 9000);
+    });
+
+    it('should return 0 without readers', () => {
+      const doc = shared.leave(
+        shared.create(42, 's1', 'a', 5000, now), 's1', now);
+
+      assert.strictEqual(shared.lastExpiry(doc), 0);
+    });
+  });
+
+  describe('#unwrap', () => {
+    it('should read value and readers', () => {
+      const doc = shared.create({ foo: 'bar' }, 's1', 'a', 5000, now);
+      const result = shared.unwrap(JSON.parse(JSON.stringify(doc)));
+
+      assert.deepEqual(result.value, { foo: 'bar' });
+      assert.deepEqual(result.readers, [ {
+        slot: 's1',
+        holder: 'a',
+        acquiredAt: new Date(now),
+        renewedAt: new Date(now),
+        ttl: 5000
+      } ]);
+    });
+  });
+});
@@ -3,6 +3,7 @@
 const assert = require('chai').assert;
 const couchbase = require('couchbase-promises');
 const cb = couchbase.Mock;
+const vanilla = require('couchbase');
 
 const Store = require('../../lib/store');
 
@@ -22,63 +23,3919 @@ describe('Store', () => {
     });
   });
 
+  const TIMED_OUT = couchbase.errors.timedOut;
+
+  // Writes the documents, but reports the first call as timed out.
+  const landing = (name) => {
+    const op = bucket[name].bind(bucket);
+    let calls = 0;
+
+    bucket[name] = function() {
+      return op.apply(bucket, arguments)
+        .then((res) => {
+          if (++calls > 1) return res;
+
+          for (let key of res.keys)
+            res.results[key] = { success: false, err: { code: TIMED_OUT } };
+
+          return res;
+        });
+    };
+
+    return () => { return calls; };
+  };
+
   describe('#constructor', () => {
     it('should throw if no options', () => {
       assert.throws(() => {
-        const test = new Store();
+        const test = new Store();
+      }, TypeError);
+    });
+
+    it('should throw if options not object', () => {
+      assert.throws(() => {
+        const test = new Store(42);
+      }, TypeError);
+    });
+
+    it('should throw if no bucket key', () => {
+      assert.throws(() => {
+        const test = new Store({});
+      }, TypeError);
+    });
+
+    it('should throw if collection null', () => {
+      assert.throws(() => {
+        const test = new Store({ collection: null });
+      }, TypeError);
+    });
+
+    it('should throw if clock not function', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, clock: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if bucket not defined', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: undefined });
+      }, TypeError);
+    });
+
+    it('should throw if bucket has no insertMultiAsync() method', () => {
+      assert.throws(() => {
+        const test = new Store({
+          bucket: {
+            removeMultiAsync: function() {},
+            touchMultiAsync: function() {}
+          }
+        });
+      }, TypeError);
+    });
+
+    it('should throw if bucket has no touchMultiAsync() method', () => {
+      assert.throws(() => {
+        const test = new Store({
+          bucket: {
+            insertMultiAsync: function() {},
+            removeMultiAsync: function() {}
+          }
+        });
+      }, TypeError);
+    });
+
+    it('should throw if bucket has no removeMultiAsync() method', () => {
+      assert.throws(() => {
+        const test = new Store({
+          bucket: {
+            insertMultiAsync: function() {},
+            touchMultiAsync: function() {}
+          }
+        });
+      }, TypeError);
+    });
+
+    it('should throw if both prefix and namespace', () => {
+      assert.throws(() => {
+        const test = new Store({
+          bucket: bucket,
+          prefix: 'lease::',
+          namespace: (key) => key
+        });
+      }, TypeError);
+    });
+  });
+
+  describe('#collection', () => {
+    let coll, collStore;
+
+    const sdkError = (name) => {
+      const err = new Error(name);
+      err.name = name;
+      return err;
+    };
+
+    /*
+      Stands in for the collections of the Couchbase SDK 3+, which have only
+      promise-returning operations on single keys, and throw errors by name.
+    */
+    const fakeCollection = () => {
+      const docs = new Map();
+      let cas = 0;
+
+      const write = (key, value, expiry) => {
+        docs.set(key, { value: value, cas: ++cas, expiry: expiry });
+        return Promise.resolve({ cas: docs.get(key).cas });
+      };
+
+      const check = (key, options) => {
+        if (!docs.has(key))
+          throw sdkError('DocumentNotFoundError');
+
+        const stale = (options && options.cas
+          && String(docs.get(key).cas) !== String(options.cas));
+
+        if (stale)
+          throw sdkError('CasMismatchError');
+      };
+
+      return {
+        docs: docs,
+        insert: (key, value, options) => {
+          if (docs.has(key))
+            return Promise.reject(sdkError('DocumentExistsError'));
+
+          return write(key, value, options.expiry);
+        },
+        touch: (key, expiry) => {
+          return Promise.resolve().then(() => {
+            check(key);
+            return write(key, docs.get(key).value, expiry);
+          });
+        },
+        remove: (key, options) => {
+          return Promise.resolve().then(() => {
+            check(key, options);
+            docs.delete(key);
+            return { cas: ++cas };
+          });
+        },
+        get: (key) => {
+          return Promise.resolve().then(() => {
+            check(key);
+            const doc = docs.get(key);
+            return { content: doc.value, cas: doc.cas };
+          });
+        },
+        replace: (key, value, options) => {
+          return Promise.resolve().then(() => {
+            check(key, options);
+            return write(key, value, options.expiry);
+          });
+        }
+      };
+    };
+
+    beforeEach(() => {
+      coll = fakeCollection();
+      coll.docs.set('c', { value: { quux: 'quuz' }, cas: 100 });
+      collStore = new Store({ collection: coll });
+    });
+
+    it('should insert keys', (done) => {
+      docs.set('c', 42);
+      collStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.strictEqual(coll.docs.get('a').expiry, 5);
+          assert.isFalse(res.get('c').success);
+          assert.isTrue(res.get('c').isCollision);
+          assert.strictEqual(res.get('c').reason, Store.reasons.collision);
+          done();
+        });
+    });
+
+    it('should touch keys', (done) => {
+      collStore.touchAsync([ 'c', 'x' ], options)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          assert.isFalse(res.get('x').success);
+          assert.isTrue(res.get('x').isMissing);
+          done();
+        });
+    });
+
+    it('should touch keys with etags', (done) => {
+      const etags = new Map([ [ 'c', '100' ], [ 'a', '1' ] ]);
+      coll.docs.set('a', { value: 1, cas: 2 });
+
+      collStore.touchAsync(etags, options)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          assert.isTrue(res.get('a').isStale);
+          done();
+        });
+    });
+
+    it('should remove keys', (done) => {
+      collStore.removeAsync([ 'c', 'x' ])
+        .then((res) => {
+          assert.sameMembers(res.succeeded, [ 'c', 'x' ]);
+          assert.isFalse(coll.docs.has('c'));
+          done();
+        });
+    });
+
+    it('should not remove keys with stale etags', (done) => {
+      collStore.removeAsync(new Map([ [ 'c', '1' ] ]))
+        .then((res) => {
+          assert.deepEqual(res.stale, [ 'c' ]);
+          assert.isTrue(coll.docs.has('c'));
+          done();
+        });
+    });
+
+    it('should get keys', (done) => {
+      collStore.getAsync([ 'c', 'x' ])
+        .then((res) => {
+          assert.deepEqual(res.get('c').value, { quux: 'quuz' });
+          assert.strictEqual(res.get('c').etag, '100');
+          assert.isTrue(res.get('x').isMissing);
+          done();
+        });
+    });
+
+    it('should insert with durability level', (done) => {
+      const insert = coll.insert;
+      let opts;
+      coll.insert = (key, value, options) => {
+        opts = options;
+        return insert(key, value, options);
+      };
+
+      const testStore = new Store({
+        collection: coll,
+        durabilityLevel: 'majority'
+      });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.strictEqual(opts.durabilityLevel, 1);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should use collection of scoped bucket', (done) => {
+      const scoped = {
+        scope: (name) => {
+          assert.strictEqual(name, 'app');
+          return { collection: () => coll };
+        }
+      };
+
+      const test = new Store({ bucket: scoped, scope: 'app' });
+
+      test.getAsync([ 'c' ])
+        .then((res) => {
+          assert.strictEqual(res.get('c').etag, '100');
+          done();
+        });
+    });
+  });
+
+  describe('#callback bucket', () => {
+    let plain, plainStore;
+
+    beforeEach((done) => {
+      const plainCluster = new vanilla.Mock.Cluster('couchbase://localhost');
+      plain = plainCluster.openBucket('default');
+      plainStore = new Store({ bucket: plain, concurrency: 2 });
+      plain.insert('c', { quux: 'quuz' }, (err, res) => {
+        done();
+      });
+    });
+
+    it('should insert, touch, get, and remove keys', (done) => {
+      docs.set('c', 42);
+      plainStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.isTrue(res.get('c').isCollision);
+          return plainStore.touchAsync([ 'a', 'x' ], options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isTrue(res.get('x').isMissing);
+          return plainStore.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(res.get('a').value, { foo: 'bar' });
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return plainStore.removeAsync(etags);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          done();
+        });
+    });
+
+    it('should touch keys with etags', (done) => {
+      plainStore.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return plainStore.touchAsync(etags, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+  });
+
+  describe('#errors', () => {
+    it('should expose reasons', () => {
+      assert.strictEqual(Store.reasons.collision, 'collision');
+      assert.strictEqual(Store.reasons.stale, 'stale');
+    });
+
+    it('should expose error classes', () => {
+      const classes = [
+        Store.AuthError,
+        Store.CollisionError,
+        Store.DeadlineError,
+        Store.MissingError,
+        Store.StaleError,
+        Store.TimeoutError,
+        Store.TransientError
+      ];
+
+      for (let ErrorClass of classes)
+        assert.instanceOf(new ErrorClass('Nope'), Store.StoreError);
+    });
+
+    it('should set reason on insert summaries', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('a').reason);
+          assert.strictEqual(res.get('c').reason, Store.reasons.collision);
+          done();
+        });
+    });
+
+    it('should set reason on touch summaries', (done) => {
+      store.touchAsync([ 'b', 'c' ], options)
+        .then((res) => {
+          assert.strictEqual(res.get('b').reason, Store.reasons.missing);
+          assert.isUndefined(res.get('c').reason);
+          done();
+        });
+    });
+
+    it('should set reason stale on touch with stale etag', (done) => {
+      store.touchAsync(new Map([ [ 'c', '1' ] ]), options)
+        .then((res) => {
+          assert.strictEqual(res.get('c').reason, Store.reasons.stale);
+          done();
+        });
+    });
+
+    it('should set reason on get summaries', (done) => {
+      store.getAsync([ 'a' ])
+        .then((res) => {
+          assert.strictEqual(res.get('a').reason, Store.reasons.missing);
+          done();
+        });
+    });
+
+    it('should set typed errors for failed removals', (done) => {
+      const testBucket = {
+        touchMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        removeMultiAsync: (keys) => {
+          return Promise.resolve({
+            keys: [ 'a', 'b', 'c', 'd' ],
+            results: {
+              a: { success: true, result: { cas: 'x' } },
+              b: { success: false, err: { code: 13 } },
+              c: { success: false, err: { code: 12 } },
+              d: { success: false, err: { code: 23 } }
+            }
+          });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.removeAsync([ 'a', 'b', 'c', 'd' ])
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a', 'b' ]);
+          assert.deepEqual(res.stale, [ 'c' ]);
+          assert.deepEqual(res.failed, [ 'd' ]);
+          assert.deepEqual(Array.from(res.errors.keys()), [ 'c', 'd' ]);
+          assert.instanceOf(res.errors.get('c'), Store.StaleError);
+          assert.instanceOf(res.errors.get('d'), Store.TimeoutError);
+          assert.strictEqual(res.errors.get('d').reason, 'timeout');
+          assert.deepEqual(res.errors.get('d').cause, { code: 23 });
+          done();
+        });
+    });
+  });
+
+  describe('#retry', () => {
+    const flaky = (name, failures, code) => {
+      const calls = [];
+      const testBucket = {
+        insertMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        calls: calls
+      };
+
+      testBucket[name] = (keys) => {
+        const list = (Array.isArray(keys)) ? keys : Array.from(keys.keys());
+        calls.push(list);
+
+        const res = { keys: list, results: {} };
+
+        for (let key of list) {
+          res.results[key] = (calls.length <= failures)
+            ? { success: false, err: { code: code || TEMPORARY } }
+            : { success: true, result: { cas: 'cas-' + calls.length } };
+        }
+
+        return Promise.resolve(res);
+      };
+
+      return testBucket;
+    };
+
+    const TEMPORARY = couchbase.errors.temporaryError;
+
+    const retryOptions = { attempts: 3, delay: 0 };
+
+    it('should throw if retry option invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, retry: 42 });
+      }, TypeError);
+    });
+
+    it('should not retry without retry option', (done) => {
+      const testBucket = flaky('insertMultiAsync', 1);
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 1);
+          assert.isFalse(res.get('a').success);
+          assert.strictEqual(res.get('a').attempts, 1);
+          done();
+        });
+    });
+
+    it('should retry transient insert failures', (done) => {
+      const testBucket = flaky('insertMultiAsync', 2);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 3);
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').etag, 'cas-3');
+          assert.strictEqual(res.get('a').attempts, 3);
+          done();
+        });
+    });
+
+    it('should not retry timed out inserts by default', (done) => {
+      const testBucket = flaky('insertMultiAsync', 1, TIMED_OUT);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 1);
+          assert.strictEqual(res.get('a').reason, Store.reasons.timeout);
+          done();
+        });
+    });
+
+    it('should not retry timed out permits by default', (done) => {
+      const testBucket = flaky('insertMultiAsync', 1, TIMED_OUT);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, { ttl: 5000, permits: 1 })
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 1);
+          assert.isFalse(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should retry timed out inserts if listed in codes', (done) => {
+      const testBucket = flaky('insertMultiAsync', 1, TIMED_OUT);
+      const testStore = new Store({
+        bucket: testBucket,
+        retry: { attempts: 3, delay: 0, codes: [ TIMED_OUT ] }
+      });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 2);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should retry timed out touches by default', (done) => {
+      const testBucket = flaky('touchMultiAsync', 1, TIMED_OUT);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.touchAsync([ 'a' ], options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 2);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should not retry timed out touches with etags by default', (done) => {
+      const testStore = new Store({ bucket: bucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          const calls = landing('replaceMultiAsync');
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+
+          return testStore.touchAsync(etags, options)
+            .then((touched) => {
+              const a = touched.get('a');
+              assert.strictEqual(calls(), 1);
+              assert.isFalse(a.isStale);
+              assert.strictEqual(a.reason, Store.reasons.timeout);
+              assert.strictEqual(a.attempts, 1);
+              done();
+            });
+        });
+    });
+
+    it('should not retry timed out removals with etags by default', (done) => {
+      const testStore = new Store({ bucket: bucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          const calls = landing('removeMultiAsync');
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+
+          return testStore.removeAsync(etags)
+            .then((removed) => {
+              assert.strictEqual(calls(), 1);
+              assert.deepEqual(removed.stale, []);
+              assert.deepEqual(removed.failed, [ 'a' ]);
+              assert.instanceOf(removed.errors.get('a'), Store.TimeoutError);
+              done();
+            });
+        });
+    });
+
+    it('should report last failure after max attempts', (done) => {
+      const testBucket = flaky('insertMultiAsync', 5);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 3);
+          assert.isFalse(res.get('a').success);
+          assert.strictEqual(res.get('a').attempts, 3);
+          done();
+        });
+    });
+
+    it('should only re-submit retryable keys', (done) => {
+      const testStore = new Store({ bucket: bucket, retry: retryOptions });
+      const insertMultiAsync = bucket.insertMultiAsync.bind(bucket);
+      const submitted = [];
+      let failed = false;
+
+      bucket.insertMultiAsync = (entries, opts) => {
+        submitted.push(Array.from(entries.keys()));
+        return insertMultiAsync(entries, opts)
+          .then((res) => {
+            if (!failed) {
+              failed = true;
+              res.results.a = {
+                success: false,
+                err: { code: couchbase.errors.temporaryError }
+              };
+              return bucket.removeAsync('a').then(() => res);
+            }
+
+            return res;
+          });
+      };
+
+      docs.set('c', 42);
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(submitted, [ [ 'a', 'b', 'c' ], [ 'a' ] ]);
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').attempts, 2);
+          assert.strictEqual(res.get('b').attempts, 1);
+          assert.isTrue(res.get('c').isCollision);
+          assert.strictEqual(res.get('c').attempts, 1);
+          done();
+        });
+    });
+
+    it('should retry transient touch failures', (done) => {
+      const testBucket = flaky('touchMultiAsync', 1);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.touchAsync([ 'c' ], options)
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 2);
+          assert.isTrue(res.get('c').success);
+          assert.strictEqual(res.get('c').attempts, 2);
+          done();
+        });
+    });
+
+    it('should retry transient remove failures', (done) => {
+      const testBucket = flaky('removeMultiAsync', 1);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.removeAsync([ 'c' ])
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 2);
+          assert.deepEqual(res.succeeded, [ 'c' ]);
+          assert.strictEqual(res.attempts.get('c'), 2);
+          done();
+        });
+    });
+
+    it('should retry transient remove failures with etags', (done) => {
+      const testBucket = flaky('removeMultiAsync', 1);
+      const testStore = new Store({ bucket: testBucket, retry: retryOptions });
+
+      testStore.removeAsync(new Map([ [ 'c', '1' ] ]))
+        .then((res) => {
+          assert.lengthOf(testBucket.calls, 2);
+          assert.deepEqual(res.succeeded, [ 'c' ]);
+          assert.strictEqual(res.attempts.get('c'), 2);
+          done();
+        });
+    });
+  });
+
+  describe('#batching', () => {
+    const recording = (name) => {
+      const calls = [];
+      const testBucket = {
+        insertMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        calls: calls
+      };
+
+      testBucket[name] = (keys) => {
+        const list = (Array.isArray(keys)) ? keys : Array.from(keys.keys());
+        calls.push(list);
+
+        const res = { keys: list, results: {} };
+
+        for (let key of list)
+          res.results[key] = { success: true, result: { cas: 'cas-' + key } };
+
+        return Promise.resolve(res);
+      };
+
+      return testBucket;
+    };
+
+    const many = (count) => {
+      const result = new Map();
+
+      for (let i = 0; i < count; i++)
+        result.set('k' + i, { n: i });
+
+      return result;
+    };
+
+    it('should throw if batchSize invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, batchSize: 0 });
+      }, TypeError);
+    });
+
+    it('should throw if maxConcurrentBatches invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, maxConcurrentBatches: 0 });
+      }, TypeError);
+    });
+
+    it('should insert in chunks', (done) => {
+      const testBucket = recording('insertMultiAsync');
+      const testStore = new Store({ bucket: testBucket, batchSize: 2 });
+
+      testStore.insertAsync(many(5), options)
+        .then((res) => {
+          assert.deepEqual(testBucket.calls, [
+            [ 'k0', 'k1' ], [ 'k2', 'k3' ], [ 'k4' ]
+          ]);
+          assert.deepEqual(Array.from(res.keys()), [
+            'k0', 'k1', 'k2', 'k3', 'k4'
+          ]);
+          assert.strictEqual(res.get('k4').etag, 'cas-k4');
+          done();
+        });
+    });
+
+    it('should touch in chunks', (done) => {
+      const testBucket = recording('touchMultiAsync');
+      const testStore = new Store({ bucket: testBucket, batchSize: 2 });
+
+      testStore.touchAsync([ 'a', 'b', 'c' ], options)
+        .then((res) => {
+          assert.deepEqual(testBucket.calls, [ [ 'a', 'b' ], [ 'c' ] ]);
+          assert.isTrue(res.get('c').success);
+          done();
+        });
+    });
+
+    it('should remove in chunks', (done) => {
+      const testBucket = recording('removeMultiAsync');
+      const testStore = new Store({ bucket: testBucket, batchSize: 2 });
+
+      testStore.removeAsync([ 'a', 'b', 'c' ])
+        .then((res) => {
+          assert.deepEqual(testBucket.calls, [ [ 'a', 'b' ], [ 'c' ] ]);
+          assert.deepEqual(res.succeeded, [ 'a', 'b', 'c' ]);
+          done();
+        });
+    });
+
+    it('should chunk only retried keys', (done) => {
+      const calls = [];
+      const testBucket = recording('removeMultiAsync');
+
+      testBucket.insertMultiAsync = (entries) => {
+        const list = Array.from(entries.keys());
+        const res = { keys: list, results: {} };
+        calls.push(list);
+
+        for (let key of list) {
+          res.results[key] = (calls.length <= 2 && key !== 'k1')
+            ? { success: false, err: { code: couchbase.errors.temporaryError } }
+            : { success: true, result: { cas: 'cas-' + key } };
+        }
+
+        return Promise.resolve(res);
+      };
+
+      const testStore = new Store({
+        bucket: testBucket,
+        batchSize: 2,
+        retry: { attempts: 2, delay: 0 }
+      });
+
+      testStore.insertAsync(many(3), options)
+        .then((res) => {
+          assert.deepEqual(calls, [ [ 'k0', 'k1' ], [ 'k2' ], [ 'k0', 'k2' ] ]);
+          assert.isTrue(res.get('k0').success);
+          assert.strictEqual(res.get('k0').attempts, 2);
+          assert.strictEqual(res.get('k1').attempts, 1);
+          done();
+        });
+    });
+  });
+
+  describe('#clock', () => {
+    it('should report expiresAt by clock', (done) => {
+      const testStore = new Store({ bucket: bucket, clock: () => 1000 });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.strictEqual(res.get('a').expiresAt.getTime(), 6000);
+          done();
+        });
+    });
+  });
+
+  describe('#durability', () => {
+    const DURABILITY_FAILED = 'Durability requirements failed';
+
+    const undurable = () => { return new Error(DURABILITY_FAILED); };
+
+    const recording = (outcome) => {
+      const calls = [];
+      const respond = (name) => {
+        return (keys, options) => {
+          const list = (Array.isArray(keys)) ? keys : Array.from(keys.keys());
+          calls.push([ name, options, keys ]);
+
+          const res = { keys: list, results: {} };
+
+          for (let key of list)
+            res.results[key] = outcome(key);
+
+          return Promise.resolve(res);
+        };
+      };
+
+      return {
+        calls: calls,
+        insertMultiAsync: respond('insert'),
+        touchMultiAsync: respond('touch'),
+        removeMultiAsync: respond('remove'),
+        getMultiAsync: (keys) => {
+          const res = { results: {} };
+
+          for (let key of keys)
+            res.results[key] = { value: { foo: 'bar' }, cas: 'read' };
+
+          return Promise.resolve(res);
+        },
+        replaceMultiAsync: respond('replace')
+      };
+    };
+
+    const succeed = (key) => {
+      return { success: true, result: { cas: 'cas-' + key } };
+    };
+
+    it('should throw if persistTo invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, persistTo: 9 });
+      }, TypeError);
+    });
+
+    it('should throw if durabilityLevel with 2.x bucket', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, durabilityLevel: 1 });
+      }, TypeError);
+    });
+
+    it('should throw if durabilityLevel per call with 2.x bucket', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, durabilityLevel: 1 });
+      }, TypeError);
+    });
+
+    it('should expose durability levels', () => {
+      assert.strictEqual(Store.durabilityLevels.majority, 1);
+    });
+
+    it('should insert with durability of Store', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({
+        bucket: testBucket,
+        persistTo: 1,
+        replicateTo: 1
+      });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(testBucket.calls[0][1], {
+            expiry: 5,
+            persist_to: 1,
+            replicate_to: 1
+          });
+          assert.isFalse(res.get('a').isDurabilityFailure);
+          done();
+        });
+    });
+
+    it('should insert with durability of call over Store', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({ bucket: testBucket, persistTo: 1 });
+
+      testStore.insertAsync(docs, { ttl: 5000, persistTo: 2 })
+        .then((res) => {
+          assert.strictEqual(testBucket.calls[0][1].persist_to, 2);
+          done();
+        });
+    });
+
+    it('should report inserts that failed durability', (done) => {
+      const testBucket = recording((key) => {
+        return (key === 'a')
+          ? { success: false, err: undurable(), result: { cas: 'cas-a' } }
+          : succeed(key);
+      });
+
+      const testStore = new Store({ bucket: testBucket, replicateTo: 1 });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          const a = res.get('a');
+          assert.isFalse(a.success);
+          assert.isTrue(a.isDurabilityFailure);
+          assert.isFalse(a.isCollision);
+          assert.strictEqual(a.reason, Store.reasons.durability);
+          assert.strictEqual(a.etag, 'cas-a');
+          assert.instanceOf(a.expiresAt, Date);
+          assert.isFalse(res.get('b').isDurabilityFailure);
+          done();
+        });
+    });
+
+    it('should not report etag of undurable insert without result', (done) => {
+      const testBucket = recording((key) => {
+        return { success: false, err: undurable() };
+      });
+
+      const testStore = new Store({ bucket: testBucket, replicateTo: 1 });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').isDurabilityFailure);
+          assert.isUndefined(res.get('a').etag);
+          assert.isUndefined(res.get('a').expiresAt);
+          done();
+        });
+    });
+
+    it('should touch durably by replace', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({ bucket: testBucket, replicateTo: 1 });
+
+      testStore.touchAsync([ 'a' ], options)
+        .then((res) => {
+          assert.strictEqual(testBucket.calls[0][0], 'replace');
+
+          const entry = testBucket.calls[0][2].get('a');
+          assert.deepEqual(entry.options, {
+            cas: 'read',
+            expiry: 5,
+            replicate_to: 1
+          });
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should touch without replace if not durable', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({ bucket: testBucket, replicateTo: 0 });
+
+      testStore.touchAsync([ 'a' ], options)
+        .then((res) => {
+          assert.strictEqual(testBucket.calls[0][0], 'touch');
+          done();
+        });
+    });
+
+    it('should throw if durable touch without replace', () => {
+      const testBucket = {
+        insertMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        removeMultiAsync: () => {}
+      };
+
+      const testStore = new Store({ bucket: testBucket, persistTo: 1 });
+
+      assert.throws(() => {
+        testStore.touchAsync([ 'a' ], options);
+      }, TypeError);
+    });
+
+    it('should report touches that failed durability', (done) => {
+      const testBucket = recording((key) => {
+        return { success: false, err: undurable(), result: { cas: 'x' } };
+      });
+
+      const testStore = new Store({ bucket: testBucket, persistTo: 1 });
+
+      testStore.touchAsync([ 'a' ], options)
+        .then((res) => {
+          assert.isTrue(res.get('a').isDurabilityFailure);
+          assert.isFalse(res.get('a').isStale);
+          assert.strictEqual(res.get('a').etag, 'x');
+          done();
+        });
+    });
+
+    it('should throw if remove options not object', () => {
+      assert.throws(() => {
+        store.removeAsync([ 'a' ], 42);
+      }, TypeError);
+    });
+
+    it('should remove with durability of call', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.removeAsync([ 'a' ], { persistTo: 1 })
+        .then((res) => {
+          assert.deepEqual(testBucket.calls[0][1], { persist_to: 1 });
+          done();
+        });
+    });
+
+    it('should remove with options and callback', (done) => {
+      const testBucket = recording(succeed);
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.remove([ 'a' ], { replicateTo: 1 }, (err, res) => {
+        assert.deepEqual(testBucket.calls[0][1], { replicate_to: 1 });
+        assert.deepEqual(res.succeeded, [ 'a' ]);
+        done();
+      });
+    });
+
+    it('should report removals that failed durability', (done) => {
+      const testBucket = recording((key) => {
+        return (key === 'a')
+          ? { success: false, err: undurable() }
+          : succeed(key);
+      });
+
+      const testStore = new Store({ bucket: testBucket, persistTo: 1 });
+
+      testStore.removeAsync([ 'a', 'b' ])
+        .then((res) => {
+          assert.deepEqual(res.undurable, [ 'a' ]);
+          assert.deepEqual(res.succeeded, [ 'b' ]);
+          assert.deepEqual(res.failed, []);
+          assert.instanceOf(res.errors.get('a'), Store.DurabilityError);
+          done();
+        });
+    });
+  });
+
+  describe('#instrumentation', () => {
+    it('should be an EventEmitter', () => {
+      assert.instanceOf(store, require('events'));
+    });
+
+    it('should throw if instrumentation invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, instrumentation: 42 });
+      }, TypeError);
+    });
+
+    it('should emit start and finish of inserts', (done) => {
+      const events = [];
+      store.on('start', (event) => { events.push([ 'start', event ]); });
+      store.on('finish', (event) => { events.push([ 'finish', event ]); });
+
+      docs.set('c', 42);
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.lengthOf(events, 2);
+          assert.strictEqual(events[0][1].operation, 'insert');
+          assert.strictEqual(events[0][1].keys, 3);
+
+          const finished = events[1][1];
+          assert.strictEqual(finished.id, events[0][1].id);
+          assert.strictEqual(finished.succeeded, 2);
+          assert.strictEqual(finished.failed, 1);
+          assert.strictEqual(finished.collisions, 1);
+          assert.instanceOf(finished.errors.get('c'), Store.CollisionError);
+          assert.isNumber(finished.duration);
+          done();
+        });
+    });
+
+    it('should emit finish of touches', (done) => {
+      let finished;
+      store.on('finish', (event) => { finished = event; });
+
+      store.touchAsync([ 'c', 'x' ], options)
+        .then((res) => {
+          assert.strictEqual(finished.operation, 'touch');
+          assert.strictEqual(finished.succeeded, 1);
+          assert.strictEqual(finished.missing, 1);
+          done();
+        });
+    });
+
+    it('should emit finish of removals', (done) => {
+      let finished;
+      store.on('finish', (event) => { finished = event; });
+
+      store.removeAsync([ 'c' ])
+        .then((res) => {
+          assert.strictEqual(finished.operation, 'remove');
+          assert.strictEqual(finished.keys, 1);
+          assert.strictEqual(finished.succeeded, 1);
+          done();
+        });
+    });
+
+    it('should emit finish with error of rejections', (done) => {
+      const testBucket = {
+        insertMultiAsync: () => Promise.reject(new Error('Nope')),
+        touchMultiAsync: () => {},
+        removeMultiAsync: () => {}
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+      let finished;
+      testStore.on('finish', (event) => { finished = event; });
+
+      testStore.insertAsync(docs, options)
+        .catch((err) => {
+          assert.strictEqual(finished.err, err);
+          done();
+        });
+    });
+
+    it('should call hooks of instrumentation option', (done) => {
+      const seen = [];
+      const testStore = new Store({
+        bucket: bucket,
+        instrumentation: {
+          start: (event) => { seen.push('start'); },
+          finish: (event) => { seen.push('finish'); }
+        }
+      });
+
+      testStore.removeAsync([ 'c' ])
+        .then((res) => {
+          assert.deepEqual(seen, [ 'start', 'finish' ]);
+          done();
+        });
+    });
+
+    it('should record spans with SpanInstrumentation', (done) => {
+      const spans = [];
+      const tracer = {
+        startSpan: (name) => {
+          const span = {
+            name: name,
+            setAttributes: () => {},
+            setStatus: () => {},
+            end: () => { spans.push(name); }
+          };
+
+          return span;
+        }
+      };
+
+      const testStore = new Store({
+        bucket: bucket,
+        instrumentation: new Store.SpanInstrumentation(tracer)
+      });
+
+      testStore.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(spans, [ 'landlord.insert' ]);
+          done();
+        });
+    });
+  });
+
+  describe('#envelope', () => {
+    let enveloped;
+
+    beforeEach(() => {
+      enveloped = new Store({
+        bucket: bucket,
+        envelope: { holder: 'worker-1' }
+      });
+    });
+
+    it('should throw if envelope option invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, envelope: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if bucket cannot replace', () => {
+      assert.throws(() => {
+        const test = new Store({
+          bucket: {
+            insertMultiAsync: function() {},
+            removeMultiAsync: function() {},
+            touchMultiAsync: function() {}
+          },
+          envelope: true
+        });
+      }, TypeError);
+    });
+
+    it('should insert values wrapped in envelopes', (done) => {
+      const before = Date.now();
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          const doc = res.value;
+          assert.strictEqual(doc.$landlord, 1);
+          assert.strictEqual(doc.holder, 'worker-1');
+          assert.isString(doc.hostname);
+          assert.strictEqual(doc.pid, process.pid);
+          assert.strictEqual(doc.ttl, options.ttl);
+          assert.isAtLeast(Date.parse(doc.acquiredAt), before);
+          assert.strictEqual(doc.renewedAt, doc.acquiredAt);
+          assert.deepEqual(doc.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should refresh renewedAt and ttl on touch', (done) => {
+      let acquiredAt;
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          acquiredAt = res.value.acquiredAt;
+          return new Promise((resolve) => { setTimeout(resolve, 5); });
+        })
+        .then(() => {
+          return enveloped.touchAsync([ 'a', 'x' ], { ttl: 9000 });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.isTrue(res.get('x').isMissing);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          const doc = res.value;
+          assert.strictEqual(doc.acquiredAt, acquiredAt);
+          assert.isAbove(Date.parse(doc.renewedAt), Date.parse(acquiredAt));
+          assert.strictEqual(doc.ttl, 9000);
+          assert.deepEqual(doc.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should refresh renewedAt on touch with etags', (done) => {
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return enveloped.touchAsync(etags, { ttl: 9000 });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.ttl, 9000);
+          done();
+        });
+    });
+
+    it('should touch raw documents without modifying them', (done) => {
+      enveloped.touchAsync([ 'c' ], options)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          return bucket.getAsync('c');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { quux: 'quuz' });
+          done();
+        });
+    });
+
+    it('should unwrap values on get', (done) => {
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          return enveloped.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const summary = res.get('a');
+          assert.deepEqual(summary.value, { foo: 'bar' });
+          assert.strictEqual(summary.lease.holder, 'worker-1');
+          assert.instanceOf(summary.lease.acquiredAt, Date);
+          done();
+        });
+    });
+
+    it('should derive expiresAt from envelope if unreadable', (done) => {
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          return enveloped.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const summary = res.get('a');
+          assert.strictEqual(summary.expiresAt.getTime(),
+            summary.lease.renewedAt.getTime() + options.ttl);
+          done();
+        });
+    });
+
+    it('should read raw documents without lease metadata', (done) => {
+      enveloped.getAsync([ 'c' ])
+        .then((res) => {
+          const summary = res.get('c');
+          assert.deepEqual(summary.value, { quux: 'quuz' });
+          assert.isUndefined(summary.lease);
+          assert.isUndefined(summary.expiresAt);
+          done();
+        });
+    });
+
+    it('should remove enveloped documents', (done) => {
+      enveloped.insertAsync(docs, options)
+        .then((res) => {
+          return enveloped.removeAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          done();
+        });
+    });
+  });
+
+  describe('#reentrant', () => {
+    let enveloped;
+
+    beforeEach(() => {
+      enveloped = new Store({
+        bucket: bucket,
+        envelope: { holder: 'worker-1' }
+      });
+      docs.delete('b');
+    });
+
+    const held = (holder) => {
+      return { ttl: 5000, holder: holder };
+    };
+
+    it('should throw if options.holder not string', () => {
+      assert.throws(() => {
+        enveloped.insertAsync(docs, { ttl: 5000, holder: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if options.holder length zero', () => {
+      assert.throws(() => {
+        enveloped.removeAsync([ 'a' ], { holder: '' });
+      }, TypeError);
+    });
+
+    it('should throw if options.holder without envelopes', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, held('worker-2'));
+      }, TypeError);
+    });
+
+    it('should throw if options.holder with options.atomic', () => {
+      assert.throws(() => {
+        enveloped.insertAsync(docs, {
+          ttl: 5000,
+          holder: 'worker-2',
+          atomic: true
+        });
+      }, TypeError);
+    });
+
+    it('should insert for given holder', (done) => {
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').holdCount, 1);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.holder, 'worker-2');
+          assert.strictEqual(res.value.holdCount, 1);
+          done();
+        });
+    });
+
+    it('should not report hold counts without envelopes', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('a').holdCount);
+          done();
+        });
+    });
+
+    it('should acquire keys again for the same holder', (done) => {
+      let first;
+
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then((res) => {
+          first = res.get('a');
+          return enveloped.insertAsync(docs, { ttl: 9000, holder: 'worker-2' });
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.isTrue(val.success);
+          assert.isFalse(val.isCollision);
+          assert.isUndefined(val.reason);
+          assert.strictEqual(val.holdCount, 2);
+          assert.isString(val.etag);
+          assert.notEqual(val.etag, first.etag);
+          assert.instanceOf(val.expiresAt, Date);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.holdCount, 2);
+          assert.strictEqual(res.value.ttl, 9000);
+          done();
+        });
+    });
+
+    it('should acquire keys again with the Store holder', (done) => {
+      enveloped.insertAsync(docs, options)
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-1'));
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').holdCount, 2);
+          done();
+        });
+    });
+
+    it('should collide with keys of other holders', (done) => {
+      docs.set('c', 42);
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-3'));
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isCollision);
+          assert.isUndefined(res.get('a').holdCount);
+          assert.isTrue(res.get('c').isCollision);
+          done();
+        });
+    });
+
+    it('should collide if lease changes before reentry', (done) => {
+      const replace = bucket.replaceMultiAsync;
+
+      bucket.replaceMultiAsync = (entries) => {
+        return Promise.resolve({
+          keys: [ 'a' ],
+          results: { a: { success: false, err: { code: 12 } } }
+        });
+      };
+
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          bucket.replaceMultiAsync = replace;
+          assert.isFalse(res.get('a').success);
+          assert.isTrue(res.get('a').isCollision);
+          assert.isUndefined(res.get('a').etag);
+          done();
+        });
+    });
+
+    const retrying = () => {
+      return new Store({
+        bucket: bucket,
+        envelope: { holder: 'worker-1' },
+        retry: { attempts: 3, delay: 0 }
+      });
+    };
+
+    it('should not retry timed out reentries by default', (done) => {
+      const testStore = retrying();
+      let calls;
+
+      testStore.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          calls = landing('replaceMultiAsync');
+          return testStore.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.strictEqual(calls(), 1);
+          assert.isFalse(val.success);
+          assert.isFalse(val.isCollision);
+          assert.strictEqual(val.reason, Store.reasons.timeout);
+          assert.strictEqual(val.attempts, 1);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.holdCount, 2);
+          done();
+        });
+    });
+
+    it('should report attempts of reentries', (done) => {
+      const testStore = retrying();
+      const TEMPORARY = couchbase.errors.temporaryError;
+      const replace = bucket.replaceMultiAsync;
+      let calls = 0;
+
+      bucket.replaceMultiAsync = function(entries) {
+        if (++calls > 1) return replace.apply(bucket, arguments);
+
+        return Promise.resolve({
+          keys: [ 'a' ],
+          results: { a: { success: false, err: { code: TEMPORARY } } }
+        });
+      };
+
+      testStore.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return testStore.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          bucket.replaceMultiAsync = replace;
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').holdCount, 2);
+          assert.strictEqual(res.get('a').attempts, 2);
+          done();
+        });
+    });
+
+    it('should keep fencing token of reentered keys', (done) => {
+      const fenced = new Store({
+        bucket: bucket,
+        envelope: true,
+        fencing: true
+      });
+
+      fenced.insertAsync(docs, held('worker-2'))
+        .then((res) => {
+          assert.strictEqual(res.get('a').fencingToken, 1);
+          return fenced.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').fencingToken, 1);
+          return fenced.isTokenCurrentAsync('a', 1);
+        })
+        .then((res) => {
+          assert.isTrue(res);
+          done();
+        });
+    });
+
+    it('should release one hold of reentered keys', (done) => {
+      let reentered;
+      let etag;
+
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          reentered = res.get('a');
+          return enveloped.removeAsync([ 'a' ], { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.strictEqual(res.held.get('a'), 1);
+          etag = res.etags.get('a');
+          return enveloped.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.strictEqual(val.etag, etag);
+          assert.strictEqual(val.lease.holdCount, 1);
+          assert.strictEqual(
+            val.expiresAt.getTime(),
+            reentered.expiresAt.getTime()
+          );
+          return enveloped.removeAsync([ 'a' ], { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.isFalse(res.held.has('a'));
+          assert.isFalse(res.etags.has('a'));
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should release holds with etags', (done) => {
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return enveloped.removeAsync(etags, { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.strictEqual(res.held.get('a'), 1);
+          return enveloped.removeAsync(res.etags, { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.isFalse(res.held.has('a'));
+          done();
+        });
+    });
+
+    it('should not retry timed out hold releases by default', (done) => {
+      const testStore = retrying();
+      let calls;
+
+      testStore.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return testStore.insertAsync(docs, held('worker-2'));
+        })
+        .then(() => {
+          calls = landing('replaceMultiAsync');
+          return testStore.removeAsync([ 'a' ], { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.strictEqual(calls(), 1);
+          assert.deepEqual(res.failed, [ 'a' ]);
+          assert.instanceOf(res.errors.get('a'), Store.TimeoutError);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.holdCount, 1);
+          done();
+        });
+    });
+
+    it('should not release holds with stale etags', (done) => {
+      let etags;
+
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then((res) => {
+          etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then(() => {
+          return enveloped.removeAsync(etags, { holder: 'worker-2' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.stale, [ 'a' ]);
+          assert.isFalse(res.held.has('a'));
+          done();
+        });
+    });
+
+    it('should not release keys of other holders', (done) => {
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.removeAsync([ 'a', 'c' ], { holder: 'worker-3' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.stale, [ 'a', 'c' ]);
+          assert.instanceOf(res.errors.get('a'), Store.StaleError);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.holder, 'worker-2');
+          done();
+        });
+    });
+
+    it('should count missing keys as released by holder', (done) => {
+      enveloped.removeAsync([ 'x' ], { holder: 'worker-2' })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'x' ]);
+          assert.strictEqual(res.held.size, 0);
+          done();
+        });
+    });
+
+    it('should remove every hold without options.holder', (done) => {
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then(() => {
+          return enveloped.removeAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.isFalse(res.held.has('a'));
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should remove every hold with etags without options.holder', (done) => {
+      enveloped.insertAsync(docs, held('worker-2'))
+        .then(() => {
+          return enveloped.insertAsync(docs, held('worker-2'));
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').holdCount, 2);
+          return enveloped.removeAsync(new Map([ [ 'a', res.get('a').etag ] ]));
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+  });
+
+  describe('#shared', () => {
+    const reading = { ttl: 5000, mode: 'shared' };
+
+    beforeEach(() => {
+      docs.delete('b');
+    });
+
+    it('should throw if options.mode invalid', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, mode: 'read' });
+      }, TypeError);
+    });
+
+    it('should throw if bucket cannot replace', () => {
+      const test = new Store({ bucket: {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      } });
+
+      assert.throws(() => {
+        test.insertAsync(docs, reading);
+      }, TypeError);
+
+      assert.throws(() => {
+        test.touchAsync([ 'a' ], { ttl: 5000, slot: 's1' });
+      }, TypeError);
+    });
+
+    it('should throw if options.atomic with shared mode', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, mode: 'shared', atomic: true });
+      }, TypeError);
+    });
+
+    it('should throw if shared mode with fencing', () => {
+      const fenced = new Store({
+        bucket: bucket,
+        envelope: true,
+        fencing: true
+      });
+
+      assert.throws(() => {
+        fenced.insertAsync(docs, { ttl: 5000, mode: 'shared' });
+      }, TypeError);
+    });
+
+    it('should throw if options.slot without shared mode', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, slot: 's1' });
+      }, TypeError);
+    });
+
+    it('should throw if options.slot not string', () => {
+      assert.throws(() => {
+        store.touchAsync([ 'a' ], { ttl: 5000, slot: 42 });
+      }, TypeError);
+    });
+
+    it('should throw if options.slot with etags', () => {
+      const etags = new Map([ [ 'a', '1' ] ]);
+
+      assert.throws(() => {
+        store.touchAsync(etags, { ttl: 5000, slot: 's1' });
+      }, TypeError);
+
+      assert.throws(() => {
+        store.removeAsync(etags, { slot: 's1' });
+      }, TypeError);
+    });
+
+    it('should throw if options.slot with options.holder', () => {
+      const enveloped = new Store({ bucket: bucket, envelope: true });
+
+      assert.throws(() => {
+        enveloped.removeAsync([ 'a' ], { slot: 's1', holder: 'worker-1' });
+      }, TypeError);
+    });
+
+    it('should acquire shared leases for a reader', (done) => {
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          const val = res.get('a');
+          assert.isTrue(val.success);
+          assert.isFalse(val.isCollision);
+          assert.isString(val.etag);
+          assert.isString(val.slot);
+          assert.strictEqual(val.readerCount, 1);
+          assert.instanceOf(val.expiresAt, Date);
+          assert.isUndefined(val.holdCount);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.readerCount, 1);
+          assert.deepEqual(res.value.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should not report slots for exclusive leases', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('a').slot);
+          assert.isUndefined(res.get('a').readerCount);
+          done();
+        });
+    });
+
+    it('should share leases between readers', (done) => {
+      let first;
+
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          first = res.get('a');
+          return store.insertAsync(docs, reading);
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.isTrue(val.success);
+          assert.strictEqual(val.readerCount, 2);
+          assert.notEqual(val.slot, first.slot);
+          return store.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.deepEqual(val.value, { foo: 'bar' });
+          assert.lengthOf(val.readers, 2);
+          assert.isUndefined(val.lease);
+          done();
+        });
+    });
+
+    it('should renew reader acquiring again with its slot', (done) => {
+      const opts = { ttl: 5000, mode: 'shared', slot: 's1' };
+
+      store.insertAsync(docs, opts)
+        .then(() => { return store.insertAsync(docs, opts); })
+        .then((res) => {
+          assert.strictEqual(res.get('a').slot, 's1');
+          assert.strictEqual(res.get('a').readerCount, 1);
+          done();
+        });
+    });
+
+    it('should drop expired readers', (done) => {
+      let now = Date.now();
+      const test = new Store({ bucket: bucket, clock: () => { return now; } });
+
+      test.insertAsync(docs, { ttl: 1000, mode: 'shared' })
+        .then(() => {
+          now += 1000;
+          return test.insertAsync(docs, reading);
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').readerCount, 1);
+          done();
+        });
+    });
+
+    it('should record readers with their holder', (done) => {
+      const enveloped = new Store({
+        bucket: bucket,
+        envelope: { holder: 'worker-1' }
+      });
+
+      enveloped.insertAsync(docs, reading)
+        .then(() => {
+          return enveloped.insertAsync(docs, {
+            ttl: 5000,
+            mode: 'shared',
+            holder: 'worker-2'
+          });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          return enveloped.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          const holders = res.get('a').readers.map((r) => r.holder);
+          assert.sameMembers(holders, [ 'worker-1', 'worker-2' ]);
+          done();
+        });
+    });
+
+    it('should collide exclusive leases with readers', (done) => {
+      store.insertAsync(docs, reading)
+        .then(() => { return store.insertAsync(docs, options); })
+        .then((res) => {
+          assert.isFalse(res.get('a').success);
+          assert.isTrue(res.get('a').isCollision);
+          done();
+        });
+    });
+
+    it('should collide readers with exclusive leases', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          const val = res.get('c');
+          assert.isFalse(val.success);
+          assert.isTrue(val.isCollision);
+          assert.strictEqual(val.reason, Store.reasons.collision);
+          assert.isUndefined(val.etag);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should retry readers that race', (done) => {
+      const replace = bucket.replaceMultiAsync;
+      let races = 0;
+
+      bucket.replaceMultiAsync = function(entries) {
+        if (races++ > 0) return replace.apply(bucket, arguments);
+
+        return Promise.resolve({
+          keys: [ 'a' ],
+          results: { a: { success: false, err: { code: 12 } } }
+        });
+      };
+
+      store.insertAsync(docs, reading)
+        .then(() => { return store.insertAsync(docs, reading); })
+        .then((res) => {
+          assert.strictEqual(races, 2);
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').readerCount, 2);
+          done();
+        });
+    });
+
+    it('should retry readers whose lease was removed', (done) => {
+      const replace = bucket.replaceMultiAsync;
+      let races = 0;
+
+      bucket.replaceMultiAsync = function(entries) {
+        if (races++ > 0) return replace.apply(bucket, arguments);
+
+        return Promise.resolve({
+          keys: [ 'a' ],
+          results: { a: { success: false, err: { code: 13 } } }
+        });
+      };
+
+      store.insertAsync(docs, reading)
+        .then(() => { return store.insertAsync(docs, reading); })
+        .then((res) => {
+          assert.strictEqual(races, 2);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should stop retrying readers that keep racing', (done) => {
+      let races = 0;
+
+      bucket.replaceMultiAsync = (entries) => {
+        races++;
+        return Promise.resolve({
+          keys: [ 'a' ],
+          results: { a: { success: false, err: { code: 12 } } }
+        });
+      };
+
+      store.insertAsync(docs, reading)
+        .then(() => { return store.insertAsync(docs, reading); })
+        .then((res) => {
+          assert.strictEqual(races, 10);
+          assert.isTrue(res.get('a').isCollision);
+          done();
+        });
+    });
+
+    it('should report failures reading shared leases', (done) => {
+      bucket.getMultiAsync = (keys) => {
+        return Promise.resolve({ results: { a: { error: { code: 999 } } } });
+      };
+
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          assert.isFalse(res.get('a').success);
+          assert.strictEqual(res.get('a').reason, Store.reasons.unknown);
+          done();
+        });
+    });
+
+    it('should renew the slot of a reader', (done) => {
+      let slot;
+
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          slot = res.get('a').slot;
+          return store.insertAsync(docs, reading);
+        })
+        .then(() => {
+          return store.touchAsync([ 'a' ], { ttl: 9000, slot: slot });
+        })
+        .then((res) => {
+          const val = res.get('a');
+          assert.isTrue(val.success);
+          assert.isString(val.etag);
+          assert.strictEqual(val.readerCount, 2);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.readers[slot].ttl, 9000);
+          done();
+        });
+    });
+
+    it('should not renew slots of other readers', (done) => {
+      store.insertAsync(docs, reading)
+        .then(() => {
+          return store.touchAsync([ 'a', 'c', 'x' ], {
+            ttl: 5000,
+            slot: 'other'
+          });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isMissing);
+          assert.isTrue(res.get('c').isStale);
+          assert.isTrue(res.get('x').isMissing);
+          assert.isUndefined(res.get('a').readerCount);
+          done();
+        });
+    });
+
+    it('should release the slot of a reader', (done) => {
+      let slot;
+
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          slot = res.get('a').slot;
+          return store.insertAsync(docs, reading);
+        })
+        .then(() => {
+          return store.removeAsync([ 'a' ], { slot: slot });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.strictEqual(res.readers.get('a'), 1);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.readerCount, 1);
+          assert.isUndefined(res.value.readers[slot]);
+          done();
+        });
+    });
+
+    it('should remove shared leases with their last reader', (done) => {
+      store.insertAsync(docs, reading)
+        .then((res) => {
+          return store.removeAsync([ 'a' ], { slot: res.get('a').slot });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          assert.strictEqual(res.readers.get('a'), 0);
+          return store.insertAsync(docs, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should not release other leases', (done) => {
+      store.insertAsync(docs, reading)
+        .then(() => {
+          return store.removeAsync([ 'a', 'c', 'x' ], { slot: 'other' });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a', 'x' ]);
+          assert.deepEqual(res.stale, [ 'c' ]);
+          assert.strictEqual(res.readers.size, 0);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.strictEqual(res.value.readerCount, 1);
+          done();
+        });
+    });
+  });
+
+  describe('#permits', () => {
+    const limited = (permits) => {
+      return { ttl: 5000, permits: permits };
+    };
+
+    const hold = (keys) => {
+      return bucket.insertMultiAsync(new Map(keys.map((key) => {
+        return [ key, { value: 42 } ];
+      })));
+    };
+
+    it('should throw if options.permits invalid', () => {
+      for (let permits of [ 0, 1.5, '2' ]) {
+        assert.throws(() => {
+          store.insertAsync(docs, limited(permits));
+        }, TypeError);
+      }
+    });
+
+    it('should throw if options.permits with shared mode', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, permits: 2, mode: 'shared' });
+      }, TypeError);
+    });
+
+    it('should throw if options.permits with options.holder', () => {
+      const enveloped = new Store({ bucket: bucket, envelope: true });
+
+      assert.throws(() => {
+        enveloped.insertAsync(docs, {
+          ttl: 5000,
+          permits: 2,
+          holder: 'worker-1'
+        });
+      }, TypeError);
+    });
+
+    it('should grant a permit of each key', (done) => {
+      store.insertAsync(docs, limited(3))
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'b' ]);
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.match(res.get('a').permit, /^a::[0-2]$/);
+          assert.match(res.get('b').permit, /^b::[0-2]$/);
+          return bucket.getAsync(res.get('a').permit);
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should not report permits without options.permits', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('a').permit);
+          done();
+        });
+    });
+
+    it('should grant free permits', (done) => {
+      hold([ 'a::0', 'a::2' ])
+        .then(() => { return store.insertAsync(docs, limited(3)); })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').permit, 'a::1');
+          done();
+        });
+    });
+
+    it('should grant each permit once', (done) => {
+      const granted = [];
+      const acquire = () => {
+        return store.insertAsync(docs, limited(2))
+          .then((res) => { granted.push(res.get('a')); });
+      };
+
+      acquire()
+        .then(acquire)
+        .then(acquire)
+        .then(() => {
+          assert.isTrue(granted[0].success);
+          assert.isTrue(granted[1].success);
+          assert.notEqual(granted[0].permit, granted[1].permit);
+          assert.isFalse(granted[2].success);
+          assert.isTrue(granted[2].isCollision);
+          assert.isUndefined(granted[2].permit);
+          done();
+        });
+    });
+
+    it('should stop claiming permits on other failures', (done) => {
+      let calls = 0;
+
+      bucket.insertMultiAsync = (entries) => {
+        calls++;
+
+        const results = {};
+        for (let key of entries.keys())
+          results[key] = { success: false, err: { code: 999 } };
+
+        return Promise.resolve({
+          keys: Array.from(entries.keys()),
+          results: results
+        });
+      };
+
+      store.insertAsync(docs, limited(3))
+        .then((res) => {
+          assert.strictEqual(calls, 1);
+          assert.strictEqual(res.get('a').reason, Store.reasons.unknown);
+          done();
+        });
+    });
+
+    it('should renew and release permits with their etags', (done) => {
+      let permit;
+
+      store.insertAsync(docs, limited(1))
+        .then((res) => {
+          permit = res.get('a').permit;
+          const etags = new Map([ [ permit, res.get('a').etag ] ]);
+          return store.touchAsync(etags, options);
+        })
+        .then((res) => {
+          assert.isTrue(res.get(permit).success);
+          const etags = new Map([ [ permit, res.get(permit).etag ] ]);
+          return store.removeAsync(etags);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ permit ]);
+          return store.insertAsync(docs, limited(1));
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').permit, permit);
+          done();
+        });
+    });
+
+    it('should claim permits under prefix', (done) => {
+      const prefixed = new Store({ bucket: bucket, prefix: 'lease::' });
+
+      prefixed.insertAsync(docs, limited(1))
+        .then((res) => {
+          assert.strictEqual(res.get('a').permit, 'a::0');
+          return bucket.getAsync('lease::a::0');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should roll back granted permits', (done) => {
+      docs.set('c', 42);
+      hold([ 'c::0' ])
+        .then(() => {
+          return store.insertAsync(docs, {
+            ttl: 5000,
+            permits: 1,
+            atomic: true
+          });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').isRolledBack);
+          assert.strictEqual(res.get('a').rollbackCause, 'c');
+          assert.isTrue(res.get('c').isCollision);
+          return bucket.getAsync('a::0');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should issue fencing tokens per permit', (done) => {
+      const fenced = new Store({
+        bucket: bucket,
+        envelope: true,
+        fencing: true
+      });
+
+      fenced.insertAsync(docs, limited(2))
+        .then((res) => {
+          assert.strictEqual(res.get('a').fencingToken, 1);
+          return fenced.isTokenCurrentAsync(res.get('a').permit, 1);
+        })
+        .then((res) => {
+          assert.isTrue(res);
+          done();
+        });
+    });
+
+    it('should wait for permits to be released', (done) => {
+      hold([ 'a::0' ])
+        .then(() => {
+          setTimeout(() => { bucket.remove('a::0', () => {}); }, 20);
+
+          return store.acquireWaitAsync(docs, {
+            ttl: 5000,
+            permits: 1,
+            timeout: 1000,
+            pollInterval: 10
+          });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.strictEqual(res.get('a').permit, 'a::0');
+          done();
+        });
+    });
+  });
+
+  describe('#prefix', () => {
+    let prefixed;
+
+    beforeEach(() => {
+      prefixed = new Store({ bucket: bucket, prefix: 'lease::' });
+    });
+
+    it('should insert documents with prefixed keys', (done) => {
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'b' ]);
+          return bucket.getAsync('lease::a');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should not collide with unprefixed documents', (done) => {
+      docs.set('c', 42);
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          done();
+        });
+    });
+
+    it('should touch documents with prefixed keys', (done) => {
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          return prefixed.touchAsync([ 'a', 'c' ], options);
+        })
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'c' ]);
+          assert.isTrue(res.get('a').success);
+          assert.isTrue(res.get('c').isMissing);
+          done();
+        });
+    });
+
+    it('should touch documents with prefixed keys and etags', (done) => {
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return prefixed.touchAsync(etags, options);
+        })
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a' ]);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should remove documents with prefixed keys', (done) => {
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          return prefixed.removeAsync([ 'a', 'c' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a', 'c' ]);
+          return bucket.getAsync('c');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { quux: 'quuz' });
+          return bucket.getAsync('lease::a');
+        })
+        .then((res) => {
+          assert.fail();
+          done();
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, couchbase.errors.keyNotFound);
+          done();
+        });
+    });
+
+    it('should remove documents with prefixed keys and etags', (done) => {
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'b', res.get('b').etag ] ]);
+          return prefixed.removeAsync(etags);
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'b' ]);
+          done();
+        });
+    });
+
+    it('should apply namespace function to keys', (done) => {
+      const namespaced = new Store({
+        bucket: bucket,
+        namespace: (key) => { return 'jobs/' + key; }
+      });
+
+      namespaced.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'b' ]);
+          return bucket.getAsync('jobs/b');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { baz: 'qux' });
+          done();
+        });
+    });
+  });
+
+  describe('#atomic', () => {
+    it('should throw if options.atomic not boolean', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, atomic: 'yes' });
+      }, TypeError);
+    });
+
+    it('should not roll back without options.atomic', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isFalse(res.get('a').isRolledBack);
+          assert.isUndefined(res.get('a').rollbackCause);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should keep every key when all succeed', (done) => {
+      store.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isTrue(res.get('b').success);
+          assert.isFalse(res.get('a').isRolledBack);
+          assert.isUndefined(res.get('b').rollbackCause);
+          done();
+        });
+    });
+
+    it('should remove inserted keys when one fails', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          return bucket.getMultiAsync([ 'a', 'b' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.results.a.error.code, 13);
+          assert.strictEqual(res.results.b.error.code, 13);
+          done();
+        });
+    });
+
+    it('should mark whole batch rolled back with its cause', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          for (let key of [ 'a', 'b', 'c' ]) {
+            assert.isFalse(res.get(key).success);
+            assert.strictEqual(res.get(key).rollbackCause, 'c');
+            assert.isUndefined(res.get(key).etag);
+            assert.isUndefined(res.get(key).expiresAt);
+          }
+
+          assert.isTrue(res.get('a').isRolledBack);
+          assert.isTrue(res.get('b').isRolledBack);
+          assert.strictEqual(res.get('a').reason, Store.reasons.rollback);
+          assert.strictEqual(res.get('c').reason, Store.reasons.collision);
+          assert.isTrue(res.get('c').isCollision);
+          done();
+        });
+    });
+
+    it('should report rolled back keys as RollbackError', (done) => {
+      docs.set('c', 42);
+      store.on('finish', (event) => {
+        assert.instanceOf(event.errors.get('a'), Store.RollbackError);
+        assert.instanceOf(event.errors.get('c'), Store.CollisionError);
+        done();
+      });
+
+      store.insertAsync(docs, { ttl: 5000, atomic: true });
+    });
+
+    it('should not mark keys that were never written', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          assert.isFalse(res.get('c').isRolledBack);
+          done();
+        });
+    });
+
+    it('should roll back undurable keys that were written', (done) => {
+      const testStore = new Store({ bucket: {
+        touchMultiAsync: () => {},
+        insertMultiAsync: () => {
+          return Promise.resolve({
+            keys: [ 'a', 'b' ],
+            results: {
+              a: {
+                success: false,
+                err: new Error('Durability requirements failed'),
+                result: { cas: 'cas-a' }
+              },
+              b: { success: false, err: { code: 12 } }
+            }
+          });
+        },
+        removeMultiAsync: (keys) => {
+          return Promise.resolve({
+            keys: keys,
+            results: { a: { success: true, result: { cas: 'cas-r' } } }
+          });
+        }
+      } });
+
+      testStore.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          assert.isTrue(res.get('a').isRolledBack);
+          assert.strictEqual(res.get('a').reason, Store.reasons.durability);
+          assert.isUndefined(res.get('a').etag);
+          assert.isFalse(res.get('b').isRolledBack);
+          done();
+        });
+    });
+
+    it('should report cause when no key succeeds', (done) => {
+      store.insertAsync(new Map([ [ 'c', 42 ] ]), {
+        ttl: 5000,
+        atomic: true
+      })
+        .then((res) => {
+          assert.isFalse(res.get('c').isRolledBack);
+          assert.strictEqual(res.get('c').rollbackCause, 'c');
+          done();
+        });
+    });
+
+    describe('with removal failures', () => {
+      let removals, testStore;
+
+      beforeEach(() => {
+        removals = [];
+        docs.set('c', 42);
+        docs.set('d', 42);
+
+        const result = (success, val) => {
+          return (success)
+            ? { success: true, result: { cas: val } }
+            : { success: false, err: { code: val } };
+        };
+
+        const codes = { a: 12, b: 13, d: undefined };
+
+        testStore = new Store({ bucket: {
+          touchMultiAsync: () => {},
+          insertMultiAsync: (docs, opts) => {
+            return Promise.resolve({
+              keys: [ 'a', 'b', 'c', 'd' ],
+              results: {
+                a: result(true, 'cas-a'),
+                b: result(true, 'cas-b'),
+                c: result(false, 12),
+                d: result(true, 'cas-d')
+              }
+            });
+          },
+          removeMultiAsync: (keys, opts) => {
+            const key = keys[0];
+            const results = {};
+
+            removals.push([ key, opts.cas ]);
+            results[key] = (codes[key])
+              ? result(false, codes[key])
+              : { success: true };
+
+            return Promise.resolve({ keys: keys, results: results });
+          }
+        } });
+      });
+
+      it('should remove keys with their fresh etags', (done) => {
+        testStore.insertAsync(docs, { ttl: 5000, atomic: true })
+          .then((res) => {
+            assert.deepEqual(removals, [
+              [ 'a', 'cas-a' ],
+              [ 'b', 'cas-b' ],
+              [ 'd', 'cas-d' ]
+            ]);
+            done();
+          });
+      });
+
+      it('should keep etags of keys it could not remove', (done) => {
+        testStore.insertAsync(docs, { ttl: 5000, atomic: true })
+          .then((res) => {
+            const val = res.get('a');
+            assert.isTrue(val.success);
+            assert.isFalse(val.isRolledBack);
+            assert.strictEqual(val.rollbackCause, 'c');
+            assert.strictEqual(val.etag, 'cas-a');
+            assert.strictEqual(val.err.code, 12);
+            done();
+          });
+      });
+
+      it('should count missing keys as rolled back', (done) => {
+        testStore.insertAsync(docs, { ttl: 5000, atomic: true })
+          .then((res) => {
+            assert.isTrue(res.get('b').isRolledBack);
+            assert.isFalse(res.get('b').success);
+            assert.isTrue(res.get('d').isRolledBack);
+            done();
+          });
+      });
+    });
+  });
+
+  describe('#fencing', () => {
+    let fenced;
+
+    beforeEach(() => {
+      fenced = new Store({ bucket: bucket, envelope: true, fencing: true });
+    });
+
+    const stub = (ops) => {
+      return Object.assign({
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      }, ops);
+    };
+
+    const counting = (ops) => {
+      return stub(Object.assign({
+        counterMultiAsync: () => {},
+        getMultiAsync: () => {},
+        replaceMultiAsync: () => {}
+      }, ops));
+    };
+
+    it('should throw if options.fencing not boolean', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, fencing: 'yes' });
+      }, TypeError);
+    });
+
+    it('should throw if bucket cannot count', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: stub(), fencing: true });
+      }, TypeError);
+    });
+
+    it('should throw without envelopes', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, fencing: true });
+      }, TypeError);
+    });
+
+    it('should not issue tokens without options.fencing', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('a').fencingToken);
+          return bucket.getAsync('a::fence');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should issue a token with each acquired lease', (done) => {
+      fenced.insertAsync(docs, options)
+        .then((res) => {
+          assert.strictEqual(res.get('a').fencingToken, 1);
+          assert.strictEqual(res.get('b').fencingToken, 1);
+          done();
+        });
+    });
+
+    it('should issue greater tokens to later holders', (done) => {
+      fenced.insertAsync(docs, options)
+        .then(() => { return fenced.removeAsync([ 'a' ]); })
+        .then(() => { return fenced.insertAsync(docs, options); })
+        .then((res) => {
+          assert.strictEqual(res.get('a').fencingToken, 2);
+          assert.isTrue(res.get('b').isCollision);
+          assert.isUndefined(res.get('b').fencingToken);
+          done();
+        });
+    });
+
+    it('should keep counters beside prefixed keys', (done) => {
+      const prefixed = new Store({
+        bucket: bucket,
+        envelope: true,
+        fencing: true,
+        prefix: 'lease::'
+      });
+
+      prefixed.insertAsync(docs, options)
+        .then(() => { return bucket.getAsync('lease::a::fence'); })
+        .then((res) => {
+          assert.isOk(res);
+          done();
+        });
+    });
+
+    it('should not issue tokens to rolled back keys', (done) => {
+      docs.set('c', 42);
+      fenced.insertAsync(docs, { ttl: 5000, atomic: true })
+        .then((res) => {
+          assert.isUndefined(res.get('a').fencingToken);
+          return fenced.insertAsync(new Map([ [ 'a', 1 ] ]), options);
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').fencingToken, 2);
+          done();
+        });
+    });
+
+    it('should record tokens in lease documents', (done) => {
+      fenced.insertAsync(docs, options)
+        .then(() => { return bucket.getAsync('a'); })
+        .then((res) => {
+          assert.strictEqual(res.value.fencingToken, 1);
+          return fenced.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').lease.fencingToken, 1);
+          done();
+        });
+    });
+
+    it('should bump counters before inserting', (done) => {
+      const order = [];
+      const test = new Store({ envelope: true, fencing: true,
+        bucket: counting({
+          counterMultiAsync: (counters) => {
+            order.push('counter');
+            return Promise.resolve({
+              keys: [ 'a::fence', 'b::fence' ],
+              results: {
+                'a::fence': { success: true, result: { value: 7 } },
+                'b::fence': { success: true, result: { value: 3 } }
+              }
+            });
+          },
+          insertMultiAsync: (entries) => {
+            order.push('insert');
+            assert.strictEqual(entries.get('a').value.fencingToken, 7);
+            assert.strictEqual(entries.get('b').value.fencingToken, 3);
+            return Promise.resolve({
+              keys: [ 'a', 'b' ],
+              results: {
+                a: { success: true, result: { cas: 1 } },
+                b: { success: true, result: { cas: 2 } }
+              }
+            });
+          }
+        }) });
+
+      test.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(order, [ 'counter', 'insert' ]);
+          assert.strictEqual(res.get('a').fencingToken, 7);
+          assert.strictEqual(res.get('b').fencingToken, 3);
+          done();
+        });
+    });
+
+    it('should fail keys whose counters cannot be bumped', (done) => {
+      const err = new Error('Nope');
+      const inserted = [];
+      const test = new Store({ envelope: true, fencing: true,
+        bucket: counting({
+          counterMultiAsync: (counters) => {
+            return Promise.resolve({
+              keys: [ 'a::fence', 'b::fence' ],
+              results: {
+                'a::fence': { success: true, result: { value: 7 } },
+                'b::fence': { success: false, err: err }
+              }
+            });
+          },
+          insertMultiAsync: (entries) => {
+            inserted.push.apply(inserted, Array.from(entries.keys()));
+            return Promise.resolve({
+              keys: [ 'a' ],
+              results: { a: { success: true, result: { cas: 1 } } }
+            });
+          }
+        }) });
+
+      test.insertAsync(docs, options)
+        .then((res) => {
+          assert.deepEqual(inserted, [ 'a' ]);
+          assert.strictEqual(res.get('a').fencingToken, 7);
+          assert.isFalse(res.get('b').success);
+          assert.isUndefined(res.get('b').etag);
+          assert.isUndefined(res.get('b').fencingToken);
+          assert.strictEqual(res.get('b').err, err);
+          done();
+        });
+    });
+
+    it('should not insert when no counter can be bumped', (done) => {
+      const err = new Error('Nope');
+      let inserts = 0;
+      const test = new Store({ envelope: true, fencing: true,
+        bucket: counting({
+          counterMultiAsync: (counters) => {
+            return Promise.resolve({
+              keys: [ 'a::fence' ],
+              results: { 'a::fence': { success: false, err: err } }
+            });
+          },
+          insertMultiAsync: () => { inserts++; }
+        }) });
+
+      test.insertAsync(new Map([ [ 'a', 1 ] ]), options)
+        .then((res) => {
+          assert.strictEqual(inserts, 0);
+          assert.isFalse(res.get('a').success);
+          assert.strictEqual(res.get('a').err, err);
+          done();
+        });
+    });
+
+    describe('#isTokenCurrentAsync', () => {
+      it('should throw if key not string', () => {
+        assert.throws(() => {
+          fenced.isTokenCurrentAsync(42, 1);
+        }, TypeError);
+      });
+
+      it('should throw if token not number', () => {
+        assert.throws(() => {
+          fenced.isTokenCurrentAsync('a', '1');
+        }, TypeError);
+      });
+
+      it('should throw without options.fencing', () => {
+        assert.throws(() => {
+          store.isTokenCurrentAsync('a', 1);
+        }, TypeError);
+      });
+
+      it('should resolve true for latest token', (done) => {
+        fenced.insertAsync(docs, options)
+          .then((res) => {
+            return fenced.isTokenCurrentAsync('a', res.get('a').fencingToken);
+          })
+          .then((res) => {
+            assert.isTrue(res);
+            done();
+          });
+      });
+
+      it('should resolve false for earlier tokens', (done) => {
+        fenced.insertAsync(docs, options)
+          .then(() => { return fenced.removeAsync([ 'a' ]); })
+          .then(() => { return fenced.insertAsync(docs, options); })
+          .then(() => { return fenced.isTokenCurrentAsync('a', 1); })
+          .then((res) => {
+            assert.isFalse(res);
+            done();
+          });
+      });
+
+      it('should resolve false for released leases', (done) => {
+        fenced.insertAsync(docs, options)
+          .then(() => { return fenced.removeAsync([ 'a' ]); })
+          .then(() => { return fenced.isTokenCurrentAsync('a', 1); })
+          .then((res) => {
+            assert.isFalse(res);
+            done();
+          });
+      });
+
+      it('should resolve false for leases without tokens', (done) => {
+        bucket.insertAsync('a', 42)
+          .then(() => { return fenced.isTokenCurrentAsync('a', 1); })
+          .then((res) => {
+            assert.isFalse(res);
+            done();
+          });
+      });
+
+      it('should resolve false for keys never acquired', (done) => {
+        fenced.isTokenCurrentAsync('x', 1)
+          .then((res) => {
+            assert.isFalse(res);
+            done();
+          });
+      });
+
+      it('should reject with typed error on other errors', (done) => {
+        const test = new Store({ envelope: true, fencing: true,
+          bucket: counting({
+            getMultiAsync: () => {
+              return Promise.resolve({
+                results: { a: { error: { code: 23 } } }
+              });
+            }
+          }) });
+
+        test.isTokenCurrentAsync('a', 1)
+          .catch((err) => {
+            assert.instanceOf(err, Store.TimeoutError);
+            done();
+          });
+      });
+    });
+  });
+
+  describe('#acquireWaitAsync', () => {
+    const wait = { ttl: 5000, timeout: 1000, pollInterval: 5 };
+
+    const signal = () => {
+      const listeners = [];
+
+      return {
+        aborted: false,
+        addEventListener: (name, fn) => { listeners.push(fn); },
+        abort: function() {
+          this.aborted = true;
+          listeners.forEach((fn) => { fn(); });
+        }
+      };
+    };
+
+    it('should throw if docs not Map', () => {
+      assert.throws(() => {
+        store.acquireWaitAsync([ 'a' ], wait);
+      }, TypeError);
+    });
+
+    it('should throw if no options.ttl', () => {
+      assert.throws(() => {
+        store.acquireWaitAsync(docs, { timeout: 1000 });
+      }, TypeError);
+    });
+
+    it('should throw if no options.timeout', () => {
+      assert.throws(() => {
+        store.acquireWaitAsync(docs, { ttl: 5000 });
+      }, TypeError);
+    });
+
+    it('should throw if options.atomic', () => {
+      assert.throws(() => {
+        store.acquireWaitAsync(docs, Object.assign({ atomic: true }, wait));
+      }, TypeError);
+    });
+
+    it('should resolve with insert summary and waited', (done) => {
+      store.acquireWaitAsync(docs, wait)
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isString(res.get('a').etag);
+          assert.isNumber(res.get('a').waited);
+          assert.isBelow(res.get('a').waited, 1000);
+          done();
+        });
+    });
+
+    it('should acquire keys once they are released', (done) => {
+      docs.set('c', 42);
+      setTimeout(() => { bucket.remove('c', () => {}); }, 30);
+
+      store.acquireWaitAsync(docs, wait)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          assert.isFalse(res.get('c').isCollision);
+          assert.isAtLeast(res.get('c').waited, 25);
+          assert.isBelow(res.get('a').waited, res.get('c').waited);
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'b', 'c' ]);
+          done();
+        });
+    });
+
+    it('should retry only collided keys', (done) => {
+      const counts = [];
+      docs.set('c', 42);
+      store.on('start', (event) => { counts.push(event.keys); });
+      setTimeout(() => { bucket.remove('c', () => {}); }, 30);
+
+      store.acquireWaitAsync(docs, wait)
+        .then((res) => {
+          assert.strictEqual(counts[0], 3);
+          assert.deepEqual(counts.slice(1).filter((n) => n !== 1), []);
+          done();
+        });
+    });
+
+    it('should report collisions once timeout passes', (done) => {
+      docs.set('c', 42);
+
+      store.acquireWaitAsync(docs, Object.assign({}, wait, { timeout: 40 }))
+        .then((res) => {
+          assert.isTrue(res.get('c').isCollision);
+          assert.isAtLeast(res.get('c').waited, 40);
+          done();
+        });
+    });
+
+    it('should release acquired keys once timeout passes', (done) => {
+      docs.set('c', 42);
+
+      store.acquireWaitAsync(docs, Object.assign({}, wait, { timeout: 40 }))
+        .then((res) => {
+          const a = res.get('a');
+          assert.isFalse(a.success);
+          assert.isTrue(a.isRolledBack);
+          assert.strictEqual(a.rollbackCause, 'c');
+          assert.strictEqual(a.reason, Store.reasons.rollback);
+          assert.isUndefined(a.etag);
+          assert.isFalse(res.get('c').isRolledBack);
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should keep keys that cannot be released', (done) => {
+      docs.set('c', 42);
+      bucket.removeMultiAsync = () => {
+        return Promise.reject(new Error('Nope'));
+      };
+
+      store.acquireWaitAsync(docs, Object.assign({}, wait, { timeout: 0 }))
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          assert.isFalse(res.get('a').isRolledBack);
+          assert.isString(res.get('a').etag);
+          assert.strictEqual(res.get('a').rollbackCause, 'c');
+          done();
+        });
+    });
+
+    it('should try once with timeout of 0', (done) => {
+      store.acquireWaitAsync(new Map([ [ 'c', 1 ] ]),
+        Object.assign({}, wait, { timeout: 0 }))
+        .then((res) => {
+          assert.isTrue(res.get('c').isCollision);
+          done();
+        });
+    });
+
+    it('should wait no longer than current lease', (done) => {
+      const MemoryStore = require('../../memory').MemoryStore;
+      let now = 0;
+      const test = new MemoryStore({ clock: () => { return now; } });
+      const held = new Map([ [ 'c', 1 ], [ 'd', 2 ] ]);
+
+      test.insertAsync(new Map([ [ 'c', 1 ] ]), { ttl: 1000 })
+        .then(() => {
+          return test.insertAsync(new Map([ [ 'd', 2 ] ]), { ttl: 60000 });
+        })
+        .then(() => {
+          now = 995;
+          setTimeout(() => { now = 60000; }, 1);
+
+          return test.acquireWaitAsync(held, {
+            ttl: 5000,
+            timeout: 60000,
+            pollInterval: 60000
+          });
+        })
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          assert.isTrue(res.get('d').success);
+          assert.isAtMost(res.get('d').waited, 60000 - 995);
+          done();
+        });
+    });
+
+    it('should retry at once if lease was released', (done) => {
+      docs.set('c', 42);
+      store.getAsync = () => {
+        bucket.remove('c', () => {});
+        return Promise.resolve(new Map([ [ 'c', { isMissing: true } ] ]));
+      };
+
+      store.acquireWaitAsync(docs, Object.assign({}, wait, {
+        pollInterval: 60000,
+        timeout: 60000
+      }))
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          done();
+        });
+    });
+
+    it('should back off if expiries cannot be read', (done) => {
+      docs.set('c', 42);
+      bucket.getMultiAsync = () => { return Promise.reject(new Error()); };
+      setTimeout(() => { bucket.remove('c', () => {}); }, 30);
+
+      store.acquireWaitAsync(docs, wait)
+        .then((res) => {
+          assert.isTrue(res.get('c').success);
+          done();
+        });
+    });
+
+    it('should back off if bucket cannot get', (done) => {
+      let calls = 0;
+      const test = new Store({ bucket: {
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        insertMultiAsync: (docs) => {
+          const collided = (++calls < 3);
+
+          return Promise.resolve({
+            keys: [ 'a' ],
+            results: { a: (collided)
+              ? { success: false, err: { code: 12 } }
+              : { success: true, result: { cas: 1 } } }
+          });
+        }
+      } });
+
+      test.acquireWaitAsync(new Map([ [ 'a', 1 ] ]), wait)
+        .then((res) => {
+          assert.strictEqual(calls, 3);
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+
+    it('should reject without inserting if already aborted', (done) => {
+      const test = signal();
+      test.abort();
+
+      store.acquireWaitAsync(docs, Object.assign({ signal: test }, wait))
+        .catch((err) => {
+          assert.instanceOf(err, Store.AbortError);
+          assert.strictEqual(err.summary.size, 0);
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should reject with summary once aborted', (done) => {
+      const test = signal();
+      docs.set('c', 42);
+      setTimeout(() => { test.abort(); }, 20);
+
+      store.acquireWaitAsync(docs, Object.assign({}, wait, {
+        signal: test,
+        timeout: 60000
+      }))
+        .catch((err) => {
+          assert.instanceOf(err, Store.AbortError);
+          assert.instanceOf(err, Store.StoreError);
+          assert.isTrue(err.summary.get('a').isRolledBack);
+          assert.isTrue(err.summary.get('c').isCollision);
+          return bucket.getAsync('a');
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, 13);
+          done();
+        });
+    });
+
+    it('should reject if aborted while inserting', (done) => {
+      const test = signal();
+      docs.set('c', 42);
+      store.on('start', () => { test.abort(); });
+
+      store.acquireWaitAsync(docs, Object.assign({ signal: test }, wait))
+        .catch((err) => {
+          assert.instanceOf(err, Store.AbortError);
+          assert.isTrue(err.summary.get('a').isRolledBack);
+          assert.isTrue(err.summary.get('c').isCollision);
+          done();
+        });
+    });
+
+    it('should not reject if aborted once acquired', (done) => {
+      const test = signal();
+      store.on('start', () => { test.abort(); });
+
+      store.acquireWaitAsync(docs, Object.assign({ signal: test }, wait))
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+  });
+
+  describe('#circuitBreaker', () => {
+    let inserts;
+
+    const failing = (option) => {
+      inserts = 0;
+
+      return new Store({
+        bucket: {
+          insertMultiAsync: () => {
+            inserts++;
+            return Promise.reject(new Error('unreachable'));
+          },
+          removeMultiAsync: () => {},
+          touchMultiAsync: () => {}
+        },
+        circuitBreaker: option
+      });
+    };
+
+    it('should throw if options.circuitBreaker invalid', () => {
+      assert.throws(() => {
+        const test = new Store({ bucket: bucket, circuitBreaker: 'yes' });
+      }, TypeError);
+    });
+
+    it('should expose circuit states', () => {
+      assert.strictEqual(Store.circuitStates.halfOpen, 'half-open');
+    });
+
+    it('should fail fast once open', (done) => {
+      const test = failing({ threshold: 1 });
+
+      test.insertAsync(docs, options)
+        .catch((err) => {
+          assert.strictEqual(err.message, 'unreachable');
+          return test.insertAsync(docs, options);
+        })
+        .catch((err) => {
+          assert.instanceOf(err, Store.CircuitOpenError);
+          assert.instanceOf(err, Store.StoreError);
+          assert.strictEqual(inserts, 1);
+          done();
+        });
+    });
+
+    it('should emit circuit with each state', (done) => {
+      const test = failing(true);
+      const states = [];
+
+      test.on('circuit', (state) => {
+        states.push(state);
+        assert.deepEqual(states, [ 'open' ]);
+        done();
+      });
+
+      const attempt = () => {
+        return test.insertAsync(docs, options).catch(() => {});
+      };
+
+      attempt().then(attempt).then(attempt).then(attempt).then(attempt);
+    });
+
+    it('should not guard operations without options.circuitBreaker', (done) => {
+      const test = failing(undefined);
+      const attempt = () => {
+        return test.insertAsync(docs, options).catch((err) => { return err; });
+      };
+
+      attempt().then(attempt)
+        .then((err) => {
+          assert.strictEqual(err.message, 'unreachable');
+          assert.strictEqual(inserts, 2);
+          done();
+        });
+    });
+  });
+
+  describe('#deadline', () => {
+    const signal = () => {
+      const listeners = [];
+
+      return {
+        aborted: false,
+        addEventListener: (name, fn) => { listeners.push(fn); },
+        abort: function() {
+          this.aborted = true;
+          listeners.forEach((fn) => { fn(); });
+        }
+      };
+    };
+
+    const later = (ms) => {
+      return new Promise((resolve) => { setTimeout(resolve, ms); });
+    };
+
+    const slow = (name, ms) => {
+      const target = bucket;
+      const op = target[name];
+
+      target[name] = function() {
+        const args = arguments;
+        return later(ms).then(() => { return op.apply(target, args); });
+      };
+    };
+
+    const bounded = (timeout) => {
+      return { ttl: 5000, timeout: timeout };
+    };
+
+    const missing = (keys, done) => {
+      later(30)
+        .then(() => { return store.getAsync(keys); })
+        .then((res) => {
+          for (let key of keys) assert.isTrue(res.get(key).isMissing);
+          done();
+        });
+    };
+
+    it('should throw if options.timeout invalid', () => {
+      for (let timeout of [ '50', 0, -1, Infinity ]) {
+        assert.throws(() => {
+          store.insertAsync(docs, bounded(timeout));
+        }, TypeError);
+
+        assert.throws(() => {
+          store.touchAsync([ 'c' ], bounded(timeout));
+        }, TypeError);
+
+        assert.throws(() => {
+          store.removeAsync([ 'c' ], { timeout: timeout });
+        }, TypeError);
+      }
+    });
+
+    it('should throw if options.signal invalid', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 5000, signal: {} });
+      }, TypeError);
+
+      assert.throws(() => {
+        store.removeAsync([ 'c' ], { signal: 'abort' });
+      }, TypeError);
+    });
+
+    it('should resolve within timeout', (done) => {
+      store.insertAsync(docs, bounded(1000))
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          return store.touchAsync([ 'a' ], bounded(1000));
+        })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          return store.removeAsync([ 'a' ], { timeout: 1000 });
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          done();
+        });
+    });
+
+    it('should reject insertAsync with DeadlineError', (done) => {
+      slow('insertMultiAsync', 20);
+
+      store.insertAsync(docs, bounded(5))
+        .catch((err) => {
+          assert.instanceOf(err, Store.DeadlineError);
+          assert.notInstanceOf(err, Store.TimeoutError);
+          assert.strictEqual(err.reason, Store.reasons.unknown);
+          done();
+        });
+    });
+
+    it('should reject touchAsync with DeadlineError', (done) => {
+      slow('touchMultiAsync', 20);
+
+      store.touchAsync([ 'c' ], bounded(5))
+        .catch((err) => {
+          assert.instanceOf(err, Store.DeadlineError);
+          done();
+        });
+    });
+
+    it('should reject touchAsync if bucket throws', (done) => {
+      const failure = new Error('Nope');
+      bucket.touchMultiAsync = () => { throw failure; };
+
+      store.touchAsync([ 'c' ], bounded(60000))
+        .catch((err) => {
+          assert.strictEqual(err, failure);
+          done();
+        });
+    });
+
+    it('should reject removeAsync with AbortError', (done) => {
+      const test = signal();
+      slow('removeMultiAsync', 20);
+
+      store.removeAsync([ 'c' ], { signal: test })
+        .catch((err) => {
+          assert.instanceOf(err, Store.AbortError);
+          assert.instanceOf(err, Store.StoreError);
+          done();
+        });
+
+      test.abort();
+    });
+
+    it('should reject if aborted already', (done) => {
+      const test = signal();
+      let inserts = 0;
+      bucket.insertMultiAsync = () => { inserts++; };
+
+      test.abort();
+
+      store.insertAsync(docs, { ttl: 5000, signal: test })
+        .catch((err) => {
+          assert.instanceOf(err, Store.AbortError);
+          assert.strictEqual(inserts, 0);
+          done();
+        });
+    });
+
+    it('should call back with DeadlineError from insert', (done) => {
+      slow('insertMultiAsync', 20);
+
+      store.insert(docs, bounded(5), (err, res) => {
+        assert.instanceOf(err, Store.DeadlineError);
+        assert.isUndefined(res);
+        done();
+      });
+    });
+
+    it('should call back with DeadlineError from touch', (done) => {
+      slow('touchMultiAsync', 20);
+
+      store.touch([ 'c' ], bounded(5), (err) => {
+        assert.instanceOf(err, Store.DeadlineError);
+        done();
+      });
+    });
+
+    it('should call back with AbortError from remove', (done) => {
+      const test = signal();
+      slow('removeMultiAsync', 20);
+
+      store.remove([ 'c' ], { signal: test }, (err) => {
+        assert.instanceOf(err, Store.AbortError);
+        done();
+      });
+
+      test.abort();
+    });
+
+    it('should release late inserts', (done) => {
+      slow('insertMultiAsync', 10);
+
+      store.insertAsync(docs, bounded(5))
+        .catch(() => { missing([ 'a', 'b' ], done); });
+    });
+
+    it('should not release collisions', (done) => {
+      const test = signal();
+      slow('insertMultiAsync', 10);
+
+      store.insertAsync(new Map([ [ 'c', 42 ] ]), { ttl: 5000, signal: test })
+        .catch(() => { return later(30); })
+        .then(() => { return store.getAsync([ 'c' ]); })
+        .then((res) => {
+          assert.isFalse(res.get('c').isMissing);
+          done();
+        });
+
+      test.abort();
+    });
+
+    it('should release late reentries with holder', (done) => {
+      const test = new Store({ bucket: bucket, envelope: {} });
+      const held = { ttl: 5000, holder: 'worker-1' };
+
+      test.insertAsync(docs, held)
+        .then(() => {
+          slow('insertMultiAsync', 10);
+          slow('replaceMultiAsync', 10);
+          return test.insertAsync(docs, Object.assign({ timeout: 5 }, held));
+        })
+        .catch((err) => {
+          assert.instanceOf(err, Store.DeadlineError);
+          return later(50);
+        })
+        .then(() => { return test.getAsync([ 'a' ]); })
+        .then((res) => {
+          assert.strictEqual(res.get('a').lease.holdCount, 1);
+          done();
+        });
+    });
+
+    it('should release late shared inserts by slot', (done) => {
+      slow('insertMultiAsync', 10);
+
+      store.insertAsync(docs, { ttl: 5000, mode: 'shared', timeout: 5 })
+        .catch(() => { missing([ 'a', 'b' ], done); });
+    });
+
+    it('should release late permits', (done) => {
+      slow('insertMultiAsync', 10);
+
+      store.insertAsync(docs, { ttl: 5000, permits: 1, timeout: 5 })
+        .catch(() => { missing([ 'a::0', 'b::0' ], done); });
+    });
+
+    it('should ignore failed releases', (done) => {
+      let removes = 0;
+      slow('insertMultiAsync', 10);
+
+      bucket.removeMultiAsync = () => {
+        removes++;
+        return Promise.reject(new Error('test'));
+      };
+
+      store.insertAsync(docs, bounded(5))
+        .catch(() => { return later(30); })
+        .then(() => {
+          assert.strictEqual(removes, 2);
+          done();
+        });
+    });
+
+    it('should not bound the attempts of acquireWaitAsync', (done) => {
+      slow('insertMultiAsync', 20);
+
+      store.acquireWaitAsync(docs, {
+        ttl: 5000,
+        timeout: 5,
+        pollInterval: 5
+      })
+        .then((res) => {
+          assert.isTrue(res.get('a').success);
+          done();
+        });
+    });
+  });
+
+  describe('#get', () => {
+    it('should throw if callback not func', () => {
+      assert.throws(() => {
+        store.get([ 'c' ], 42);
       }, TypeError);
     });
 
-    it('should throw if options not object', () => {
+    it('should resolve with summary as instance of Map', (done) => {
+      store.get([ 'c' ], (err, res) => {
+        assert.isNotOk(err);
+        assert.instanceOf(res, Map);
+        done();
+      });
+    });
+
+    it('should resolve with err on catastrophic failure', (done) => {
+      const testBucket = {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: () => {
+          return Promise.reject(new Error('Nope'));
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.get([ 'c' ], (err, res) => {
+        assert.isOk(err);
+        done();
+      });
+    });
+  });
+
+  describe('#getAsync', () => {
+    const lookupBucket = (exptime, fail) => {
+      return {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: (keys) => {
+          return Promise.resolve({
+            hasErrors: false,
+            results: { c: { value: 42, cas: '7' } }
+          });
+        },
+        lookupIn: (key) => {
+          assert.strictEqual(key, 'c');
+          return {
+            get: (path, opts) => {
+              assert.strictEqual(path, '$document.exptime');
+              assert.deepEqual(opts, { xattr: true });
+              return {
+                execute: (callback) => {
+                  if (fail) {
+                    callback({ code: 73 });
+                    return;
+                  }
+
+                  callback(null, {
+                    content: (p) => { return exptime; }
+                  });
+                }
+              };
+            }
+          };
+        }
+      };
+    };
+
+    it('should throw if keys not array or Set', () => {
       assert.throws(() => {
-        const test = new Store(42);
+        store.getAsync(42);
       }, TypeError);
     });
 
-    it('should throw if no bucket key', () => {
+    it('should throw if key not string', () => {
       assert.throws(() => {
-        const test = new Store({});
+        store.getAsync([ 42 ]);
       }, TypeError);
     });
 
-    it('should throw if bucket not defined', () => {
+    it('should throw if bucket has no getMultiAsync() method', () => {
+      const testBucket = {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
       assert.throws(() => {
-        const test = new Store({ bucket: undefined });
+        testStore.getAsync([ 'c' ]);
       }, TypeError);
     });
 
-    it('should throw if bucket has no insertMultiAsync() method', () => {
-      assert.throws(() => {
-        const test = new Store({
-          bucket: {
-            removeMultiAsync: function() {},
-            touchMultiAsync: function() {}
-          }
+    it('should resolve with empty Map for no keys', (done) => {
+      store.getAsync([])
+        .then((res) => {
+          assert.strictEqual(res.size, 0);
+          done();
         });
-      }, TypeError);
     });
 
-    it('should throw if bucket has no touchMultiAsync() method', () => {
-      assert.throws(() => {
-        const test = new Store({
-          bucket: {
-            insertMultiAsync: function() {},
-            removeMultiAsync: function() {}
-          }
+    it('should resolve with value and etag of existing keys', (done) => {
+      store.getAsync(new Set([ 'c' ]))
+        .then((res) => {
+          const summary = res.get('c');
+          assert.deepEqual(summary.value, { quux: 'quuz' });
+          assert.isString(summary.etag);
+          assert.isFalse(summary.isMissing);
+          assert.isNotOk(summary.err);
+          done();
         });
-      }, TypeError);
     });
 
-    it('should throw if bucket has no removeMultiAsync() method', () => {
-      assert.throws(() => {
-        const test = new Store({
-          bucket: {
-            insertMultiAsync: function() {},
-            touchMultiAsync: function() {}
+    it('should resolve with etag matching insert etag', (done) => {
+      let etag;
+      store.insertAsync(docs, options)
+        .then((res) => {
+          etag = res.get('a').etag;
+          return store.getAsync([ 'a' ]);
+        })
+        .then((res) => {
+          assert.strictEqual(res.get('a').etag, etag);
+          done();
+        });
+    });
+
+    it('should resolve with isMissing=true for missing keys', (done) => {
+      store.getAsync([ 'a', 'c' ])
+        .then((res) => {
+          const summary = res.get('a');
+          assert.isUndefined(summary.value);
+          assert.isUndefined(summary.etag);
+          assert.isUndefined(summary.expiresAt);
+          assert.isTrue(summary.isMissing);
+          assert.isOk(summary.err);
+          assert.isFalse(res.get('c').isMissing);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt=undefined without sub-docs', (done) => {
+      store.getAsync([ 'c' ])
+        .then((res) => {
+          assert.isUndefined(res.get('c').expiresAt);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt from document expiry', (done) => {
+      const testStore = new Store({ bucket: lookupBucket(1500000000) });
+
+      testStore.getAsync([ 'c' ])
+        .then((res) => {
+          const summary = res.get('c');
+          assert.strictEqual(summary.expiresAt.getTime(), 1500000000000);
+          assert.strictEqual(summary.etag, '7');
+          assert.strictEqual(summary.value, 42);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt=null for no expiry', (done) => {
+      const testStore = new Store({ bucket: lookupBucket(0) });
+
+      testStore.getAsync([ 'c' ])
+        .then((res) => {
+          assert.isNull(res.get('c').expiresAt);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt=undefined on lookup error', (done) => {
+      const testStore = new Store({ bucket: lookupBucket(0, true) });
+
+      testStore.getAsync([ 'c' ])
+        .then((res) => {
+          assert.isUndefined(res.get('c').expiresAt);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt=undefined if lookupIn throws', (done) => {
+      const testBucket = lookupBucket(0);
+      testBucket.lookupIn = () => { throw new Error('Nope'); };
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.getAsync([ 'c' ])
+        .then((res) => {
+          assert.isUndefined(res.get('c').expiresAt);
+          done();
+        });
+    });
+
+    it('should resolve with expiresAt=undefined without lookupIn', (done) => {
+      const testBucket = lookupBucket(0);
+      delete testBucket.lookupIn;
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.getAsync([ 'c' ])
+        .then((res) => {
+          assert.isUndefined(res.get('c').expiresAt);
+          done();
+        });
+    });
+
+    it('should read at most concurrency expiries at once', (done) => {
+      const keys = [ 'k0', 'k1', 'k2', 'k3', 'k4', 'k5' ];
+      let running = 0;
+      let peak = 0;
+      const testBucket = lookupBucket(0);
+
+      testBucket.getMultiAsync = () => {
+        const results = {};
+        for (let key of keys) results[key] = { value: 42, cas: '7' };
+        return Promise.resolve({ hasErrors: false, results: results });
+      };
+
+      testBucket.lookupIn = () => {
+        return {
+          get: () => {
+            return {
+              execute: (callback) => {
+                running++;
+                peak = Math.max(peak, running);
+                setTimeout(() => {
+                  running--;
+                  callback(null, { content: () => { return 0; } });
+                }, 5);
+              }
+            };
           }
+        };
+      };
+
+      const testStore = new Store({ bucket: testBucket, concurrency: 2 });
+
+      testStore.getAsync(keys)
+        .then((res) => {
+          assert.strictEqual(peak, 2);
+          assert.strictEqual(res.size, 6);
+          done();
+        });
+    });
+
+    it('should get documents with prefixed keys', (done) => {
+      const prefixed = new Store({ bucket: bucket, prefix: 'lease::' });
+
+      prefixed.insertAsync(docs, options)
+        .then((res) => {
+          return prefixed.getAsync([ 'a', 'c' ]);
+        })
+        .then((res) => {
+          assert.deepEqual(Array.from(res.keys()), [ 'a', 'c' ]);
+          assert.deepEqual(res.get('a').value, { foo: 'bar' });
+          assert.isTrue(res.get('c').isMissing);
+          done();
         });
+    });
+  });
+
+  describe('#healthAsync', () => {
+    const unreachable = (get) => {
+      return new Store({
+        bucket: {
+          getMultiAsync: get,
+          insertMultiAsync: () => {},
+          removeMultiAsync: () => {},
+          touchMultiAsync: () => {}
+        },
+        circuitBreaker: { threshold: 1 }
+      });
+    };
+
+    it('should throw if bucket cannot get', () => {
+      const test = new Store({ bucket: {
+        insertMultiAsync: () => {},
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      } });
+
+      assert.throws(() => {
+        test.healthAsync();
       }, TypeError);
     });
+
+    it('should report reachable cluster as healthy', (done) => {
+      store.healthAsync()
+        .then((res) => {
+          assert.isTrue(res.isHealthy);
+          assert.isNumber(res.latency);
+          assert.isUndefined(res.circuit);
+          assert.isUndefined(res.err);
+          done();
+        });
+    });
+
+    it('should report state of circuit', (done) => {
+      const test = new Store({ bucket: bucket, circuitBreaker: true });
+
+      test.healthAsync()
+        .then((res) => {
+          assert.isTrue(res.isHealthy);
+          assert.strictEqual(res.circuit, Store.circuitStates.closed);
+          done();
+        });
+    });
+
+    it('should report failed reads as unhealthy', (done) => {
+      const test = unreachable((keys) => {
+        const results = {};
+        results[keys[0]] = { error: { code: 23 } };
+        return Promise.resolve({ results: results });
+      });
+
+      test.healthAsync()
+        .then((res) => {
+          assert.isFalse(res.isHealthy);
+          assert.instanceOf(res.err, Store.TimeoutError);
+          assert.strictEqual(res.circuit, Store.circuitStates.open);
+          done();
+        });
+    });
+
+    it('should report rejected reads as unhealthy', (done) => {
+      const failure = new Error('unreachable');
+      const test = unreachable(() => { return Promise.reject(failure); });
+
+      test.healthAsync()
+        .then((res) => {
+          assert.isFalse(res.isHealthy);
+          assert.strictEqual(res.err, failure);
+          return test.healthAsync();
+        })
+        .then((res) => {
+          assert.instanceOf(res.err, Store.CircuitOpenError);
+          done();
+        });
+    });
+
+    it('should read health key in namespace', (done) => {
+      let read;
+      const test = new Store({
+        bucket: {
+          getMultiAsync: (keys) => {
+            read = keys;
+            return bucket.getMultiAsync(keys);
+          },
+          insertMultiAsync: () => {},
+          removeMultiAsync: () => {},
+          touchMultiAsync: () => {}
+        },
+        prefix: 'lease::'
+      });
+
+      test.healthAsync()
+        .then((res) => {
+          assert.deepEqual(read, [ 'lease::landlord::health' ]);
+          assert.isTrue(res.isHealthy);
+          done();
+        });
+    });
   });
 
   describe('#insert', () => {
@@ -165,10 +4022,40 @@ describe('Store', () => {
       }, TypeError);
     });
 
-    it('should throw if options.ttl not number', () => {
-      assert.throws(() => {
-        store.insertAsync(docs, { ttl: 'blorg' });
-      }, TypeError);
+    it('should throw if options.ttl not number', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: 'blorg' });
+      }, TypeError);
+    });
+
+    it('should throw if options.ttl negative', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: -1 });
+      }, TypeError);
+    });
+
+    it('should throw if options.ttl NaN', () => {
+      assert.throws(() => {
+        store.insertAsync(docs, { ttl: NaN });
+      }, TypeError);
+    });
+
+    it('should insert sub-second ttl with expiry of 1 second', (done) => {
+      const testBucket = {
+        removeMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        insertMultiAsync: (docs, opts) => {
+          assert.deepEqual(opts, { expiry: 1 });
+          return Promise.resolve({ keys: [], results: {} });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.insertAsync(docs, { ttl: 500 })
+        .then((res) => {
+          done();
+        });
     });
 
     it('should resolve with instance of Map', (done) => {
@@ -233,6 +4120,27 @@ describe('Store', () => {
         });
     });
 
+    it('should resolve with summary.expiresAt on success', (done) => {
+      const before = Date.now();
+      store.insertAsync(docs, options)
+        .then((res) => {
+          const expiresAt = res.get('a').expiresAt;
+          assert.instanceOf(expiresAt, Date);
+          assert.isAtLeast(expiresAt.getTime(), before + options.ttl);
+          assert.isAtMost(expiresAt.getTime(), Date.now() + options.ttl);
+          done();
+        });
+    });
+
+    it('should resolve with summary.expiresAt=undefined on failure', (done) => {
+      docs.set('c', 42);
+      store.insertAsync(docs, options)
+        .then((res) => {
+          assert.isUndefined(res.get('c').expiresAt);
+          done();
+        });
+    });
+
     it('should resolve with summary.success=false on failure', (done) => {
       docs.set('c', 42);
       store.insertAsync(docs, options)
@@ -267,6 +4175,174 @@ describe('Store', () => {
     });
   });
 
+  describe('#listAsync', () => {
+    let calls, rows, listed;
+
+    beforeEach(() => {
+      calls = [];
+      rows = [
+        {
+          id: 'lease::a',
+          cas: '1',
+          expiration: 1005,
+          doc: { $landlord: 1, holder: 'worker-1', value: 42,
+            acquiredAt: '2020-01-01T00:00:00.000Z',
+            renewedAt: '2020-01-01T00:00:00.000Z', ttl: 5000 }
+        },
+        { id: 'lease::b', cas: 2, expiration: 0, doc: { foo: 'bar' } }
+      ];
+
+      listed = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        prefix: 'lease::',
+        query: (statement, parameters) => {
+          calls.push([ statement, parameters ]);
+          return Promise.resolve(rows);
+        }
+      });
+    });
+
+    it('should throw without options.query', () => {
+      assert.throws(() => {
+        store.listAsync();
+      }, TypeError);
+    });
+
+    it('should throw with options.namespace', () => {
+      const test = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        namespace: (key) => { return key; },
+        query: () => { return Promise.resolve([]); }
+      });
+
+      assert.throws(() => {
+        test.listAsync();
+      }, TypeError);
+    });
+
+    it('should throw if options invalid', () => {
+      assert.throws(() => {
+        listed.listAsync({ limit: 0 });
+      }, TypeError);
+    });
+
+    it('should throw without a prefix', () => {
+      const test = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        query: () => { return Promise.resolve([]); }
+      });
+
+      assert.throws(() => {
+        test.listAsync();
+      }, TypeError);
+
+      assert.throws(() => {
+        test.listAsync({ prefix: '' });
+      }, TypeError);
+    });
+
+    it('should query with options.prefix of the listing', (done) => {
+      const test = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        query: (statement, parameters) => {
+          calls.push([ statement, parameters ]);
+          return Promise.resolve([]);
+        }
+      });
+
+      test.listAsync({ prefix: 'job-' })
+        .then(() => {
+          assert.strictEqual(calls[0][1].prefix, 'job-');
+          done();
+        });
+    });
+
+    it('should query with defaults', (done) => {
+      listed.listAsync()
+        .then(() => {
+          assert.include(calls[0][0], 'FROM default AS d');
+          assert.deepEqual(calls[0][1], {
+            prefix: 'lease::',
+            after: '',
+            exclude: '::fence',
+            limit: 100
+          });
+          done();
+        });
+    });
+
+    it('should query with prefix, cursor, and limit', (done) => {
+      const prefixed = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        prefix: 'lease::',
+        query: (statement, parameters) => {
+          calls.push([ statement, parameters ]);
+          return Promise.resolve([ { id: 'lease::job-1', cas: '1' } ]);
+        }
+      });
+
+      prefixed.listAsync({ prefix: 'job-', cursor: 'lease::job-0', limit: 1 })
+        .then((page) => {
+          assert.strictEqual(calls[0][1].prefix, 'lease::job-');
+          assert.strictEqual(calls[0][1].after, 'lease::job-0');
+          assert.strictEqual(calls[0][1].limit, 1);
+          assert.strictEqual(page.leases[0].key, 'job-1');
+          assert.strictEqual(page.cursor, 'lease::job-1');
+          done();
+        });
+    });
+
+    it('should resolve with leases of rows', (done) => {
+      listed.listAsync()
+        .then((page) => {
+          const a = page.leases[0];
+          assert.strictEqual(a.key, 'a');
+          assert.strictEqual(a.holder, 'worker-1');
+          assert.strictEqual(a.etag, '1');
+          assert.strictEqual(a.expiresAt.getTime(), 1005000);
+          assert.strictEqual(a.value, 42);
+          assert.strictEqual(a.lease.ttl, 5000);
+          assert.isUndefined(page.cursor);
+          done();
+        });
+    });
+
+    it('should resolve with leases of rows without envelopes', (done) => {
+      listed.listAsync()
+        .then((page) => {
+          const b = page.leases[1];
+          assert.strictEqual(b.key, 'b');
+          assert.isUndefined(b.holder);
+          assert.strictEqual(b.etag, '2');
+          assert.isNull(b.expiresAt);
+          assert.deepEqual(b.value, { foo: 'bar' });
+          assert.isUndefined(b.lease);
+          done();
+        });
+    });
+
+    it('should reject if query fails', (done) => {
+      const err = new Error('Nope');
+      const test = new Store({
+        bucket: bucket,
+        keyspace: 'default',
+        prefix: 'lease::',
+        query: () => { return Promise.reject(err); }
+      });
+
+      test.listAsync()
+        .catch((res) => {
+          assert.strictEqual(res, err);
+          done();
+        });
+    });
+  });
+
   describe('#remove', () => {
     it('should throw if callback not func', () => {
       assert.throws(() => {
@@ -279,6 +4355,9 @@ describe('Store', () => {
         assert.isObject(res);
         assert.isArray(res.succeeded);
         assert.isArray(res.failed);
+        assert.isArray(res.stale);
+        assert.instanceOf(res.errors, Map);
+        assert.instanceOf(res.attempts, Map);
         done();
       });
     });
@@ -395,6 +4474,117 @@ describe('Store', () => {
           done();
         });
     });
+
+    it('should resolve with succeeded keys when given a Set', (done) => {
+      store.removeAsync(new Set([ 'c' ]))
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'c' ]);
+          done();
+        });
+    });
+
+    it('should throw if etag key not string', () => {
+      assert.throws(() => {
+        store.removeAsync(new Map([ [ 42, '1' ] ]));
+      }, TypeError);
+    });
+
+    it('should throw if etag not string', () => {
+      assert.throws(() => {
+        store.removeAsync(new Map([ [ 'c', 42 ] ]));
+      }, TypeError);
+    });
+
+    it('should throw if etag length zero', () => {
+      assert.throws(() => {
+        store.removeAsync(new Map([ [ 'c', '' ] ]));
+      }, TypeError);
+    });
+
+    it('should remove keys with Map of etags', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          return store.removeAsync(new Map([ [ 'a', res.get('a').etag ] ]));
+        })
+        .then((res) => {
+          assert.deepEqual(res.succeeded, [ 'a' ]);
+          return bucket.getAsync('a');
+        })
+        .then((res) => {
+          assert.fail();
+          done();
+        })
+        .catch((err) => {
+          assert.strictEqual(err.code, couchbase.errors.keyNotFound);
+          done();
+        });
+    });
+
+    it('should remove each key conditionally on its etag', (done) => {
+      const calls = [];
+      const testBucket = {
+        touchMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        removeMultiAsync: (keys, opts) => {
+          calls.push({ keys: keys, options: opts });
+          const results = {};
+          results[keys[0]] = { success: true, result: { cas: 'x' } };
+          return Promise.resolve({ keys: keys, results: results });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+      const etags = new Map([ [ 'a', '1' ], [ 'b', '2' ] ]);
+
+      testStore.removeAsync(etags)
+        .then((res) => {
+          assert.deepEqual(calls, [
+            { keys: [ 'a' ], options: { cas: '1' } },
+            { keys: [ 'b' ], options: { cas: '2' } }
+          ]);
+          assert.deepEqual(res.succeeded, [ 'a', 'b' ]);
+          done();
+        });
+    });
+
+    it('should resolve keys with stale etags as stale', (done) => {
+      const testBucket = {
+        touchMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        removeMultiAsync: (keys) => {
+          return Promise.resolve({
+            hasErrors: true,
+            keys: keys,
+            results: {
+              a: {
+                success: false,
+                err: { code: couchbase.errors.keyAlreadyExists }
+              }
+            }
+          });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.removeAsync(new Map([ [ 'a', '1' ] ]))
+        .then((res) => {
+          assert.include(res.stale, 'a');
+          assert.notInclude(res.failed, 'a');
+          assert.notInclude(res.succeeded, 'a');
+          done();
+        });
+    });
+
+    it('should resolve missing keys with etags as stale', (done) => {
+      store.removeAsync(new Map([ [ 'a', '1' ] ]))
+        .then((res) => {
+          assert.include(res.stale, 'a');
+          assert.notInclude(res.succeeded, 'a');
+          assert.instanceOf(res.errors.get('a'), Store.MissingError);
+          done();
+        });
+    });
   });
 
   describe('#touch', () => {
@@ -562,6 +4752,174 @@ describe('Store', () => {
           done();
         });
     });
+
+    it('should throw if options.ttl Infinity', () => {
+      assert.throws(() => {
+        store.touchAsync([ 'c' ], { ttl: Infinity });
+      }, TypeError);
+    });
+
+    it('should touch with absolute expiry for ttl over 30 days', (done) => {
+      const ttl = 31 * 24 * 60 * 60 * 1000;
+      const before = Date.now();
+      const testBucket = {
+        removeMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        touchMultiAsync: (keys) => {
+          const expiry = keys.get('c').expiry;
+          assert.isAtLeast(expiry, Math.ceil((before + ttl) / 1000));
+          assert.isAtMost(expiry, Math.ceil((Date.now() + ttl) / 1000));
+          return Promise.resolve({ keys: [], results: {} });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.touchAsync([ 'c' ], { ttl: ttl })
+        .then((res) => {
+          done();
+        });
+    });
+
+    it('should set summary.expiresAt on success', (done) => {
+      store.touchAsync([ 'c', 'b' ], options)
+        .then((res) => {
+          assert.instanceOf(res.get('c').expiresAt, Date);
+          assert.isUndefined(res.get('b').expiresAt);
+          done();
+        });
+    });
+
+    it('should set summary.isStale=false without etags', (done) => {
+      store.touchAsync([ 'c', 'b' ], options)
+        .then((res) => {
+          assert.isFalse(res.get('c').isStale);
+          assert.isFalse(res.get('b').isStale);
+          done();
+        });
+    });
+
+    it('should throw if etag not string', () => {
+      assert.throws(() => {
+        store.touchAsync(new Map([ [ 'c', 42 ] ]), options);
+      }, TypeError);
+    });
+
+    it('should throw if etags given and bucket cannot replace', () => {
+      const testBucket = {
+        removeMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        touchMultiAsync: () => {}
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+      let started = false;
+
+      testStore.on('start', () => { started = true; });
+
+      assert.throws(() => {
+        testStore.touchAsync(new Map([ [ 'c', '1' ] ]), options);
+      }, TypeError);
+
+      assert.isFalse(started);
+    });
+
+    it('should resolve with empty Map for empty Map of etags', (done) => {
+      store.touchAsync(new Map(), options)
+        .then((res) => {
+          assert.strictEqual(res.size, 0);
+          done();
+        });
+    });
+
+    it('should renew key with current etag', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return store.touchAsync(etags, options)
+            .then((touched) => {
+              const summary = touched.get('a');
+              assert.isTrue(summary.success);
+              assert.isFalse(summary.isStale);
+              assert.isFalse(summary.isMissing);
+              assert.isString(summary.etag);
+              assert.notEqual(summary.etag, etags.get('a'));
+              return bucket.getAsync('a');
+            });
+        })
+        .then((res) => {
+          assert.deepEqual(res.value, { foo: 'bar' });
+          done();
+        });
+    });
+
+    it('should replace with etag as cas and new expiry', (done) => {
+      const testBucket = {
+        removeMultiAsync: () => {},
+        insertMultiAsync: () => {},
+        touchMultiAsync: () => {},
+        getMultiAsync: () => {
+          return Promise.resolve({
+            hasErrors: false,
+            results: { c: { value: 42, cas: '7' } }
+          });
+        },
+        replaceMultiAsync: (docs) => {
+          assert.deepEqual(docs.get('c'), {
+            value: 42,
+            options: { cas: '6', expiry: 5 }
+          });
+          return Promise.resolve({
+            keys: [ 'c' ],
+            results: {
+              c: {
+                success: false,
+                err: { code: couchbase.errors.keyAlreadyExists }
+              }
+            }
+          });
+        }
+      };
+
+      const testStore = new Store({ bucket: testBucket });
+
+      testStore.touchAsync(new Map([ [ 'c', '6' ] ]), options)
+        .then((res) => {
+          assert.isTrue(res.get('c').isStale);
+          done();
+        });
+    });
+
+    it('should set summary.isStale=true when etag is stale', (done) => {
+      store.insertAsync(docs, options)
+        .then((res) => {
+          const etags = new Map([ [ 'a', res.get('a').etag ] ]);
+          return store.touchAsync(etags, options)
+            .then(() => {
+              return store.touchAsync(etags, options);
+            });
+        })
+        .then((res) => {
+          const summary = res.get('a');
+          assert.isFalse(summary.success);
+          assert.isTrue(summary.isStale);
+          assert.isFalse(summary.isMissing);
+          assert.isNotOk(summary.etag);
+          assert.isOk(summary.err);
+          done();
+        });
+    });
+
+    it('should set summary.isMissing=true when etag key missing', (done) => {
+      store.touchAsync(new Map([ [ 'b', '1' ] ]), options)
+        .then((res) => {
+          const summary = res.get('b');
+          assert.isFalse(summary.success);
+          assert.isTrue(summary.isMissing);
+          assert.isFalse(summary.isStale);
+          done();
+        });
+    });
   });
 
 });
@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const ttl = require('../../lib/ttl');
+
+describe('ttl', () => {
+  const now = 1500000000000;
+
+  describe('#toExpiry', () => {
+    it('should throw if ttl not number', () => {
+      assert.throws(() => {
+        ttl.toExpiry('blorg', now);
+      }, TypeError);
+    });
+
+    it('should throw if ttl NaN', () => {
+      assert.throws(() => {
+        ttl.toExpiry(NaN, now);
+      }, TypeError);
+    });
+
+    it('should throw if ttl Infinity', () => {
+      assert.throws(() => {
+        ttl.toExpiry(Infinity, now);
+      }, TypeError);
+    });
+
+    it('should throw if ttl negative', () => {
+      assert.throws(() => {
+        ttl.toExpiry(-1, now);
+      }, TypeError);
+    });
+
+    it('should convert whole seconds to relative expiry', () => {
+      const result = ttl.toExpiry(5000, now);
+      assert.strictEqual(result.expiry, 5);
+      assert.strictEqual(result.expiresAt.getTime(), now + 5000);
+    });
+
+    it('should round sub-second ttl up to 1 second', () => {
+      const result = ttl.toExpiry(500, now);
+      assert.strictEqual(result.expiry, 1);
+      assert.strictEqual(result.expiresAt.getTime(), now + 1000);
+    });
+
+    it('should round zero ttl up to 1 second', () => {
+      assert.strictEqual(ttl.toExpiry(0, now).expiry, 1);
+    });
+
+    it('should round fractional seconds up', () => {
+      const result = ttl.toExpiry(1500.5, now);
+      assert.strictEqual(result.expiry, 2);
+      assert.strictEqual(result.expiresAt.getTime(), now + 2000);
+    });
+
+    it('should keep 30 days relative', () => {
+      const result = ttl.toExpiry(ttl.MAX_RELATIVE * 1000, now);
+      assert.strictEqual(result.expiry, ttl.MAX_RELATIVE);
+    });
+
+    it('should convert ttl over 30 days to absolute expiry', () => {
+      const ms = (ttl.MAX_RELATIVE + 1) * 1000;
+      const result = ttl.toExpiry(ms, now);
+      assert.strictEqual(result.expiry, (now + ms) / 1000);
+      assert.strictEqual(result.expiresAt.getTime(), now + ms);
+    });
+
+    it('should round absolute expiry up to whole seconds', () => {
+      const ms = (ttl.MAX_RELATIVE + 1) * 1000 + 1;
+      const result = ttl.toExpiry(ms, now);
+      assert.strictEqual(result.expiry, Math.ceil((now + ms) / 1000));
+      assert.isAtLeast(result.expiresAt.getTime(), now + ms);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const waiting = require('../../lib/waiting');
+
+describe('waiting', () => {
+  const signal = () => {
+    const listeners = [];
+
+    return {
+      aborted: false,
+      listeners: listeners,
+      addEventListener: (name, fn) => { listeners.push(fn); },
+      removeEventListener: (name, fn) => {
+        listeners.splice(listeners.indexOf(fn), 1);
+      },
+      abort: function() {
+        this.aborted = true;
+        listeners.slice().forEach((fn) => { fn(); });
+      }
+    };
+  };
+
+  describe('#create', () => {
+    it('should throw if no timeout', () => {
+      assert.throws(() => {
+        waiting.create({ ttl: 1000 });
+      }, TypeError);
+    });
+
+    it('should throw if timeout not number', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: '1000' });
+      }, TypeError);
+    });
+
+    it('should throw if timeout negative', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: -1 });
+      }, TypeError);
+    });
+
+    it('should throw if timeout NaN', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: NaN });
+      }, TypeError);
+    });
+
+    it('should throw if pollInterval not number', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: 0, pollInterval: '1' });
+      }, TypeError);
+    });
+
+    it('should throw if pollInterval zero', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: 0, pollInterval: 0 });
+      }, TypeError);
+    });
+
+    it('should throw if pollInterval Infinity', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: 0, pollInterval: Infinity });
+      }, TypeError);
+    });
+
+    it('should throw if signal not AbortSignal', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: 0, signal: {} });
+      }, TypeError);
+    });
+
+    it('should throw if atomic', () => {
+      assert.throws(() => {
+        waiting.create({ timeout: 0, atomic: true });
+      }, TypeError);
+    });
+
+    it('should default pollInterval', () => {
+      const policy = waiting.create({ timeout: Infinity });
+      assert.strictEqual(policy.timeout, Infinity);
+      assert.strictEqual(policy.pollInterval, waiting.DEFAULT_POLL_INTERVAL);
+      assert.isUndefined(policy.signal);
+    });
+
+    it('should keep signal', () => {
+      const test = signal();
+      assert.strictEqual(waiting.create({
+        timeout: 0,
+        signal: test
+      }).signal, test);
+    });
+  });
+
+  describe('#isAborted', () => {
+    it('should be false without signal', () => {
+      assert.isNotOk(waiting.isAborted({}));
+    });
+
+    it('should be whether signal aborted', () => {
+      const test = signal();
+      assert.isFalse(waiting.isAborted({ signal: test }));
+      test.abort();
+      assert.isTrue(waiting.isAborted({ signal: test }));
+    });
+  });
+
+  describe('#delay', () => {
+    const policy = { pollInterval: 100 };
+
+    it('should back off from poll interval with jitter', () => {
+      for (let i = 0; i < 20; i++) {
+        const first = waiting.delay(policy, 1, undefined, Infinity);
+        const third = waiting.delay(policy, 3, undefined, Infinity);
+        assert.isAtLeast(first, 50);
+        assert.isAtMost(first, 100);
+        assert.isAtLeast(third, 200);
+        assert.isAtMost(third, 400);
+      }
+    });
+
+    it('should stop doubling at 32 times poll interval', () => {
+      const wait = waiting.delay(policy, 20, undefined, Infinity);
+      assert.isAtLeast(wait, 1600);
+      assert.isAtMost(wait, 3200);
+    });
+
+    it('should not wait past earliest expiry', () => {
+      assert.strictEqual(waiting.delay(policy, 3, 10, Infinity), 10);
+      assert.strictEqual(waiting.delay(policy, 3, 0, Infinity), 0);
+    });
+
+    it('should not wait past remaining time', () => {
+      assert.strictEqual(waiting.delay(policy, 3, undefined, 10), 10);
+      assert.strictEqual(waiting.delay(policy, 3, 20, 10), 10);
+    });
+
+    it('should not wait negative time', () => {
+      assert.strictEqual(waiting.delay(policy, 1, -5, Infinity), 0);
+    });
+  });
+
+  describe('#sleep', () => {
+    it('should wait for time', (done) => {
+      const started = Date.now();
+
+      waiting.sleep({}, 20)
+        .then(() => {
+          assert.isAtLeast(Date.now() - started, 15);
+          done();
+        });
+    });
+
+    it('should wake when signal aborts', (done) => {
+      const test = signal();
+      const started = Date.now();
+
+      waiting.sleep({ signal: test }, 10000)
+        .then(() => {
+          assert.isBelow(Date.now() - started, 1000);
+          assert.lengthOf(test.listeners, 0);
+          done();
+        });
+
+      test.abort();
+    });
+
+    it('should stop listening to signal once awake', (done) => {
+      const test = signal();
+
+      waiting.sleep({ signal: test }, 1)
+        .then(() => {
+          assert.lengthOf(test.listeners, 0);
+          done();
+        });
+    });
+
+    it('should accept signals without removeEventListener', (done) => {
+      const test = signal();
+      delete test.removeEventListener;
+
+      waiting.sleep({ signal: test }, 1)
+        .then(() => { done(); });
+    });
+  });
+
+});